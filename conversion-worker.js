@@ -0,0 +1,121 @@
+(function() {
+    'use strict';
+
+    /**
+     * Conversion worker for the Packet Compiler: runs the library work that needs no DOM off the page's
+     * main thread: unzipping .zip uploads and OpenDocument files with JSZip, converting Word documents
+     * with Mammoth and rendering Markdown with marked. Parsing the resulting XML and HTML and finding
+     * packets need a DOM, which workers do not have, so those steps stay on the page.
+     *
+     * Messages from the page:
+     *   {type: 'init', scripts}                        Library URLs, taken from the page's own script tags.
+     *   {id, type: 'docx', arrayBuffer, styleMap}      Resolves to {html, messages} from Mammoth.
+     *   {id, type: 'markdown', text}                   Resolves to {html} from marked.
+     *   {id, type: 'zip', arrayBuffer, extensions}     Resolves to {documents: [{path, arrayBuffer}], skipped}:
+     *                                                  the archive's files with a supported extension, except
+     *                                                  hidden and system files, and how many others were left out.
+     *   {id, type: 'odt', arrayBuffer}                 Resolves to {texts, images}, see readOdtPackage().
+     * Each job is answered with {id, result} or {id, error}, or {id, unavailable: true} if the libraries
+     * could not be loaded, in which case the page does the work on its main thread instead. Buffers in
+     * results are transferred to the page.
+     */
+    let ready = false;
+
+    self.onmessage = (event) => {
+        const job = event.data;
+        if (job.type === 'init') {
+            // Loaded synchronously so a failure also surfaces as the worker's error event on the page
+            self.importScripts(...job.scripts);
+            ready = true;
+            console.log('Conversion worker ready.');
+        } else if (ready) {
+            convert(job);
+        } else {
+            self.postMessage({ id: job.id, unavailable: true });
+        }
+    };
+
+    /**
+     * Runs one conversion job and posts its result or error back to the page.
+     * @param {Object} job - A docx, markdown, zip or odt job.
+     */
+    async function convert(job) {
+        try {
+            let result;
+            let transfer = [];
+            if (job.type === 'docx') {
+                const converted = await self.mammoth.convertToHtml({ arrayBuffer: job.arrayBuffer }, { styleMap: job.styleMap });
+                result = {
+                    html: converted.value,
+                    messages: converted.messages.map(message => ({ type: message.type, message: message.message }))
+                };
+            } else if (job.type === 'markdown') {
+                result = { html: self.marked.parse(job.text) };
+            } else if (job.type === 'zip') {
+                result = await expandArchive(job.arrayBuffer, job.extensions);
+                transfer = result.documents.map(entry => entry.arrayBuffer);
+            } else if (job.type === 'odt') {
+                result = await readOdtPackage(job.arrayBuffer);
+                transfer = Array.from(new Set(Object.values(result.images).map(image => image.bytes.buffer)));
+            } else {
+                throw new Error(`Unknown conversion job type: ${job.type}`);
+            }
+            self.postMessage({ id: job.id, result }, transfer);
+        } catch (error) {
+            self.postMessage({ id: job.id, error: error && error.message ? error.message : String(error) });
+        }
+    }
+
+    /**
+     * Unzips the supported documents in a .zip upload. Folders, hidden and system files (such as
+     * __MACOSX and Word lock files) are skipped silently; other unsupported files are counted.
+     * @param {ArrayBuffer} arrayBuffer - The archive.
+     * @param {Array<string>} extensions - Supported lowercase extensions, without the dot.
+     * @returns {Promise<{documents: Array<{path: string, arrayBuffer: ArrayBuffer}>, skipped: number}>}
+     */
+    async function expandArchive(arrayBuffer, extensions) {
+        const zip = await self.JSZip.loadAsync(arrayBuffer);
+        const documents = [];
+        let skipped = 0;
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir) {
+                continue;
+            }
+            const path = entry.name;
+            const isHidden = path.split('/').some(part => part.startsWith('.') || part.startsWith('~$') || part === '__MACOSX');
+            const extension = /\.([^./]+)$/.exec(path);
+            if (isHidden || !extension || !extensions.includes(extension[1].toLowerCase())) {
+                if (!isHidden) {
+                    skipped++;
+                }
+                continue;
+            }
+            documents.push({ path, arrayBuffer: await entry.async('arraybuffer') });
+        }
+        return { documents, skipped };
+    }
+
+    /**
+     * Unzips an OpenDocument file into the parts the page converts: content.xml and styles.xml as text,
+     * and every other file outside META-INF and Thumbnails (the embedded pictures) as bytes and base64.
+     * @param {ArrayBuffer} arrayBuffer - The .odt file.
+     * @returns {Promise<{texts: Object<string, string>, images: Object<string, {bytes: Uint8Array, base64: string}>}>}
+     */
+    async function readOdtPackage(arrayBuffer) {
+        const zip = await self.JSZip.loadAsync(arrayBuffer);
+        const texts = {};
+        const images = {};
+        for (const entry of Object.values(zip.files)) {
+            const path = entry.name;
+            if (entry.dir || path === 'mimetype' || /^(META-INF|Thumbnails)\//.test(path)) {
+                continue;
+            }
+            if (path === 'content.xml' || path === 'styles.xml') {
+                texts[path] = await entry.async('string');
+            } else if (!/\.xml$/i.test(path)) {
+                images[path] = { bytes: await entry.async('uint8array'), base64: await entry.async('base64') };
+            }
+        }
+        return { texts, images };
+    }
+})();
@@ -1,16 +1,376 @@
 (function() {
     'use strict';
 
+    // IndexedDB location of the autosaved workspace
+    const SESSION_DB_NAME = 'PacketCompiler';
+    const SESSION_DB_VERSION = 1;
+    const SESSION_STORE_NAME = 'session';
+    const SESSION_RECORD_KEY = 'current';
+    const SESSION_SAVE_DELAY = 500; // Debounce autosaves triggered by rapid display updates
+
+    // Saved project files
+    const PROJECT_FILE_FORMAT = 'packet-compiler-project';
+    const PROJECT_FILE_VERSION = 2; // 2: adds sections and packet sectionId
+    const PROJECT_FILE_NAME = 'Packet_Compiler_Project.json';
+
+    // Looks for the HTML download. Each theme's CSS goes after the base stylesheet; its text and
+    // background colors are what the accessibility check measures inline colors against.
+    const EXPORT_THEMES = {
+        standard: { label: 'Standard', textColor: '#333333', backgroundColor: '#ffffff', css: '' },
+        classic: {
+            label: 'Classic serif reader',
+            textColor: '#2b2b2b',
+            backgroundColor: '#fdfbf6',
+            css: `
+        body { font-family: Georgia, "Iowan Old Style", "Palatino Linotype", Palatino, serif; font-size: 1.1em; line-height: 1.7; max-width: 42em; color: #2b2b2b; background-color: #fdfbf6; }
+        h1, h2, h3 { color: #3b2f2f; font-weight: normal; }
+        h1 { border-bottom: 1px solid #d8cfc0; letter-spacing: 0.02em; }
+        .packet-section { border-bottom: none; }
+        .packet-section + .packet-section::before { content: "\\2766"; display: block; text-align: center; color: #8a7a66; margin-bottom: 1.5em; }
+        .packet-metadata { color: #6b5d4f; }
+        .table-of-contents { background-color: #f6f1e7; border-color: #e4dccb; }
+        .table-of-contents a { color: #6b3e26; }
+`
+        },
+        modern: {
+            label: 'Modern sans',
+            textColor: '#1f2937',
+            backgroundColor: '#ffffff',
+            css: `
+        body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; line-height: 1.65; color: #1f2937; }
+        h1, h2, h3 { color: #111827; font-weight: 700; letter-spacing: -0.01em; }
+        h1 { text-align: left; border-bottom: 4px solid #2563eb; }
+        .packet-section { border-bottom: 1px solid #e5e7eb; }
+        .packet-metadata { color: #6b7280; font-size: 0.9em; }
+        .table-of-contents { background-color: #f3f4f6; border: none; border-radius: 8px; }
+        .table-of-contents h2 { text-align: left; border-bottom: none; }
+        .table-of-contents a { color: #2563eb; }
+`
+        },
+        highContrast: {
+            label: 'High contrast',
+            textColor: '#000000',
+            backgroundColor: '#ffffff',
+            css: `
+        body { font-size: 1.2em; line-height: 1.8; color: #000; background-color: #fff; }
+        h1, h2, h3 { color: #000; }
+        h1 { border-bottom: 3px solid #000; }
+        .packet-section { border-bottom: 3px solid #000; }
+        .table-of-contents { background-color: #fff; border: 2px solid #000; }
+        .table-of-contents h2 { border-bottom-color: #000; }
+        .table-of-contents a, .packet-content a { color: #0000ee; text-decoration: underline; }
+        a:focus { outline: 3px solid #000; outline-offset: 2px; }
+        .packet-content table, .packet-content th, .packet-content td { border: 1px solid #000; }
+`
+        },
+        compact: {
+            label: 'Compact print',
+            textColor: '#000000',
+            backgroundColor: '#ffffff',
+            css: `
+        body { font-family: "Helvetica Neue", Arial, sans-serif; font-size: 10.5pt; line-height: 1.35; max-width: 900px; margin: 1em auto; color: #000; }
+        h1, h2, h3 { color: #000; margin-top: 1em; margin-bottom: 0.3em; }
+        h1 { font-size: 1.6em; margin-top: 0; }
+        h2 { font-size: 1.3em; }
+        h3 { font-size: 1.1em; }
+        .packet-section { margin-bottom: 1em; padding-bottom: 0.5em; }
+        .packet-content p { margin-bottom: 0.3em; }
+        .table-of-contents { margin: 1em 0; padding: 0.5em 1em; background: none; }
+        .table-of-contents ol { columns: 2; column-gap: 2em; }
+        .table-of-contents li { margin-bottom: 0.2em; break-inside: avoid; }
+        .table-of-contents a { color: #000; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            .packet-section { border-bottom: none; }
+        }
+`
+        }
+    };
+    const MAX_DOCUMENT_TITLE_LENGTH = 200;
+    const MAX_OUTPUT_FILENAME_LENGTH = 100;
+    const MAX_CUSTOM_CSS_LENGTH = 20000;
+    const EXPORT_PREVIEW_PACKETS = 2; // Packets shown in the theme preview
+    const EXPORT_PREVIEW_BLOCKS = 8; // Top-level blocks shown of each previewed packet
+
+    // Export settings, remembered in localStorage and stored in project files
+    const EXPORT_SETTINGS_STORAGE_KEY = 'packetCompiler.exportSettings';
+    const DEFAULT_EXPORT_SETTINGS = {
+        includeTableOfContents: true,
+        includePacketMetadata: true,
+        printLayout: false,
+        readerNavigation: false, // Sidebar table of contents, search and back-to-top links in the HTML download
+        markdownImages: 'inline',
+        tocHeadingDepth: 0,
+        optimizeImages: false, // Downsample, re-encode and deduplicate embedded images in downloads
+        imageMaxWidth: 1600, // Pixels; wider images are scaled down
+        imageQuality: 0.8, // JPEG quality for re-encoded photos
+        auditBeforeDownload: true, // Run the accessibility check before the HTML, Word, EPUB and Markdown downloads
+        theme: 'standard', // Key of EXPORT_THEMES, for the HTML download
+        customCss: '', // Added after the theme in the HTML download
+        documentTitle: 'Combined Packets', // Title at the top of every download
+        outputFilename: 'Combined_Packets' // Download file name without the extension
+    };
+
+    // Allowed values for export settings that are chosen from a list
+    const EXPORT_SETTING_CHOICES = {
+        markdownImages: ['inline', 'files'], // Data URIs in the .md, or a .zip with an images folder
+        tocHeadingDepth: [0, 1, 2, 3], // Heading levels inside packets listed under each packet title
+        imageMaxWidth: [800, 1200, 1600, 2400],
+        imageQuality: [0.6, 0.7, 0.8, 0.9],
+        theme: Object.keys(EXPORT_THEMES)
+    };
+
+    // Image optimization for downloads
+    const OPTIMIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/bmp']; // GIFs may be animated
+    const LARGE_LOSSLESS_IMAGE_BYTES = 300 * 1024; // Opaque PNG/BMP images this large are likely scans, re-encoded as JPEG
+
+    // Accessibility check of the compiled packet, in the order the checklist shows them
+    const ACCESSIBILITY_CHECKS = {
+        altText: {
+            passed: 'Every image has alt text',
+            failed: 'Images without alt text',
+            hint: 'Describe what each image shows, or mark it as decorative if it adds nothing to the text.'
+        },
+        headingLevels: {
+            passed: 'No skipped heading levels',
+            failed: 'Skipped heading levels',
+            hint: 'Headings should go down one level at a time below the packet title. Edit the packet, or fix the heading styles in the source document and process it again.'
+        },
+        tableHeaders: {
+            passed: 'Every table has a header row',
+            failed: 'Tables without a header row',
+            hint: 'Screen readers read header cells out with each value. Use the first row as the header, or mark a header row in the source document.'
+        },
+        linkText: {
+            passed: 'Link text describes where links go',
+            failed: 'Links with unclear text',
+            hint: 'Link text should make sense on its own, e.g. "Course syllabus (PDF)" rather than "click here". Edit the packet to reword it.'
+        },
+        contrast: {
+            passed: 'No low-contrast inline colors',
+            failed: 'Low-contrast inline colors',
+            hint: 'Colored text needs a contrast ratio of at least 4.5:1 with its background.'
+        }
+    };
+    const VAGUE_LINK_TEXTS = new Set([
+        'click here', 'click', 'here', 'this', 'this link', 'link', 'read more', 'more', 'learn more', 'more info',
+        'details', 'go', 'see here', 'continue'
+    ]);
+    const MIN_TEXT_CONTRAST = 4.5; // WCAG 2 AA for normal-size text
+
+    // Downloads the accessibility check runs before, with the method that builds each one
+    const AUDITED_DOWNLOADS = {
+        html: { label: 'HTML', method: 'downloadCombinedDocument' },
+        docx: { label: 'Word', method: 'downloadCombinedDocx' },
+        epub: { label: 'EPUB', method: 'downloadCombinedEpub' },
+        markdown: { label: 'Markdown', method: 'downloadCombinedMarkdown' }
+    };
+
+    // Upload processing settings, remembered in localStorage for the next upload
+    const PROCESSING_SETTINGS_STORAGE_KEY = 'packetCompiler.processingSettings';
+    const DEFAULT_PROCESSING_SETTINGS = {
+        splitStrategy: 'auto',
+        customSeparator: '',
+        minDocumentLength: 50, // Documents with less text than this are reported as empty
+        minSplitLength: 100, // Automatic detection needs two packets at least this long to accept a split
+        minSectionLength: 50, // Shortest packet kept when splitting on headings, separators or page breaks
+        minParagraphSectionLength: 150, // Shortest packet kept when splitting on blank paragraphs
+        duplicateSimilarity: 70, // Percent of shared wording at which a new packet is held back as a likely duplicate
+        fileStrategies: {}, // Per-filename strategy overrides
+        styleMappings: [], // Word styles mapped to elements, see STYLE_MAP_TARGETS
+        styleMapPresets: {}, // Saved sets of style mappings, by preset name
+        allowRemoteImages: false // Keep images linked from the web (http/https) instead of removing them
+    };
+
+    // How a document is divided into packets, with the labels shown in the options panel
+    const SPLIT_STRATEGIES = {
+        auto: 'Automatic (headings, then separators, then blank lines)',
+        h1: 'Heading 1 only',
+        h2: 'Heading 2 only',
+        separator: 'Custom separator line',
+        pagebreak: 'Page breaks',
+        none: 'Never split (one packet per file)'
+    };
+    const MAX_REMEMBERED_FILE_STRATEGIES = 100; // Oldest per-file overrides are forgotten beyond this
+
+    // Near-duplicate detection when reviewed packets are added
+    const DUPLICATE_SIMILARITY_CHOICES = [0, 60, 70, 80, 90]; // 0 turns it off; exact copies are always skipped
+    const DUPLICATE_SHINGLE_SIZE = 3; // Words per shingle when comparing packet text
+    const MAX_DIFF_EDITS = 2000; // Beyond this many word changes the side-by-side view shows no highlights
+
+    // What Word paragraph ("p") and character ("r") styles can be mapped to, with the Mammoth style map
+    // output for each. "{class}" is replaced with a class derived from the style name, e.g. "style-epigraph".
+    const STYLE_MAP_TARGETS = {
+        paragraph: {
+            h1: { label: 'Heading 1', output: 'h1:fresh' },
+            h2: { label: 'Heading 2', output: 'h2:fresh' },
+            h3: { label: 'Heading 3', output: 'h3:fresh' },
+            blockquote: { label: 'Block quote', output: 'blockquote > p:fresh' },
+            classed: { label: 'Paragraph with its own class', output: 'p.{class}:fresh' },
+            ignore: { label: 'Leave out', output: '!' }
+        },
+        character: {
+            strong: { label: 'Bold', output: 'strong' },
+            em: { label: 'Italic', output: 'em' },
+            classed: { label: 'Text with its own class', output: 'span.{class}' },
+            ignore: { label: 'Leave out', output: '!' }
+        }
+    };
+    const STYLE_MAP_TYPES = { paragraph: 'Paragraph style', character: 'Character style' };
+    const MAX_STYLE_NAME_LENGTH = 100;
+
+    // Presets offered alongside the ones users save
+    const BUILT_IN_STYLE_MAP_PRESETS = {
+        'Poetry and anthologies': [
+            { type: 'paragraph', styleName: 'Poem Title', target: 'h1' },
+            { type: 'paragraph', styleName: 'Author', target: 'classed' },
+            { type: 'paragraph', styleName: 'Epigraph', target: 'classed' },
+            { type: 'paragraph', styleName: 'Block Quote', target: 'blockquote' }
+        ],
+        'Word built-in styles': [
+            { type: 'paragraph', styleName: 'Title', target: 'h1' },
+            { type: 'paragraph', styleName: 'Subtitle', target: 'h2' },
+            { type: 'paragraph', styleName: 'Quote', target: 'blockquote' },
+            { type: 'paragraph', styleName: 'Intense Quote', target: 'blockquote' },
+            { type: 'character', styleName: 'Strong', target: 'strong' },
+            { type: 'character', styleName: 'Emphasis', target: 'em' }
+        ]
+    };
+
+    // Unzipping (.zip uploads, OpenDocument files) and Word and Markdown conversion run in a pool of these
+    // workers, or on the main thread if they cannot start. Finding packets needs the DOM and stays on the page.
+    const CONVERSION_WORKER_URL = 'conversion-worker.js';
+    const MAX_CONVERSION_WORKERS = 4;
+
+    // Stages of a file's progress through processing, with the share of its work done at each
+    const FILE_PROGRESS_STAGES = {
+        waiting: { label: 'Waiting', progress: 0 },
+        converting: { label: 'Converting…', progress: 0.1 },
+        splitting: { label: 'Finding packets…', progress: 0.7 },
+        done: { label: 'Done', progress: 1 },
+        failed: { label: 'Failed', progress: 1 },
+        cancelled: { label: 'Cancelled', progress: 1 }
+    };
+
+    // Document types accepted for upload, by file extension
+    const INPUT_FILE_TYPES = {
+        docx: 'docx', // Converted with Mammoth
+        odt: 'odt', // Unzipped with JSZip and converted from content.xml
+        html: 'html',
+        htm: 'html',
+        md: 'markdown', // Converted with marked
+        markdown: 'markdown',
+        txt: 'text'
+    };
+    const SUPPORTED_INPUT_DESCRIPTION = 'Word (.docx), OpenDocument (.odt), HTML, Markdown (.md) and plain text (.txt)';
+
+    // HTML allowed in packets: the formatting Mammoth and the other input readers produce, with the
+    // attributes each element may keep. Anything else is unwrapped (its text kept) by sanitizeHtml.
+    const SANITIZER_ALLOWED_ELEMENTS = {
+        p: ['class'], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], blockquote: [], pre: [], hr: ['class'], br: [],
+        strong: [], b: [], em: [], i: [], u: [], s: [], del: [], ins: [], sup: [], sub: [], small: [], mark: [],
+        code: [], kbd: [], samp: [], var: [], cite: [], abbr: ['title'], span: ['class'],
+        a: ['href', 'title'], img: ['src', 'alt', 'title', 'width', 'height'],
+        ul: [], ol: ['start', 'type'], li: ['value'], dl: [], dt: [], dd: [],
+        table: [], caption: [], colgroup: ['span'], col: ['span'], thead: [], tbody: [], tfoot: [], tr: [],
+        th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'],
+        figure: [], figcaption: []
+    };
+    const SANITIZER_GLOBAL_ATTRIBUTES = ['id', 'lang', 'dir', 'style']; // Ids are kept for footnote and heading links
+
+    // Inline style properties kept by sanitizeHtml, so text colors survive for the export and its contrast check.
+    // Values must be a plain color: a hex code, rgb()/rgba() or a color keyword.
+    const SANITIZER_STYLE_PROPERTIES = { color: 'color', 'background-color': 'background-color', background: 'background-color' };
+    const SANITIZER_STYLE_COLOR = /^(#[0-9a-f]{3,8}|rgba?\(\s*[\d.]+%?(\s*[,/]?\s*[\d.]+%?){2,3}\s*\)|[a-z]+)$/i;
+
+    // Elements removed together with their contents
+    const SANITIZER_DROPPED_ELEMENTS = new Set([
+        'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'math', 'canvas',
+        'audio', 'video', 'source', 'track', 'portal', 'dialog'
+    ]);
+
+    // URL schemes allowed in links and image sources; relative URLs and #fragments are always allowed.
+    // Images from the web load from a third-party server whenever a packet is shown or downloaded,
+    // so they are kept only with the allowRemoteImages processing setting.
+    const SANITIZER_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+    const SANITIZER_REMOTE_IMAGE_SCHEMES = ['http', 'https'];
+
+    // OpenDocument XML namespaces, keyed by the prefixes used in the specification
+    const ODF_NAMESPACES = {
+        office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+        style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+        text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+        table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+        draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+        fo: 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+        svg: 'urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0',
+        xlink: 'http://www.w3.org/1999/xlink'
+    };
+    const ODF_PREFIXES = Object.fromEntries(Object.entries(ODF_NAMESPACES).map(([prefix, uri]) => [uri, prefix]));
+
+    // Page layout wrappers in uploaded web pages, replaced by their contents so blocks sit at the top level
+    const HTML_LAYOUT_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'CENTER']);
+
+    // Web page elements that never hold reading content
+    const HTML_IGNORED_SELECTOR = 'script, style, noscript, template, iframe, object, embed, link, meta, nav, form, button, input, select, textarea, svg, canvas';
+
+    // Elements converted as paragraphs or containers rather than inline runs in the Word export
+    const DOCX_BLOCK_TAGS = new Set([
+        'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'BLOCKQUOTE', 'PRE', 'HR',
+        'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION',
+        'CAPTION', 'DL', 'DT', 'DD', 'ADDRESS'
+    ]);
+
+    // Image file extensions that can be packaged in exported documents, with their MIME types
+    const IMAGE_EXTENSION_TYPES = {
+        png: 'image/png',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        bmp: 'image/bmp',
+        tiff: 'image/tiff',
+        emf: 'image/x-emf',
+        wmf: 'image/x-wmf'
+    };
+
+    // Image types e-readers must support (EPUB core media types); others are converted or left out
+    const EPUB_IMAGE_EXTENSIONS = ['png', 'jpeg', 'gif'];
+
+    // Characters not allowed anywhere in an XML 1.0 document
+    const INVALID_XML_CHARACTERS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
     class PacketCompiler {
         constructor() {
+            // Ids in the page's own markup, taken before any packet content is shown; sanitizeHtml() drops them from packets
+            this.appElementIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
             this.packets = [];
             this.selectedFiles = [];
             this.draggedIndex = null;
             this.isProcessing = false;
+            this.processingCancelled = false;
+            this.conversionPool = null; // Web Workers converting documents during a batch
             this.notificationTimeout = null;
+            this.sessionDbPromise = null;
+            this.sessionSaveTimeout = null;
+            this.sessionRestorePending = true; // Autosave stays off until the user decides about a saved session
+            this.exportSettings = this.loadExportSettings();
+            this.processingSettings = this.loadProcessingSettings();
+            this.sections = []; // User-defined parts/units; packets reference them by sectionId
+            this.packetFilter = { query: '', filename: '' }; // Search box and source file filter for the packet list
+            this.visiblePacketIds = null; // Packets shown by the current filter, set by renderPacketList()
+            this.viewingPacketId = null; // Packet shown in the view/edit modal
+            this.packetEditOriginal = null; // Title and HTML when editing started, for unsaved-change checks
+            this.reviewFiles = []; // Extraction results waiting to be accepted from the review panel
+            this.duplicateReview = []; // New packets held back as likely duplicates of loaded ones, see findNearDuplicate()
+            this.processingReport = null; // Per-file outcome of the last batch, shown in the processing report
+            this.exportImages = null; // Optimized images for the download being built, see prepareExportImages()
+            this.exportInProgress = false; // One download is built at a time, since they share exportImages
+            this.accessibilityAudit = null; // Open accessibility checklist: {issues, pendingDownload}
+            this.acknowledgedAuditSignature = null; // Issues the user chose to download anyway, see getAuditSignature()
             console.log('PacketCompiler initialized.');
             this.initializeEventListeners();
             this.updateDisplay();
+            this.initializeSessionPersistence();
         }
 
         /**
@@ -49,7 +409,85 @@
             // Download button click event
             downloadBtn.addEventListener('click', () => {
                 console.log('Download button clicked.');
-                this.downloadCombinedDocument();
+                this.downloadWithAudit('html');
+            });
+
+            // Word download button click event
+            document.getElementById('downloadDocxBtn')?.addEventListener('click', () => {
+                console.log('Download Word button clicked.');
+                this.downloadWithAudit('docx');
+            });
+
+            // EPUB download button click event
+            document.getElementById('downloadEpubBtn')?.addEventListener('click', () => {
+                console.log('Download EPUB button clicked.');
+                this.downloadWithAudit('epub');
+            });
+
+            // Markdown and plain text download button click events
+            document.getElementById('downloadMarkdownBtn')?.addEventListener('click', () => {
+                console.log('Download Markdown button clicked.');
+                this.downloadWithAudit('markdown');
+            });
+            document.getElementById('downloadTextBtn')?.addEventListener('click', () => {
+                console.log('Download plain text button clicked.');
+                this.downloadCombinedText();
+            });
+
+            // Packet viewer editing controls
+            document.getElementById('editPacketBtn')?.addEventListener('click', () => {
+                console.log('Edit packet button clicked.');
+                this.startPacketEdit();
+            });
+            document.getElementById('cancelPacketEditBtn')?.addEventListener('click', () => this.cancelPacketEdit());
+            document.getElementById('savePacketEditBtn')?.addEventListener('click', () => this.savePacketEdit());
+            document.getElementById('splitPacketBtn')?.addEventListener('click', () => {
+                console.log('Split packet button clicked.');
+                this.setPacketSplitMode(!document.getElementById('packetModalContent')?.classList.contains('splitting'));
+            });
+            document.getElementById('packetModalContent')?.addEventListener('click', (e) => this.handleSplitPointSelection(e));
+            document.getElementById('packetModalContent')?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    this.handleSplitPointSelection(e);
+                }
+            });
+            document.getElementById('packetEditorToolbar')?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-editor-command]');
+                if (button) {
+                    this.runEditorCommand(button.dataset.editorCommand, button.dataset.editorValue);
+                }
+            });
+            document.getElementById('packetTitleInput')?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.savePacketEdit();
+                }
+            });
+            // Paste as plain text so Word and web styling does not leak into the export
+            document.getElementById('packetModalContent')?.addEventListener('paste', (e) => {
+                if (e.currentTarget.getAttribute('contenteditable') !== 'true' || !e.clipboardData) {
+                    return;
+                }
+                e.preventDefault();
+                document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+            });
+
+            // Packet list search and source file filter
+            document.getElementById('packetSearch')?.addEventListener('input', (e) => this.setPacketFilter({ query: e.target.value }));
+            document.getElementById('packetSourceFilter')?.addEventListener('change', (e) => this.setPacketFilter({ filename: e.target.value }));
+            document.getElementById('clearPacketFilterBtn')?.addEventListener('click', () => {
+                console.log('Clear packet filter button clicked.');
+                this.setPacketFilter({ query: '', filename: '' });
+                document.getElementById('packetSearch')?.focus();
+            });
+
+            // Section creation
+            document.getElementById('addSectionForm')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const titleInput = document.getElementById('newSectionTitle');
+                if (titleInput && this.addSection(titleInput.value)) {
+                    titleInput.value = '';
+                }
             });
 
             // Clear button click event
@@ -58,6 +496,172 @@
                 this.clearAllPackets();
             });
 
+            // Project file buttons
+            const projectFile = document.getElementById('projectFile');
+            document.getElementById('saveProjectBtn')?.addEventListener('click', () => {
+                console.log('Save project button clicked.');
+                this.saveProject();
+            });
+            document.getElementById('openProjectBtn')?.addEventListener('click', () => {
+                console.log('Open project button clicked.');
+                projectFile?.click();
+            });
+            projectFile?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.openProject(file);
+                }
+                e.target.value = ''; // Allow reopening the same file
+            });
+
+            // Export option checkboxes, selects and text fields
+            document.querySelectorAll('[data-export-setting]').forEach(input => {
+                const key = input.dataset.exportSetting;
+                const isText = input.tagName === 'TEXTAREA' || input.type === 'text';
+                input.addEventListener('change', () => {
+                    this.updateExportSetting(key, input.type === 'checkbox' ? input.checked : input.value);
+                    if (isText) {
+                        input.value = this.exportSettings[key]; // Show the cleaned-up title or file name
+                    }
+                });
+                if (isText) {
+                    // Typing updates the preview; the field is tidied once it loses focus
+                    input.addEventListener('input', () => this.updateExportSetting(key, input.value));
+                }
+            });
+            this.renderExportSettings();
+            document.getElementById('exportOptions')?.addEventListener('toggle', () => this.renderExportPreview());
+
+            // Processing option inputs
+            document.querySelectorAll('[data-processing-setting]').forEach(input => {
+                input.addEventListener('change', () => {
+                    this.updateProcessingSetting(input.dataset.processingSetting, input.type === 'checkbox' ? input.checked : input.value);
+                });
+            });
+            this.renderProcessingSettings();
+
+            // Word style mapping editor
+            const styleMapList = document.getElementById('styleMapList');
+            styleMapList?.addEventListener('change', (e) => {
+                const row = e.target.closest('[data-style-map-index]');
+                if (row && e.target.dataset.styleMapField) {
+                    this.updateStyleMapping(Number(row.dataset.styleMapIndex), e.target.dataset.styleMapField, e.target.value);
+                }
+            });
+            styleMapList?.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-style-map-remove]');
+                if (removeBtn) {
+                    this.removeStyleMapping(Number(removeBtn.dataset.styleMapRemove));
+                }
+            });
+            document.getElementById('addStyleMappingBtn')?.addEventListener('click', () => this.addStyleMapping());
+            document.getElementById('styleMapPreset')?.addEventListener('change', () => this.updateStyleMapPresetButtons());
+            document.getElementById('loadStyleMapPresetBtn')?.addEventListener('click', () => this.loadStyleMapPreset());
+            document.getElementById('saveStyleMapPresetBtn')?.addEventListener('click', () => this.saveStyleMapPreset());
+            document.getElementById('deleteStyleMapPresetBtn')?.addEventListener('click', () => this.deleteStyleMapPreset());
+            this.renderStyleMappings();
+
+            // Per-file split strategy choices for the selected documents
+            document.getElementById('fileStrategyList')?.addEventListener('change', (e) => {
+                const file = this.selectedFiles[Number(e.target.dataset.fileIndex)];
+                if (file) {
+                    this.setFileSplitStrategy(file.name, e.target.value);
+                }
+            });
+
+            // Review panel: include/drop proposed packets, re-run a file, accept or discard
+            const reviewFiles = document.getElementById('reviewFiles');
+            reviewFiles?.addEventListener('change', (e) => {
+                const input = e.target.closest('input[data-review-packet]');
+                if (input) {
+                    this.setReviewPacketIncluded(Number(input.dataset.reviewFile), Number(input.dataset.reviewPacket), input.checked);
+                }
+            });
+            reviewFiles?.addEventListener('click', (e) => {
+                const rerunBtn = e.target.closest('[data-review-rerun]');
+                if (rerunBtn) {
+                    const fileIndex = Number(rerunBtn.dataset.reviewRerun);
+                    this.rerunReviewFile(fileIndex, document.getElementById(`reviewStrategy${fileIndex}`).value);
+                }
+            });
+            document.getElementById('acceptReviewBtn')?.addEventListener('click', () => {
+                console.log('Accept review button clicked.');
+                this.acceptReviewedPackets();
+            });
+            document.getElementById('cancelReviewBtn')?.addEventListener('click', () => {
+                console.log('Discard review button clicked.');
+                this.discardReview();
+            });
+
+            // Possible duplicates: keep the loaded packet, keep both, or replace the older copy
+            document.getElementById('duplicatePairs')?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-duplicate-choice]');
+                if (button) {
+                    this.resolveDuplicate(Number(button.dataset.duplicateIndex), button.dataset.duplicateChoice);
+                }
+            });
+            // The word-by-word comparison is only worked out when a pair's comparison is opened (toggle does not bubble)
+            document.getElementById('duplicatePairs')?.addEventListener('toggle', (e) => {
+                if (e.target.matches('[data-duplicate-comparison]')) {
+                    this.toggleDuplicateComparison(e.target);
+                }
+            }, true);
+
+            document.getElementById('cancelProcessingBtn')?.addEventListener('click', () => {
+                console.log('Cancel processing button clicked.');
+                this.cancelProcessing();
+            });
+
+            // Processing report
+            document.getElementById('downloadReportTextBtn')?.addEventListener('click', () => this.downloadProcessingReport('text'));
+            document.getElementById('downloadReportCsvBtn')?.addEventListener('click', () => this.downloadProcessingReport('csv'));
+            document.getElementById('closeReportBtn')?.addEventListener('click', () => this.closeProcessingReport());
+
+            // Accessibility check: alt text entry, header row fixes and viewing the offending packet
+            const auditChecks = document.getElementById('accessibilityAuditChecks');
+            auditChecks?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-audit-action]');
+                if (!button) {
+                    return;
+                }
+                const issue = this.accessibilityAudit?.issues[Number(button.dataset.auditIssue)];
+                if (!issue) {
+                    return;
+                }
+                if (button.dataset.auditAction === 'view') {
+                    this.viewPacket(issue.packetId);
+                } else if (button.dataset.auditAction === 'saveAlt') {
+                    this.setImageAltText(issue, document.getElementById(`auditAlt${button.dataset.auditIssue}`).value);
+                } else if (button.dataset.auditAction === 'decorative') {
+                    this.setImageAltText(issue, '', true);
+                } else if (button.dataset.auditAction === 'headerRow') {
+                    this.useFirstRowAsTableHeader(issue);
+                }
+            });
+            auditChecks?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.matches('input[data-audit-alt]')) {
+                    e.preventDefault();
+                    this.setImageAltText(this.accessibilityAudit?.issues[Number(e.target.dataset.auditAlt)], e.target.value);
+                }
+            });
+            document.getElementById('checkAccessibilityBtn')?.addEventListener('click', () => {
+                console.log('Check accessibility button clicked.');
+                this.openAccessibilityAudit(null);
+            });
+            document.getElementById('rerunAuditBtn')?.addEventListener('click', () => this.refreshAccessibilityAudit());
+            document.getElementById('closeAuditBtn')?.addEventListener('click', () => this.closeAccessibilityAudit());
+            document.getElementById('auditDownloadBtn')?.addEventListener('click', () => this.downloadAfterAudit());
+
+            // Saved session restore choice
+            document.getElementById('restoreSessionBtn')?.addEventListener('click', () => {
+                console.log('Restore session button clicked.');
+                this.restoreSavedSession();
+            });
+            document.getElementById('startFreshBtn')?.addEventListener('click', () => {
+                console.log('Start fresh button clicked.');
+                this.discardSavedSession();
+            });
+
             // --- Drag and drop functionality for the file label ---
             ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
                 fileLabel.addEventListener(eventName, (e) => this.preventDefaults(e), false);
@@ -79,19 +683,17 @@
 
             fileLabel.addEventListener('drop', (e) => {
                 console.log('File dropped.');
-                const files = Array.from(e.dataTransfer.files).filter(file =>
-                    file.name.toLowerCase().endsWith('.docx')
-                );
+                const files = Array.from(e.dataTransfer.files).filter(file => this.getInputFileType(file.name) || this.isZipArchive(file.name));
                 if (files.length > 0) {
                     const dt = new DataTransfer();
                     files.forEach(file => dt.items.add(file));
                     wordFiles.files = dt.files;
                     const event = new Event('change', { bubbles: true });
                     wordFiles.dispatchEvent(event); // Trigger change event programmatically
-                    console.log('Dropped .docx files, dispatched change event.');
+                    console.log('Dropped supported files, dispatched change event.');
                 } else if (e.dataTransfer.files.length > 0) {
-                    this.showNotification('Please upload only .docx files', 'warning');
-                    console.warn('Dropped files but none were .docx.');
+                    this.showNotification(`Please upload only ${SUPPORTED_INPUT_DESCRIPTION} files, or .zip archives of them`, 'warning');
+                    console.warn('Dropped files but none were a supported type.');
                 }
             }, false);
             console.log('Event listeners initialized successfully.');
@@ -108,24 +710,50 @@
 
         /**
          * Handles file selection from the input or drag-and-drop.
-         * Validates file types and updates the UI accordingly.
+         * Validates file types, expands .zip archives into the documents they contain,
+         * and updates the UI accordingly.
          * @param {Event} event - The change event from the file input.
+         * @returns {Promise<void>} Resolves once archives have been read and the UI updated.
          */
-        handleFileSelect(event) {
+        async handleFileSelect(event) {
             const files = Array.from(event.target.files);
             console.log('Files selected in handleFileSelect:', files);
 
             const fileLabel = document.getElementById('fileLabel');
             const processBtn = document.getElementById('processBtn');
 
-            const validFiles = files.filter(file => file.name.toLowerCase().endsWith('.docx'));
-            const invalidFiles = files.filter(file => !file.name.toLowerCase().endsWith('.docx'));
-
+            const invalidFiles = files.filter(file => !this.getInputFileType(file.name) && !this.isZipArchive(file.name));
             if (invalidFiles.length > 0) {
-                this.showNotification(`${invalidFiles.length} invalid file(s) ignored. Only .docx files are supported.`, 'warning');
+                this.showNotification(`${invalidFiles.length} invalid file(s) ignored. Only ${SUPPORTED_INPUT_DESCRIPTION} files, or .zip archives of them, are supported.`, 'warning');
                 console.warn(`${invalidFiles.length} invalid file(s) ignored.`);
             }
 
+            // Archives are expanded in place, so documents keep the order they were selected in
+            const validFiles = [];
+            const archiveCount = files.filter(file => this.isZipArchive(file.name)).length;
+            // Archives are unzipped in a worker; a batch already running lends its pool
+            const ownWorker = archiveCount > 0 && !this.conversionPool;
+            if (archiveCount > 0) {
+                processBtn.disabled = true;
+                this.announceToScreenReader('process-status', `Reading ${archiveCount} archive${archiveCount > 1 ? 's' : ''}...`);
+                if (ownWorker) {
+                    this.startConversionWorkers(1);
+                }
+            }
+            try {
+                for (const file of files) {
+                    if (this.isZipArchive(file.name)) {
+                        validFiles.push(...await this.expandZipArchive(file));
+                    } else if (this.getInputFileType(file.name)) {
+                        validFiles.push(file);
+                    }
+                }
+            } finally {
+                if (ownWorker) {
+                    this.stopConversionWorkers();
+                }
+            }
+
             if (validFiles.length > 0) {
                 this.selectedFiles = validFiles;
                 console.log('Valid files assigned to this.selectedFiles:', this.selectedFiles);
@@ -135,7 +763,7 @@
 
                 fileLabel.innerHTML = `
                     <span>📄</span>
-                    <span>Selected: ${validFiles.length} document${validFiles.length > 1 ? 's' : ''}</span>
+                    <span>Selected: ${validFiles.length} document${validFiles.length > 1 ? 's' : ''}${archiveCount > 0 ? ` (including ${archiveCount} archive${archiveCount > 1 ? 's' : ''})` : ''}</span>
                     <small>${this.escapeHtml(fileNames)}</small>
                 `;
                 fileLabel.classList.add('has-files');
@@ -146,33 +774,185 @@
                 this.selectedFiles = [];
                 fileLabel.innerHTML = `
                     <span>📄</span>
-                    <span>Click here or drag Word documents to upload</span>
-                    <small>Multiple files supported</small>
+                    <span>Click here or drag documents to upload</span>
+                    <small>Word, OpenDocument, HTML, Markdown or plain text, or a .zip of them · Multiple files supported</small>
                 `;
                 fileLabel.classList.remove('has-files');
                 processBtn.disabled = true;
                 this.announceToScreenReader('process-status', 'No valid documents selected');
                 console.log('No valid files selected. UI reset.');
             }
+            this.renderFileStrategyList();
+        }
+
+        /**
+         * Whether a filename is a .zip archive that may hold documents to process.
+         * @param {string} filename - The uploaded file's name.
+         * @returns {boolean} True for .zip files.
+         */
+        isZipArchive(filename) {
+            return /\.zip$/i.test(filename);
+        }
+
+        /**
+         * Lists the supported documents inside a .zip archive, sorted by their path in the archive.
+         * Folders, hidden and system files (such as __MACOSX and Word lock files), nested archives and
+         * unsupported types are skipped. With a conversion worker running, the archive is unzipped there
+         * in one go; otherwise it is opened on the main thread and each document is read only when processed.
+         * @param {File} archive - The uploaded .zip file.
+         * @returns {Promise<Array<Object>>} File-like objects with the in-archive path as name,
+         *     and arrayBuffer() and text() readers; empty if the archive cannot be opened.
+         */
+        async expandZipArchive(archive) {
+            console.log(`Expanding archive "${archive.name}"...`);
+            if (!window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                this.showNotification('JSZip library not loaded. Please check the script tag.', 'error');
+                return [];
+            }
+
+            let zip = null;
+            let expanded = null;
+            try {
+                expanded = await this.runConversionJob({ type: 'zip', arrayBuffer: await archive.arrayBuffer(), extensions: Object.keys(INPUT_FILE_TYPES) });
+                if (!expanded) {
+                    // No worker (or it failed): the buffer may have been transferred, so read the file again
+                    zip = await window.JSZip.loadAsync(await archive.arrayBuffer());
+                }
+            } catch (error) {
+                console.error(`Could not open archive "${archive.name}":`, error);
+                this.showNotification(`"${archive.name}" could not be opened as a .zip archive.`, 'error');
+                return [];
+            }
+
+            const documents = [];
+            let skippedCount = 0;
+            if (expanded) {
+                skippedCount = expanded.skipped;
+                expanded.documents.forEach(({ path, arrayBuffer }) => documents.push({
+                    name: path,
+                    archiveName: archive.name,
+                    // A copy each time, since Word conversion transfers the buffer it is given to a worker
+                    arrayBuffer: async () => arrayBuffer.slice(0),
+                    text: async () => new TextDecoder().decode(arrayBuffer)
+                }));
+            }
+            zip?.forEach((path, entry) => {
+                if (entry.dir) {
+                    return;
+                }
+                const isHidden = path.split('/').some(part => part.startsWith('.') || part.startsWith('~$') || part === '__MACOSX');
+                if (isHidden || !this.getInputFileType(path)) {
+                    if (!isHidden) {
+                        skippedCount++;
+                    }
+                    console.log(`  Skipping "${path}" in "${archive.name}".`);
+                    return;
+                }
+                documents.push({
+                    name: path,
+                    archiveName: archive.name,
+                    arrayBuffer: () => entry.async('arraybuffer'),
+                    text: () => entry.async('string')
+                });
+            });
+            documents.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+            console.log(`Found ${documents.length} documents in "${archive.name}"; skipped ${skippedCount} unsupported files.`);
+            if (documents.length === 0) {
+                this.showNotification(`No supported documents found in "${archive.name}".`, 'warning');
+            } else if (skippedCount > 0) {
+                this.showNotification(`${skippedCount} unsupported file(s) in "${archive.name}" skipped.`, 'warning');
+            }
+            return documents;
+        }
+
+        /**
+         * Lists the selected documents with a split strategy choice for each,
+         * preselecting any override remembered for the same filename.
+         */
+        renderFileStrategyList() {
+            const list = document.getElementById('fileStrategyList');
+            if (!list) {
+                return;
+            }
+            const defaultLabel = SPLIT_STRATEGIES[this.processingSettings.splitStrategy];
+            list.innerHTML = this.selectedFiles.map((file, index) => {
+                const override = this.processingSettings.fileStrategies[file.name] || '';
+                const options = [`<option value="">Default: ${this.escapeHtml(defaultLabel)}</option>`]
+                    .concat(Object.entries(SPLIT_STRATEGIES).map(([value, label]) =>
+                        `<option value="${value}"${value === override ? ' selected' : ''}>${this.escapeHtml(label)}</option>`
+                    )).join('');
+                return `
+                    <li class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-4">
+                        <label for="fileStrategy${index}" class="text-gray-700 truncate">${this.escapeHtml(file.name)}</label>
+                        <select id="fileStrategy${index}" data-file-index="${index}" class="border border-gray-300 rounded px-2 py-1 bg-white">${options}</select>
+                    </li>
+                `;
+            }).join('');
+            list.classList.toggle('hidden', this.selectedFiles.length === 0);
+        }
+
+        /**
+         * Returns the split strategy to use for a document: its remembered override or the default.
+         * @param {string} filename - The document's filename.
+         * @returns {string} A key of SPLIT_STRATEGIES.
+         */
+        getFileSplitStrategy(filename) {
+            return this.processingSettings.fileStrategies[filename] || this.processingSettings.splitStrategy;
+        }
+
+        /**
+         * Remembers a split strategy override for a filename, or clears it when the default is chosen.
+         * @param {string} filename - The document's filename.
+         * @param {string} strategy - A key of SPLIT_STRATEGIES, or an empty string for the default.
+         */
+        setFileSplitStrategy(filename, strategy) {
+            const fileStrategies = { ...this.processingSettings.fileStrategies };
+            delete fileStrategies[filename]; // Re-adding moves the entry to the newest position
+            if (strategy) {
+                fileStrategies[filename] = strategy;
+            }
+            const filenames = Object.keys(fileStrategies);
+            filenames.slice(0, Math.max(0, filenames.length - MAX_REMEMBERED_FILE_STRATEGIES))
+                .forEach(oldest => delete fileStrategies[oldest]);
+
+            this.processingSettings = this.normalizeProcessingSettings({ ...this.processingSettings, fileStrategies });
+            this.saveProcessingSettings();
+            console.log(`Split strategy for "${filename}" set to`, strategy || 'default');
         }
 
         /**
-         * Processes the selected Word documents to extract packets.
+         * Processes the selected documents to extract packets.
          * Displays progress and notifications.
          */
         async processDocuments() {
             if (this.selectedFiles.length === 0) {
-                this.showNotification('Please select Word documents first!', 'warning');
+                this.showNotification('Please select documents first!', 'warning');
                 console.warn('ProcessDocuments called with no selected files.');
                 return;
             }
 
+            if (this.reviewFiles.length > 0) {
+                this.showNotification('Add or discard the packets waiting for review before processing more documents.', 'info');
+                document.getElementById('reviewHeading')?.focus();
+                return;
+            }
+
+            const separatorFiles = this.selectedFiles.filter(file => this.getFileSplitStrategy(file.name) === 'separator');
+            if (separatorFiles.length > 0 && !this.processingSettings.customSeparator.trim()) {
+                this.showNotification('Enter a custom separator in Processing options, or choose another split strategy.', 'warning');
+                console.warn('Custom separator strategy chosen without a separator for:', separatorFiles.map(file => file.name));
+                return;
+            }
+
             if (this.isProcessing) {
                 console.log('Attempted to process while already processing.');
                 return;
             }
 
             this.isProcessing = true;
+            this.processingCancelled = false;
             const processBtn = document.getElementById('processBtn');
             const progressContainer = document.getElementById('progressContainer');
             const progressBar = document.getElementById('progressBar');
@@ -187,87 +967,104 @@
             this.announceToScreenReader('process-status', 'Processing documents...');
 
             try {
-                let processedPacketCount = 0;
-                let skippedCount = 0;
-                const totalFiles = this.selectedFiles.length;
+                const files = this.selectedFiles.slice();
+                const totalFiles = files.length;
                 console.log(`Processing ${totalFiles} selected files.`);
                 const errors = [];
-
-                for (let i = 0; i < this.selectedFiles.length; i++) {
-                    const file = this.selectedFiles[i];
-                    console.log(`Processing file ${i + 1}/${totalFiles}: ${file.name}`);
-
-                    try {
-                        const packetsFromFile = await this.extractPacketsFromDocument(file);
-                        console.log(`Extracted ${packetsFromFile ? packetsFromFile.length : 0} potential packets from ${file.name}`);
-                        if (packetsFromFile && packetsFromFile.length > 0) {
-                            for (const packetData of packetsFromFile) {
-                                if (packetData && packetData.content && packetData.content.trim().length > 0) {
-                                    // Use a combination of title and content for duplication check
-                                    const isDuplicate = this.packets.some(existing =>
-                                        existing.title.toLowerCase() === packetData.title.toLowerCase() &&
-                                        existing.content.trim() === packetData.content.trim()
-                                    );
-
-                                    if (!isDuplicate) {
-                                        this.packets.push(packetData);
-                                        processedPacketCount++;
-                                        console.log(`Added new packet: "${packetData.title}" from "${file.name}"`);
-                                    } else {
-                                        skippedCount++;
-                                        console.warn(`Duplicate packet detected and skipped: "${packetData.title || 'Untitled'}" from "${file.name}"`);
-                                    }
-                                } else {
-                                    console.warn(`Packet data from ${file.name} was empty or invalid.`);
-                                }
+                const extracted = new Array(totalFiles); // Review entries by file position, kept in selection order
+                this.processingReport = { createdAt: new Date().toISOString(), files: [] };
+                this.startConversionWorkers();
+                this.renderFileProgress(files);
+
+                // Each runner takes the next file until none are left; conversions overlap in the worker pool,
+                // while the DOM work of finding packets runs on the main thread between them
+                let nextIndex = 0;
+                const runNextFiles = async () => {
+                    while (nextIndex < totalFiles && !this.processingCancelled) {
+                        const i = nextIndex++;
+                        const file = files[i];
+                        console.log(`Processing file ${i + 1}/${totalFiles}: ${file.name}`);
+                        const strategy = this.getFileSplitStrategy(file.name);
+                        const reportEntry = this.createReportEntry(file, strategy);
+
+                        try {
+                            const extraction = await this.extractPacketsFromDocument(file, strategy, stage => this.setFileProgress(i, stage));
+                            console.log(`Extracted ${extraction.packets.length} potential packets from ${file.name} (${extraction.method})`);
+                            this.recordExtractionInReport(reportEntry, extraction);
+                            if (extraction.packets.length > 0) {
+                                extracted[i] = this.createReviewFile(file, strategy, extraction, reportEntry);
+                                this.setFileProgress(i, 'done', `${extraction.packets.length} packet${extraction.packets.length === 1 ? '' : 's'}`);
+                            } else {
+                                errors.push(`${file.name}: No valid packets found`);
+                                reportEntry.errors.push('No valid packets found.');
+                                reportEntry.status = 'Failed';
+                                this.setFileProgress(i, 'failed');
+                                console.warn(`No valid packets found in ${file.name}.`);
+                            }
+                        } catch (error) {
+                            if (error.cancelled) {
+                                reportEntry.status = 'Cancelled';
+                                this.setFileProgress(i, 'cancelled');
+                                console.log(`Processing of ${file.name} cancelled.`);
+                            } else {
+                                console.error(`Error processing ${file.name}:`, error);
+                                errors.push(`${file.name}: ${error.message}`);
+                                reportEntry.errors.push(error.message);
+                                reportEntry.status = 'Failed';
+                                this.setFileProgress(i, 'failed');
                             }
-                        } else {
-                            errors.push(`${file.name}: No valid packets found`);
-                            console.warn(`No valid packets found in ${file.name}.`);
                         }
-                    } catch (error) {
-                        console.error(`Error processing ${file.name}:`, error);
-                        errors.push(`${file.name}: ${error.message}`);
-                    }
 
-                    const progress = ((i + 1) / totalFiles) * 100;
-                    progressBar.style.width = `${progress}%`;
-                    progressBar.setAttribute('aria-valuenow', Math.round(progress).toString());
-                    console.log(`Progress: ${Math.round(progress)}%`);
-
-                    // Use requestAnimationFrame to ensure UI updates are rendered
-                    await new Promise(resolve => requestAnimationFrame(resolve));
-                }
+                        // Use requestAnimationFrame to ensure UI updates are rendered
+                        await new Promise(resolve => requestAnimationFrame(resolve));
+                    }
+                };
+                const runnerCount = Math.min(totalFiles, this.conversionPool ? this.conversionPool.workers.length : 1);
+                await Promise.all(Array.from({ length: runnerCount }, runNextFiles));
+                this.stopConversionWorkers();
+
+                // Files that were never started are recorded as cancelled
+                const cancelledCount = totalFiles - nextIndex +
+                    this.processingReport.files.filter(entry => entry.status === 'Cancelled').length;
+                files.slice(nextIndex).forEach((file, offset) => {
+                    this.createReportEntry(file, this.getFileSplitStrategy(file.name)).status = 'Cancelled';
+                    this.setFileProgress(nextIndex + offset, 'cancelled');
+                });
+                const reviewFiles = extracted.filter(Boolean);
 
                 console.log('Finished processing all files. Resetting UI.');
                 this.resetProcessingUI();
-
-                if (processedPacketCount > 0) {
-                    this.updateDisplay();
-                    let message = `Successfully processed ${processedPacketCount} new packet${processedPacketCount > 1 ? 's' : ''}!`;
-                    if (skippedCount > 0) {
-                        message += ` (${skippedCount} duplicate${skippedCount > 1 ? 's' : ''} skipped)`;
-                    }
-                    this.showNotification(message, 'success');
-                    this.announceToScreenReader('process-status', `${processedPacketCount} packets processed successfully`);
-                    this.resetFileInput();
-                    console.log('Packet processing complete. Display updated.');
-                } else {
-                    let message = 'No new packets found in the uploaded documents!';
-                    if (skippedCount > 0) {
-                        message = `All uploaded packets were duplicates or had no new content.`;
-                    }
-                    this.showNotification(message, 'warning');
+                this.renderProcessingReport();
+
+                if (reviewFiles.length > 0) {
+                    this.reviewFiles = reviewFiles;
+                    this.renderReviewPanel();
+                    document.getElementById('reviewHeading')?.focus();
+                    const proposedCount = reviewFiles.reduce((sum, reviewFile) => sum + reviewFile.packets.length, 0);
+                    this.showNotification(`Found ${proposedCount} proposed packet${proposedCount === 1 ? '' : 's'}. Review the splits, then add them to the list.`, 'info');
+                    this.announceToScreenReader('process-status', `${proposedCount} proposed packets ready for review`);
+                    console.log('Extraction complete. Waiting for review.');
+                } else if (!this.processingCancelled) {
+                    this.showNotification('No new packets found in the uploaded documents!', 'warning');
                     this.announceToScreenReader('process-status', 'No new packets found');
-                    console.log('No new packets added after processing.');
+                    console.log('No packets extracted.');
+                }
+
+                if (this.processingCancelled) {
+                    const message = `Processing cancelled: ${cancelledCount} file${cancelledCount === 1 ? '' : 's'} not processed.` +
+                        (reviewFiles.length > 0 ? ' Packets from the files already extracted are ready for review.' : '');
+                    this.showNotification(message, 'info', 8000);
+                    this.announceToScreenReader('process-status', message);
+                    console.log(message);
                 }
 
                 if (errors.length > 0) {
                     console.error('Summary of processing errors:', errors);
-                    this.showNotification(`${errors.length} file(s) had errors. Check console for details.`, 'error', 8000);
+                    this.showNotification(`${errors.length} file(s) had errors. See the processing report for details.`, 'error', 8000);
                 }
 
             } catch (error) {
+                this.stopConversionWorkers();
                 this.resetProcessingUI();
                 console.error('Unhandled critical error during document processing:', error);
                 this.showNotification('A critical error occurred: ' + error.message, 'error');
@@ -286,962 +1083,7940 @@
             progressContainer.style.display = 'none';
             processBtn.textContent = 'Process Documents';
             processBtn.disabled = this.selectedFiles.length === 0;
+            document.getElementById('fileProgress')?.classList.add('hidden');
+            const cancelBtn = document.getElementById('cancelProcessingBtn');
+            if (cancelBtn) {
+                cancelBtn.disabled = false;
+                cancelBtn.textContent = 'Cancel';
+            }
             this.isProcessing = false;
         }
 
         /**
-         * Clears the selected files from the input and resets the file label.
+         * Lists the files of a batch with their progress, all waiting, above the Cancel button.
+         * @param {Array<File>} files - The files being processed.
          */
-        resetFileInput() {
-            console.log('Resetting file input.');
-            const wordFiles = document.getElementById('wordFiles');
-            if (wordFiles) {
-                wordFiles.value = '';
-                this.handleFileSelect({ target: { files: [] } });
+        renderFileProgress(files) {
+            const container = document.getElementById('fileProgress');
+            const list = document.getElementById('fileProgressList');
+            if (!container || !list) {
+                return;
             }
+            this.fileProgress = files.map(() => 0);
+            list.innerHTML = files.map((file, index) => `
+                <li class="flex items-center justify-between gap-4">
+                    <span class="truncate text-gray-700">${this.escapeHtml(file.name)}</span>
+                    <span id="fileProgressStatus${index}" class="shrink-0 text-gray-500">${FILE_PROGRESS_STAGES.waiting.label}</span>
+                </li>
+            `).join('');
+            container.classList.remove('hidden');
         }
 
         /**
-         * Clears all loaded packets and updates the display.
+         * Moves a file to a new processing stage, updating its line in the progress list and the overall bar.
+         * @param {number} index - The file's position in the batch.
+         * @param {string} stage - A key of FILE_PROGRESS_STAGES.
+         * @param {string} [detail] - Shown after the stage label, e.g. the number of packets found.
          */
-        clearAllPackets() {
-            console.log('Clearing all packets.');
-            this.packets = [];
-            this.updateDisplay();
-            this.resetFileInput();
-            this.showNotification('All packets cleared!', 'info');
-            this.announceToScreenReader('process-status', 'All packets cleared.');
+        setFileProgress(index, stage, detail) {
+            if (!this.fileProgress || !(stage in FILE_PROGRESS_STAGES)) {
+                return;
+            }
+            this.fileProgress[index] = FILE_PROGRESS_STAGES[stage].progress;
+            const status = document.getElementById(`fileProgressStatus${index}`);
+            if (status) {
+                status.textContent = detail ? `${FILE_PROGRESS_STAGES[stage].label} (${detail})` : FILE_PROGRESS_STAGES[stage].label;
+                status.classList.toggle('text-red-700', stage === 'failed');
+                status.classList.toggle('text-green-700', stage === 'done');
+            }
+
+            const progress = this.fileProgress.reduce((sum, value) => sum + value, 0) / this.fileProgress.length * 100;
+            const progressBar = document.getElementById('progressBar');
+            if (progressBar) {
+                progressBar.style.width = `${progress}%`;
+                progressBar.setAttribute('aria-valuenow', Math.round(progress).toString());
+            }
+            console.log(`File ${index + 1}: ${stage}. Progress: ${Math.round(progress)}%`);
         }
 
         /**
-         * Extracts HTML content from a DOCX file using Mammoth.js
-         * and attempts to identify multiple packets within it.
-         * @param {File} file - The DOCX file to process.
-         * @returns {Promise<Array<Object>>} A promise resolving to an array of packet objects.
-         * @throws {Error} If Mammoth.js is not loaded or content extraction fails.
+         * Stops a running batch: files not yet converted are skipped, while packets from files
+         * already extracted still go to the review panel.
          */
-        async extractPacketsFromDocument(file) {
-            console.log(`Attempting to extract packets from "${file.name}"...`);
-            if (!window.mammoth) {
-                console.error('Mammoth library (window.mammoth) is not loaded.');
-                throw new Error('Mammoth library not loaded. Please check the script tag.');
+        cancelProcessing() {
+            if (!this.isProcessing || this.processingCancelled) {
+                return;
             }
+            this.processingCancelled = true;
+            const cancelled = new Error('Processing cancelled.');
+            cancelled.cancelled = true;
+            this.stopConversionWorkers(cancelled);
+
+            const cancelBtn = document.getElementById('cancelProcessingBtn');
+            if (cancelBtn) {
+                cancelBtn.disabled = true;
+                cancelBtn.textContent = 'Cancelling…';
+            }
+            this.announceToScreenReader('process-status', 'Cancelling. Finishing the files already in progress.');
+            console.log('Processing cancelled by the user.');
+        }
 
-            try {
-                const arrayBuffer = await file.arrayBuffer();
-                console.log(`File "${file.name}" converted to ArrayBuffer.`);
-                const result = await window.mammoth.convertToHtml({ arrayBuffer });
-
-                // --- START OF DEBUGGING LINE FOR IMAGE ISSUE ---
-                console.log(`Mammoth.js RAW HTML output for "${file.name}":`, result.value);
-                // --- END OF DEBUGGING LINE ---
+        /**
+         * Starts a pool of conversion workers for a batch, sized to the device's processors. Without
+         * Web Worker support (or if the worker script cannot be loaded, e.g. from a file:// page)
+         * no pool is created and documents are converted on the main thread.
+         * @param {number} [maxWorkers=MAX_CONVERSION_WORKERS] - The most workers to start, e.g. 1 to unzip uploads.
+         */
+        startConversionWorkers(maxWorkers = MAX_CONVERSION_WORKERS) {
+            if (typeof Worker === 'undefined') {
+                console.log('Web Workers are not supported; converting documents on the main thread.');
+                return;
+            }
+            // The workers load the same library versions as the page
+            const scripts = ['mammoth', 'marked', 'jszip'].map(name => document.querySelector(`script[src*="/${name}@"]`)?.src);
+            if (scripts.some(src => !src)) {
+                console.warn('Library script tags not found; converting documents on the main thread.');
+                return;
+            }
 
-                if (!result.value) {
-                    console.warn(`Mammoth returned no HTML content for "${file.name}".`);
-                    throw new Error('No content extracted from document by Mammoth.');
+            const size = Math.max(1, Math.min(maxWorkers, (navigator.hardwareConcurrency || 2) - 1));
+            const pool = { workers: [], queue: [], nextJobId: 1 };
+            try {
+                for (let i = 0; i < size; i++) {
+                    const slot = { worker: new Worker(CONVERSION_WORKER_URL), task: null };
+                    // Events that arrive after this pool was stopped (e.g. by Cancel) must not touch the next batch's pool
+                    slot.worker.addEventListener('message', (e) => {
+                        if (this.conversionPool === pool) {
+                            this.finishConversionJob(slot, e.data);
+                        }
+                    });
+                    slot.worker.addEventListener('error', (e) => {
+                        e.preventDefault();
+                        if (this.conversionPool !== pool) {
+                            return;
+                        }
+                        console.warn('A conversion worker failed; converting the remaining documents on the main thread.', e.message);
+                        this.stopConversionWorkers();
+                    });
+                    slot.worker.postMessage({ type: 'init', scripts });
+                    pool.workers.push(slot);
                 }
+            } catch (error) {
+                console.warn('Could not start conversion workers; converting documents on the main thread.', error);
+                pool.workers.forEach(slot => slot.worker.terminate());
+                return;
+            }
+            this.conversionPool = pool;
+            console.log(`Started ${size} conversion worker(s).`);
+        }
 
-                const html = result.value;
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = html;
-                const fullContent = tempDiv.textContent.trim();
-                console.log(`Full plain text content length for "${file.name}": ${fullContent.length}`);
-
-                if (!fullContent || fullContent.length < 50) { // Increased minimum length for the whole document
-                    console.warn(`Document "${file.name}" appears empty or too short after extraction.`);
-                    throw new Error('Document appears to be empty or too short after extraction.');
-                }
+        /**
+         * Terminates the conversion workers. Jobs still queued or running are rejected with the given
+         * error, or, without one, resolved with null so their documents are converted on the main thread.
+         * @param {Error} [error] - Why the jobs are stopped, e.g. a cancellation.
+         */
+        stopConversionWorkers(error) {
+            const pool = this.conversionPool;
+            if (!pool) {
+                return;
+            }
+            this.conversionPool = null;
+            const tasks = pool.queue.concat(pool.workers.map(slot => slot.task).filter(Boolean));
+            pool.workers.forEach(slot => slot.worker.terminate());
+            tasks.forEach(task => (error ? task.reject(error) : task.resolve(null)));
+            console.log('Conversion workers stopped.');
+        }
 
-                // Attempt to identify multiple packets
-                const identifiedPackets = this.identifyMultiplePackets(tempDiv, file.name, html);
-                console.log(`identifyMultiplePackets returned ${identifiedPackets.length} packets for "${file.name}".`);
+        /**
+         * Runs a conversion job in the worker pool.
+         * @param {Object} job - A job for conversion-worker.js: {type: 'docx', arrayBuffer, styleMap},
+         *     {type: 'markdown', text}, {type: 'zip', arrayBuffer, extensions} or {type: 'odt', arrayBuffer}.
+         *     A job's arrayBuffer is transferred to the worker and unusable afterwards.
+         * @returns {Promise<Object|null>} The job's result, or null when no worker is available and the
+         *     caller should convert on the main thread.
+         */
+        runConversionJob(job) {
+            if (!this.conversionPool) {
+                return Promise.resolve(null);
+            }
+            return new Promise((resolve, reject) => {
+                this.conversionPool.queue.push({ job, resolve, reject });
+                this.dispatchConversionJobs();
+            });
+        }
 
-                // Crucial Fallback: If multiple packet detection yields 0 or 1 *meaningful* packet,
-                // treat the whole document as one. This handles unusually formatted single packets.
-                // A "meaningful" packet for this check means substantial content.
-                if (identifiedPackets.length <= 1 || (identifiedPackets.length > 1 && identifiedPackets.every(p => p.content.length < 100))) {
-                    const singlePacket = this.createSinglePacketFromDocument(tempDiv, file.name, html, fullContent);
-                    console.log(`Multi-packet detection found ${identifiedPackets.length} potential segments. Treating "${file.name}" as a single packet: "${singlePacket.title}".`);
-                    return [singlePacket];
+        /**
+         * Hands queued conversion jobs to idle workers.
+         */
+        dispatchConversionJobs() {
+            const pool = this.conversionPool;
+            if (!pool) {
+                return;
+            }
+            pool.workers.filter(slot => !slot.task).forEach(slot => {
+                const task = pool.queue.shift();
+                if (!task) {
+                    return;
                 }
+                task.id = pool.nextJobId++;
+                slot.task = task;
+                slot.worker.postMessage({ ...task.job, id: task.id }, task.job.arrayBuffer ? [task.job.arrayBuffer] : []);
+            });
+        }
 
-                return identifiedPackets;
+        /**
+         * Settles a worker's job from its reply and gives the worker the next queued job.
+         * @param {Object} slot - The worker and its current task.
+         * @param {Object} reply - {id, result}, {id, error} or {id, unavailable}.
+         */
+        finishConversionJob(slot, reply) {
+            const task = slot.task;
+            if (!task || task.id !== reply.id) {
+                return;
+            }
+            slot.task = null;
+            if (reply.unavailable) {
+                task.resolve(null);
+            } else if (reply.error) {
+                task.reject(new Error(reply.error));
+            } else {
+                task.resolve(reply.result);
+            }
+            this.dispatchConversionJobs();
+        }
 
-            } catch (error) {
-                console.error(`Failed to extract content from "${file.name}":`, error);
-                throw new Error(`Failed to extract content from "${file.name}": ${error.message}`);
+        /**
+         * Clears the selected files from the input and resets the file label.
+         */
+        resetFileInput() {
+            console.log('Resetting file input.');
+            const wordFiles = document.getElementById('wordFiles');
+            if (wordFiles) {
+                wordFiles.value = '';
+                this.handleFileSelect({ target: { files: [] } });
             }
         }
 
         /**
-         * Attempts to identify and separate multiple packets within an HTML document structure.
-         * Uses different strategies (headings, paragraph breaks, explicit separators).
-         * @param {HTMLElement} tempDiv - A temporary div containing the document's HTML.
-         * @param {string} filename - The original filename.
-         * @param {string} fullHtml - The full HTML content from Mammoth.js.
-         * @returns {Array<Object>} An array of identified packet objects.
+         * Wraps one file's extraction result for the review panel.
+         * @param {File} file - The processed document, kept so it can be re-run.
+         * @param {string} strategy - The split strategy that was requested.
+         * @param {Object} extraction - The result of extractPacketsFromDocument.
+         * @param {Object} reportEntry - The file's entry in the processing report, updated when the review ends.
+         * @returns {Object} The review entry.
          */
-        identifyMultiplePackets(tempDiv, filename, fullHtml) {
-            console.log(`Starting identifyMultiplePackets for "${filename}".`);
-            let packets = [];
-            const MIN_CONTENT_LENGTH_FOR_SPLIT = 100; // A segment must have at least this many chars to be a distinct packet
+        createReviewFile(file, strategy, extraction, reportEntry) {
+            return {
+                file,
+                strategy,
+                reportEntry,
+                method: extraction.method,
+                reason: extraction.reason,
+                attempts: extraction.attempts,
+                sanitized: extraction.sanitized,
+                html: extraction.html,
+                packets: extraction.packets,
+                droppedIds: new Set() // Proposed packets the reviewer left out
+            };
+        }
+
+        /**
+         * Shows the files waiting for review, each with its split method, the reason it was
+         * chosen, and the proposed packets highlighted over the document.
+         */
+        renderReviewPanel() {
+            const panel = document.getElementById('reviewPanel');
+            const container = document.getElementById('reviewFiles');
+            if (!panel || !container) {
+                console.error('Review panel elements not found.');
+                return;
+            }
+
+            const strategyOptions = strategy => Object.entries(SPLIT_STRATEGIES).map(([value, label]) =>
+                `<option value="${value}"${value === strategy ? ' selected' : ''}>${this.escapeHtml(label)}</option>`
+            ).join('');
+
+            container.innerHTML = this.reviewFiles.map((reviewFile, fileIndex) => `
+                <article class="review-file bg-white border border-gray-200 rounded-lg p-4" data-review-file="${fileIndex}">
+                    <h3 id="reviewFileHeading${fileIndex}" tabindex="-1" class="font-semibold text-gray-800 break-all">${this.escapeHtml(reviewFile.file.name)}</h3>
+                    <p class="text-sm text-gray-700 mt-1">
+                        Method: <strong>${this.escapeHtml(reviewFile.method)}</strong>
+                        (${reviewFile.packets.length} packet${reviewFile.packets.length === 1 ? '' : 's'}).
+                        ${this.escapeHtml(reviewFile.reason)}
+                    </p>
+                    ${this.describeSanitizerReport(reviewFile.sanitized) ? `
+                        <p class="text-sm text-amber-700 mt-1">Removed for safety: ${this.escapeHtml(this.describeSanitizerReport(reviewFile.sanitized))}.</p>
+                    ` : ''}
+                    ${reviewFile.attempts.length > 0 ? `
+                        <details class="text-sm text-gray-600 mt-1">
+                            <summary class="cursor-pointer">Methods passed over</summary>
+                            <ul class="list-disc list-inside mt-1">
+                                ${reviewFile.attempts.map(attempt => `<li>${this.escapeHtml(attempt)}</li>`).join('')}
+                            </ul>
+                        </details>
+                    ` : ''}
+                    <div class="flex flex-col sm:flex-row sm:items-center gap-2 mt-3 text-sm">
+                        <label for="reviewStrategy${fileIndex}" class="text-gray-700">Re-run with:</label>
+                        <select id="reviewStrategy${fileIndex}" class="border border-gray-300 rounded px-2 py-1 bg-white">${strategyOptions(reviewFile.strategy)}</select>
+                        <button type="button" class="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded border border-gray-300" data-review-rerun="${fileIndex}">Re-run</button>
+                    </div>
+                    <div class="review-document mt-3">${this.buildReviewDocument(reviewFile, fileIndex)}</div>
+                </article>
+            `).join('');
+
+            panel.classList.remove('hidden');
+            this.updateReviewSummary();
+        }
+
+        /**
+         * Renders a file's document with each proposed packet's blocks highlighted and labelled,
+         * and content that no packet includes greyed out. Falls back to listing the packets one
+         * after another when their blocks cannot all be found in the document.
+         * @param {Object} reviewFile - The review entry.
+         * @param {number} fileIndex - The entry's position in this.reviewFiles.
+         * @returns {string} HTML for the document preview.
+         */
+        buildReviewDocument(reviewFile, fileIndex) {
+            const getBlocks = html => {
+                const div = document.createElement('div');
+                div.innerHTML = html;
+                return Array.from(div.children).map(el => el.outerHTML);
+            };
+            const packetLabel = (packet, index) => {
+                const checked = reviewFile.droppedIds.has(packet.id) ? '' : ' checked';
+                return `
+                    <label class="review-segment-label">
+                        <input type="checkbox" data-review-file="${fileIndex}" data-review-packet="${this.escapeHtml(packet.id)}"${checked}>
+                        <span>Packet ${index + 1}: ${this.escapeHtml(packet.title)}</span>
+                        <small>${packet.wordCount} words</small>
+                    </label>
+                `;
+            };
+            const segmentClass = (packet, index) =>
+                `review-segment review-segment-${index % 2}${reviewFile.droppedIds.has(packet.id) ? ' dropped' : ''}`;
+
+            const documentBlocks = getBlocks(reviewFile.html);
+            const owners = this.matchReviewBlocks(documentBlocks, reviewFile.packets.map(packet => getBlocks(packet.htmlContent)));
+            const allPacketsFound = reviewFile.packets.every((packet, index) => owners.includes(index));
+
+            if (!allPacketsFound) {
+                console.warn(`Could not place every proposed packet of "${reviewFile.file.name}" in the document; listing them instead.`);
+                return reviewFile.packets.map((packet, index) => `
+                    <div class="${segmentClass(packet, index)}">${packetLabel(packet, index)}${packet.htmlContent}</div>
+                `).join('');
+            }
+
+            // Group consecutive blocks with the same owner; a packet is labelled at its first block
+            const labelled = new Set();
+            let html = '';
+            let runStart = 0;
+            documentBlocks.forEach((block, blockIndex) => {
+                const owner = owners[blockIndex];
+                if (blockIndex + 1 < documentBlocks.length && owners[blockIndex + 1] === owner) {
+                    return;
+                }
+                const runHtml = documentBlocks.slice(runStart, blockIndex + 1).join('');
+                runStart = blockIndex + 1;
+                if (owner === -1) {
+                    html += `<div class="review-excluded"><span class="review-excluded-label">Not in any packet</span>${runHtml}</div>`;
+                    return;
+                }
+                const packet = reviewFile.packets[owner];
+                html += `<div class="${segmentClass(packet, owner)}">${labelled.has(owner) ? '' : packetLabel(packet, owner)}${runHtml}</div>`;
+                labelled.add(owner);
+            });
+            return html;
+        }
+
+        /**
+         * Finds which proposed packet each top-level document block belongs to, walking both in document order.
+         * @param {Array<string>} documentBlocks - Outer HTML of the document's top-level blocks.
+         * @param {Array<Array<string>>} packetBlocks - Outer HTML of each packet's top-level blocks.
+         * @returns {Array<number>} The owning packet index for each document block, or -1 if none.
+         */
+        matchReviewBlocks(documentBlocks, packetBlocks) {
+            const owners = [];
+            let current = 0;
+            let position = 0;
+            documentBlocks.forEach(block => {
+                const next = current + 1;
+                if (current < packetBlocks.length && packetBlocks[current][position] === block) {
+                    owners.push(current);
+                    position++;
+                } else if (position > 0 && next < packetBlocks.length && packetBlocks[next][0] === block) {
+                    // The rest of the current packet was not found here; the next packet starts instead
+                    current = next;
+                    owners.push(current);
+                    position = 1;
+                } else {
+                    owners.push(-1);
+                    return;
+                }
+                if (position === packetBlocks[current].length) {
+                    current++;
+                    position = 0;
+                }
+            });
+            return owners;
+        }
+
+        /**
+         * Updates the count of packets that will be added and the accept button.
+         */
+        updateReviewSummary() {
+            const total = this.reviewFiles.reduce((sum, reviewFile) => sum + reviewFile.packets.length, 0);
+            const included = this.reviewFiles.reduce((sum, reviewFile) => sum + reviewFile.packets.length - reviewFile.droppedIds.size, 0);
+            const summary = document.getElementById('reviewSummary');
+            const acceptBtn = document.getElementById('acceptReviewBtn');
+            if (summary) {
+                summary.textContent = `${included} of ${total} proposed packet${total === 1 ? '' : 's'} from ${this.reviewFiles.length} file${this.reviewFiles.length === 1 ? '' : 's'} selected.`;
+            }
+            if (acceptBtn) {
+                acceptBtn.textContent = `Add ${included} packet${included === 1 ? '' : 's'}`;
+                acceptBtn.disabled = included === 0;
+            }
+        }
+
+        /**
+         * Includes or leaves out one proposed packet.
+         * @param {number} fileIndex - The entry's position in this.reviewFiles.
+         * @param {number} packetId - The proposed packet's id.
+         * @param {boolean} included - Whether the packet should be added.
+         */
+        setReviewPacketIncluded(fileIndex, packetId, included) {
+            const reviewFile = this.reviewFiles[fileIndex];
+            if (!reviewFile) {
+                return;
+            }
+            if (included) {
+                reviewFile.droppedIds.delete(packetId);
+            } else {
+                reviewFile.droppedIds.add(packetId);
+            }
+            document.querySelectorAll(`#reviewFiles input[data-review-file="${fileIndex}"][data-review-packet="${packetId}"]`).forEach(input => {
+                input.closest('.review-segment')?.classList.toggle('dropped', !included);
+            });
+            this.updateReviewSummary();
+            console.log(`Proposed packet ${packetId} from "${reviewFile.file.name}" ${included ? 'included' : 'dropped'}.`);
+        }
+
+        /**
+         * Extracts a file again with another split strategy and remembers the choice for the file.
+         * @param {number} fileIndex - The entry's position in this.reviewFiles.
+         * @param {string} strategy - A key of SPLIT_STRATEGIES.
+         */
+        async rerunReviewFile(fileIndex, strategy) {
+            const reviewFile = this.reviewFiles[fileIndex];
+            if (!reviewFile || this.isProcessing) {
+                return;
+            }
+            if (strategy === 'separator' && !this.processingSettings.customSeparator.trim()) {
+                this.showNotification('Enter a custom separator in Processing options, or choose another split strategy.', 'warning');
+                return;
+            }
+
+            const filename = reviewFile.file.name;
+            console.log(`Re-running "${filename}" with strategy "${strategy}".`);
+            this.isProcessing = true;
+            try {
+                const extraction = await this.extractPacketsFromDocument(reviewFile.file, strategy);
+                reviewFile.reportEntry.strategy = strategy;
+                this.recordExtractionInReport(reviewFile.reportEntry, extraction);
+                this.renderProcessingReport();
+                this.reviewFiles[fileIndex] = this.createReviewFile(reviewFile.file, strategy, extraction, reviewFile.reportEntry);
+                this.setFileSplitStrategy(filename, strategy === this.processingSettings.splitStrategy ? '' : strategy);
+                this.renderReviewPanel();
+                document.getElementById(`reviewFileHeading${fileIndex}`)?.focus();
+                this.announceToScreenReader('process-status', `${filename} split into ${extraction.packets.length} proposed packets`);
+            } catch (error) {
+                console.error(`Error re-running ${filename}:`, error);
+                this.showNotification(error.message, 'error');
+            } finally {
+                this.isProcessing = false;
+            }
+        }
+
+        /**
+         * Adds the reviewed packets that were not dropped, skipping exact duplicates of loaded packets.
+         * Packets that closely resemble a loaded one are held back in the possible duplicates panel.
+         */
+        acceptReviewedPackets() {
+            let processedPacketCount = 0;
+            let skippedCount = 0;
+            const shingleCache = new Map();
+            const heldBack = [];
+
+            this.reviewFiles.forEach(reviewFile => {
+                const reportEntry = reviewFile.reportEntry;
+                Object.assign(reportEntry, { packetsAdded: 0, leftOut: reviewFile.droppedIds.size, duplicatesSkipped: 0 });
+                reviewFile.packets.forEach(packetData => {
+                    if (reviewFile.droppedIds.has(packetData.id)) {
+                        return;
+                    }
+                    if (packetData && packetData.content && packetData.content.trim().length > 0) {
+                        // Use a combination of title and content for duplication check
+                        const isDuplicate = this.packets.some(existing =>
+                            existing.title.toLowerCase() === packetData.title.toLowerCase() &&
+                            existing.content.trim() === packetData.content.trim()
+                        );
+                        const nearDuplicate = isDuplicate ? null : this.findNearDuplicate(packetData, shingleCache);
+
+                        if (nearDuplicate) {
+                            heldBack.push({
+                                packet: packetData,
+                                matchId: nearDuplicate.packet.id,
+                                similarity: nearDuplicate.similarity,
+                                filename: reviewFile.file.name,
+                                reportEntry
+                            });
+                            console.warn(`Possible duplicate held back: "${packetData.title}" is ${nearDuplicate.similarity}% similar to "${nearDuplicate.packet.title}"`);
+                        } else if (!isDuplicate) {
+                            this.packets.push(packetData);
+                            processedPacketCount++;
+                            reportEntry.packetsAdded++;
+                            console.log(`Added new packet: "${packetData.title}" from "${reviewFile.file.name}"`);
+                        } else {
+                            skippedCount++;
+                            reportEntry.duplicatesSkipped++;
+                            console.warn(`Duplicate packet detected and skipped: "${packetData.title || 'Untitled'}" from "${reviewFile.file.name}"`);
+                        }
+                    } else {
+                        console.warn(`Packet data from ${reviewFile.file.name} was empty or invalid.`);
+                    }
+                });
+                if (heldBack.some(pair => pair.reportEntry === reportEntry)) {
+                    reportEntry.status = 'Checking duplicates';
+                } else {
+                    reportEntry.status = reportEntry.packetsAdded > 0 ? 'Added' : 'Nothing added';
+                }
+            });
+
+            this.closeReviewPanel();
+            this.resetFileInput();
+            this.renderProcessingReport();
+            this.duplicateReview = this.duplicateReview.concat(heldBack);
+            this.renderDuplicatePanel();
+            const heldBackNote = heldBack.length > 0
+                ? ` ${heldBack.length} possible duplicate${heldBack.length === 1 ? '' : 's'} to compare below.`
+                : '';
+
+            if (processedPacketCount > 0) {
+                this.updateDisplay();
+                let message = `Successfully processed ${processedPacketCount} new packet${processedPacketCount > 1 ? 's' : ''}!`;
+                if (skippedCount > 0) {
+                    message += ` (${skippedCount} duplicate${skippedCount > 1 ? 's' : ''} skipped)`;
+                }
+                this.showNotification(message + heldBackNote, 'success');
+                this.announceToScreenReader('process-status', `${processedPacketCount} packets processed successfully`);
+                console.log('Packet processing complete. Display updated.');
+            } else if (heldBack.length > 0) {
+                this.showNotification(`No packets added yet.${heldBackNote}`, 'info');
+                this.announceToScreenReader('process-status', 'Possible duplicates need a decision');
+            } else {
+                let message = 'No new packets were added.';
+                if (skippedCount > 0) {
+                    message = `All selected packets were duplicates or had no new content.`;
+                }
+                this.showNotification(message, 'warning');
+                this.announceToScreenReader('process-status', 'No new packets added');
+                console.log('No new packets added after review.');
+            }
+        }
+
+        /**
+         * Throws away the packets waiting for review.
+         */
+        discardReview() {
+            console.log('Discarding review.');
+            this.reviewFiles.forEach(reviewFile => {
+                reviewFile.reportEntry.status = 'Discarded';
+            });
+            this.closeReviewPanel();
+            this.renderProcessingReport();
+            this.showNotification('Proposed packets discarded. Your selected documents are still ready to process.', 'info');
+            this.announceToScreenReader('process-status', 'Proposed packets discarded');
+            document.getElementById('processBtn')?.focus();
+        }
+
+        /**
+         * Empties and hides the review panel.
+         */
+        closeReviewPanel() {
+            this.reviewFiles = [];
+            const panel = document.getElementById('reviewPanel');
+            const container = document.getElementById('reviewFiles');
+            if (container) {
+                container.innerHTML = '';
+            }
+            panel?.classList.add('hidden');
+        }
+
+        /**
+         * Finds the loaded packet a new packet most resembles, if it is similar enough to be a likely
+         * duplicate: the same text from another edition, or with a few words changed. Texts are compared
+         * as sets of overlapping word triples (shingles) by Jaccard similarity, the share of shingles the
+         * two texts have in common.
+         * @param {Object} packet - The new packet.
+         * @param {Map<Object, Set<string>>} shingleCache - Shingles of loaded packets, reused across calls.
+         * @returns {{packet: Object, similarity: number}|null} The closest loaded packet and the similarity
+         *   in percent, or null if none reaches the duplicateSimilarity setting.
+         */
+        findNearDuplicate(packet, shingleCache) {
+            const threshold = this.processingSettings.duplicateSimilarity / 100;
+            if (threshold === 0) {
+                return null;
+            }
+            const shingles = this.getShingles(packet.content);
+            let best = null;
+            this.packets.forEach(existing => {
+                if (!shingleCache.has(existing)) {
+                    shingleCache.set(existing, this.getShingles(existing.content));
+                }
+                const other = shingleCache.get(existing);
+                // The similarity can be no higher than the ratio of the two set sizes
+                if (Math.min(shingles.size, other.size) < threshold * Math.max(shingles.size, other.size)) {
+                    return;
+                }
+                const similarity = this.getShingleSimilarity(shingles, other);
+                if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                    best = { packet: existing, similarity };
+                }
+            });
+            return best && { packet: best.packet, similarity: Math.floor(best.similarity * 100) };
+        }
+
+        /**
+         * Breaks text into overlapping runs of words, ignoring case and punctuation.
+         * @param {string} text - Plain text.
+         * @returns {Set<string>} The shingles; short texts give a single shingle of all their words.
+         */
+        getShingles(text) {
+            const words = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+            const shingles = new Set();
+            for (let i = 0; i === 0 || i + DUPLICATE_SHINGLE_SIZE <= words.length; i++) {
+                if (words.length > 0) {
+                    shingles.add(words.slice(i, i + DUPLICATE_SHINGLE_SIZE).join(' '));
+                }
+            }
+            return shingles;
+        }
+
+        /**
+         * Computes the Jaccard similarity of two shingle sets.
+         * @param {Set<string>} first - One set.
+         * @param {Set<string>} second - The other set.
+         * @returns {number} Shared shingles divided by all distinct shingles, from 0 to 1.
+         */
+        getShingleSimilarity(first, second) {
+            const [smaller, larger] = first.size <= second.size ? [first, second] : [second, first];
+            let shared = 0;
+            smaller.forEach(shingle => {
+                if (larger.has(shingle)) {
+                    shared++;
+                }
+            });
+            const union = first.size + second.size - shared;
+            return union === 0 ? 0 : shared / union;
+        }
+
+        /**
+         * Shows the new packets held back as likely duplicates, each with the loaded packet it resembles.
+         * The side-by-side comparison is rendered only for pairs whose comparison is open.
+         */
+        renderDuplicatePanel() {
+            const panel = document.getElementById('duplicatePanel');
+            const container = document.getElementById('duplicatePairs');
+            const summary = document.getElementById('duplicateSummary');
+            if (!panel || !container || !summary) {
+                console.error('Duplicate panel elements not found.');
+                return;
+            }
+            if (this.duplicateReview.length === 0) {
+                container.innerHTML = '';
+                panel.classList.add('hidden');
+                return;
+            }
+
+            const buttonClass = 'bg-white hover:bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg border border-gray-300 shadow-sm transition-colors duration-200';
+            container.innerHTML = this.duplicateReview.map((pair, index) => {
+                const existing = this.packets.find(p => p.id === pair.matchId);
+                return `
+                <article class="bg-white border border-gray-200 rounded-lg p-4">
+                    <h3 id="duplicateHeading${index}" tabindex="-1" class="font-semibold text-gray-800 break-words">
+                        “${this.escapeHtml(pair.packet.title)}” from ${this.escapeHtml(pair.filename)}
+                        ${existing ? `is ${pair.similarity}% similar to “${this.escapeHtml(existing.title)}”` : 'matched a packet that is no longer loaded'}
+                    </h3>
+                    ${existing ? `
+                    <details class="mt-3" data-duplicate-comparison="${index}"${pair.expanded ? ' open' : ''}>
+                        <summary class="cursor-pointer text-sm font-medium text-blue-700">Compare the texts</summary>
+                        <div data-duplicate-comparison-body>${pair.expanded ? this.renderDuplicateComparison(pair, existing) : ''}</div>
+                    </details>` : ''}
+                    <div class="flex flex-col sm:flex-row sm:justify-end gap-2 mt-3">
+                        <button type="button" class="${buttonClass}" data-duplicate-choice="keepExisting" data-duplicate-index="${index}">${existing ? 'Keep existing' : 'Discard new'}</button>
+                        <button type="button" class="${buttonClass}" data-duplicate-choice="keepBoth" data-duplicate-index="${index}">${existing ? 'Keep both' : 'Add new'}</button>
+                        ${existing ? `<button type="button" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow-sm transition-colors duration-200" data-duplicate-choice="replace" data-duplicate-index="${index}">Replace older copy</button>` : ''}
+                    </div>
+                </article>`;
+            }).join('');
+
+            const count = this.duplicateReview.length;
+            summary.textContent = `${count} new packet${count === 1 ? ' looks' : 's look'} like ${count === 1 ? 'a packet' : 'packets'} already loaded. Compare and choose which to keep.`;
+            panel.classList.remove('hidden');
+        }
+
+        /**
+         * Fills in or empties a pair's comparison as it is opened or closed, and remembers which it is
+         * so the panel keeps it that way when re-rendered.
+         * @param {HTMLDetailsElement} details - The pair's comparison element.
+         */
+        toggleDuplicateComparison(details) {
+            const pair = this.duplicateReview[Number(details.dataset.duplicateComparison)];
+            const existing = pair && this.packets.find(p => p.id === pair.matchId);
+            const body = details.querySelector('[data-duplicate-comparison-body]');
+            if (!existing || !body || pair.expanded === details.open) {
+                return;
+            }
+            pair.expanded = details.open;
+            body.innerHTML = details.open ? this.renderDuplicateComparison(pair, existing) : '';
+        }
+
+        /**
+         * Renders a possible duplicate beside the loaded packet it resembles, with the differing words highlighted.
+         * The word diff is worked out once and kept on the pair until it is compared with another packet's text.
+         * @param {Object} pair - The entry in this.duplicateReview.
+         * @param {Object} existing - The loaded packet it matched.
+         * @returns {string} HTML for the two columns.
+         */
+        renderDuplicateComparison(pair, existing) {
+            if (!pair.diff || pair.diff.matchId !== existing.id || pair.diff.beforeText !== existing.content) {
+                pair.diff = { matchId: existing.id, beforeText: existing.content, ...this.renderSideBySideDiff(existing.content, pair.packet.content) };
+            }
+            const column = (label, packet, html) => `
+                    <section>
+                        <h4 class="font-medium text-gray-700 mb-1">${label}
+                            <small class="font-normal text-gray-500 break-all">(${this.escapeHtml(packet.filename)}, added ${this.escapeHtml(new Date(packet.dateAdded).toLocaleDateString())})</small>
+                        </h4>
+                        <div class="duplicate-text">${html}</div>
+                    </section>`;
+            return `
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mt-2 text-sm">
+                    ${column('Already loaded', existing, pair.diff.before)}
+                    ${column('New', pair.packet, pair.diff.after)}
+                </div>
+                ${pair.diff.compared ? '' : '<p class="text-xs text-gray-500 mt-1">These texts differ too much to highlight word by word.</p>'}`;
+        }
+
+        /**
+         * Settles one possible duplicate.
+         * @param {number} index - The pair's position in this.duplicateReview.
+         * @param {string} choice - "keepExisting" drops the new packet, "keepBoth" adds it to the end of the
+         *   list, "replace" puts it in place of the loaded packet (same position and section).
+         */
+        resolveDuplicate(index, choice) {
+            const pair = this.duplicateReview[index];
+            if (!pair) {
+                return;
+            }
+            const existing = this.packets.find(p => p.id === pair.matchId);
+            const entry = pair.reportEntry;
+            let message;
+            if (choice === 'keepExisting') {
+                entry.duplicatesSkipped++;
+                message = existing ? `Kept "${existing.title}"; the new copy was not added.` : `Discarded "${pair.packet.title}".`;
+            } else if (choice === 'replace' && existing) {
+                pair.packet.sectionId = existing.sectionId;
+                this.packets.splice(this.packets.indexOf(existing), 1, pair.packet);
+                // Other new packets that matched the replaced one are now compared with its replacement
+                this.duplicateReview.forEach(other => {
+                    if (other.matchId === existing.id) {
+                        other.matchId = pair.packet.id;
+                    }
+                });
+                entry.packetsAdded++;
+                message = `Replaced "${existing.title}" with the copy from ${pair.filename}.`;
+            } else {
+                this.packets.push(pair.packet);
+                entry.packetsAdded++;
+                message = `Added "${pair.packet.title}"${existing ? ' alongside the loaded copy' : ''}.`;
+            }
+            console.log(`Possible duplicate resolved (${choice}): ${message}`);
+
+            this.duplicateReview.splice(index, 1);
+            if (!this.duplicateReview.some(other => other.reportEntry === entry)) {
+                entry.status = entry.packetsAdded > 0 ? 'Added' : 'Nothing added';
+            }
+            this.renderProcessingReport();
+            if (choice !== 'keepExisting') {
+                this.updateDisplay();
+            }
+            this.renderDuplicatePanel();
+            this.showNotification(message, 'success');
+            this.announceToScreenReader('process-status', message);
+            const next = document.getElementById(`duplicateHeading${Math.min(index, this.duplicateReview.length - 1)}`);
+            (next || document.getElementById('downloadBtn'))?.focus();
+        }
+
+        /**
+         * Renders two texts side by side, striking through words only in the first and underlining
+         * words only in the second.
+         * @param {string} beforeText - The loaded packet's plain text.
+         * @param {string} afterText - The new packet's plain text.
+         * @returns {{before: string, after: string, compared: boolean}} HTML for each side, and whether the
+         *   words were compared (see MAX_DIFF_EDITS).
+         */
+        renderSideBySideDiff(beforeText, afterText) {
+            // Each token is a word with the whitespace after it, so the text keeps its spacing and line breaks
+            const tokenize = text => text.match(/\S+\s*/g) || [];
+            const beforeTokens = tokenize(beforeText);
+            const afterTokens = tokenize(afterText);
+            const operations = this.diffTokens(beforeTokens.map(token => token.trim()), afterTokens.map(token => token.trim()));
+            if (!operations) {
+                return { before: this.escapeHtml(beforeText), after: this.escapeHtml(afterText), compared: false };
+            }
+
+            const renderSide = (side, tokens, changedType, tag) => {
+                let html = '';
+                let open = false;
+                operations.forEach(operation => {
+                    if (operation.type === 'equal' || operation.type === changedType) {
+                        const changed = operation.type === changedType;
+                        if (changed !== open) {
+                            html += changed ? `<${tag}>` : `</${tag}>`;
+                            open = changed;
+                        }
+                        html += this.escapeHtml(tokens[operation[side]]);
+                    }
+                });
+                return open ? `${html}</${tag}>` : html;
+            };
+            return {
+                before: renderSide('before', beforeTokens, 'delete', 'del'),
+                after: renderSide('after', afterTokens, 'insert', 'ins'),
+                compared: true
+            };
+        }
+
+        /**
+         * Finds the shortest sequence of deletions and insertions turning one token list into another,
+         * using Myers' O(ND) difference algorithm.
+         * @param {Array<string>} before - The original tokens.
+         * @param {Array<string>} after - The changed tokens.
+         * @returns {Array<{type: string, before?: number, after?: number}>|null} Operations in order:
+         *   "equal" (with both indexes), "delete" (before index) or "insert" (after index); null if more
+         *   than MAX_DIFF_EDITS changes would be needed.
+         */
+        diffTokens(before, after) {
+            const n = before.length;
+            const m = after.length;
+            const max = n + m;
+            const v = new Int32Array(2 * max + 3); // Furthest x reached on each diagonal k, at index k + max + 1
+            const at = k => k + max + 1;
+            const trace = []; // trace[d] holds v for diagonals -d..d before step d
+            let done = false;
+            for (let d = 0; d <= max && !done; d++) {
+                if (d > MAX_DIFF_EDITS) {
+                    return null;
+                }
+                trace.push(v.slice(at(-d), at(d) + 1));
+                for (let k = -d; k <= d; k += 2) {
+                    let x = k === -d || (k !== d && v[at(k - 1)] < v[at(k + 1)]) ? v[at(k + 1)] : v[at(k - 1)] + 1;
+                    let y = x - k;
+                    while (x < n && y < m && before[x] === after[y]) {
+                        x++;
+                        y++;
+                    }
+                    v[at(k)] = x;
+                    if (x >= n && y >= m) {
+                        done = true;
+                        break;
+                    }
+                }
+            }
+
+            // Walk back from the end through the recorded steps
+            const operations = [];
+            let x = n;
+            let y = m;
+            for (let d = trace.length - 1; d > 0; d--) {
+                const previous = k => trace[d][k + d];
+                const k = x - y;
+                const previousK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+                const previousX = previous(previousK);
+                const previousY = previousX - previousK;
+                while (x > previousX && y > previousY) {
+                    operations.push({ type: 'equal', before: --x, after: --y });
+                }
+                operations.push(previousK === k + 1 ? { type: 'insert', after: --y } : { type: 'delete', before: --x });
+            }
+            while (x > 0 && y > 0) {
+                operations.push({ type: 'equal', before: --x, after: --y });
+            }
+            return operations.reverse();
+        }
+
+        /**
+         * Starts a file's entry in the processing report.
+         * @param {File} file - The document being processed.
+         * @param {string} strategy - The split strategy requested for it.
+         * @returns {Object} The entry, already added to this.processingReport.
+         */
+        createReportEntry(file, strategy) {
+            const entry = {
+                filename: file.name,
+                strategy,
+                method: '',
+                status: 'In review',
+                packetsProposed: 0,
+                packetsAdded: 0,
+                leftOut: 0, // Unchecked in the review panel
+                duplicatesSkipped: 0,
+                warnings: [],
+                errors: []
+            };
+            this.processingReport.files.push(entry);
+            return entry;
+        }
+
+        /**
+         * Records an extraction (or a re-run) in a report entry: the method that split the file, the
+         * packets it proposed, and the converter's warnings and errors along with anything the sanitizer removed.
+         * @param {Object} entry - The file's report entry.
+         * @param {Object} extraction - The result of extractPacketsFromDocument.
+         */
+        recordExtractionInReport(entry, extraction) {
+            const removed = this.describeSanitizerReport(extraction.sanitized);
+            entry.method = extraction.method;
+            entry.status = 'In review';
+            entry.packetsProposed = extraction.packets.length;
+            entry.warnings = extraction.messages.filter(message => message.type !== 'error').map(message => message.message)
+                .concat(removed ? [`Removed for safety: ${removed}.`] : []);
+            entry.errors = extraction.messages.filter(message => message.type === 'error').map(message => message.message);
+        }
+
+        /**
+         * Shows the processing report: one row per file of the last batch with its split method,
+         * packet counts, warnings and errors.
+         */
+        renderProcessingReport() {
+            const panel = document.getElementById('processingReport');
+            const body = document.getElementById('processingReportBody');
+            const summary = document.getElementById('processingReportSummary');
+            if (!panel || !body || !summary) {
+                console.error('Processing report elements not found.');
+                return;
+            }
+            if (!this.processingReport) {
+                panel.classList.add('hidden');
+                return;
+            }
+
+            const files = this.processingReport.files;
+            const messageList = (messages, className) => messages.length === 0 ? '' : `
+                <ul class="list-disc list-inside ${className}">
+                    ${messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+                </ul>`;
+            body.innerHTML = files.map(entry => `
+                <tr class="border-t border-gray-200 align-top">
+                    <th scope="row" class="text-left font-medium text-gray-800 py-2 pr-3 break-all">${this.escapeHtml(entry.filename)}</th>
+                    <td class="py-2 pr-3">${this.escapeHtml(entry.status)}</td>
+                    <td class="py-2 pr-3">${this.escapeHtml(entry.method || '—')}</td>
+                    <td class="py-2 pr-3">${entry.status === 'Added' || entry.status === 'Nothing added'
+                        ? `${entry.packetsAdded} added${entry.leftOut > 0 ? `, ${entry.leftOut} left out` : ''}`
+                        : `${entry.packetsProposed} proposed`}</td>
+                    <td class="py-2 pr-3">${entry.duplicatesSkipped}</td>
+                    <td class="py-2">
+                        ${messageList(entry.errors, 'text-red-700')}
+                        ${messageList(entry.warnings, 'text-amber-700')}
+                        ${entry.errors.length + entry.warnings.length === 0 ? '<span class="text-gray-500">None</span>' : ''}
+                    </td>
+                </tr>
+            `).join('');
+
+            const failed = files.filter(entry => entry.errors.length > 0 || entry.status === 'Failed').length;
+            const warned = files.filter(entry => entry.warnings.length > 0).length;
+            const unmappedStyles = files.some(entry => entry.warnings.some(warning => /^Unrecognised (paragraph|run) style/.test(warning)));
+            summary.textContent = `${files.length} file${files.length === 1 ? '' : 's'} processed: ` +
+                `${failed} with errors, ${warned} with warnings.` +
+                (unmappedStyles ? ' Unrecognised Word styles can be mapped under Processing options → Word style mapping.' : '');
+            panel.classList.remove('hidden');
+        }
+
+        /**
+         * Builds the processing report as rows of labelled values, shared by the text and CSV downloads.
+         * @returns {Array<Object<string, string|number>>} One row per file.
+         */
+        getProcessingReportRows() {
+            return this.processingReport.files.map(entry => ({
+                'File': entry.filename,
+                'Status': entry.status,
+                'Split strategy': SPLIT_STRATEGIES[entry.strategy] || entry.strategy,
+                'Method used': entry.method,
+                'Packets proposed': entry.packetsProposed,
+                'Packets added': entry.packetsAdded,
+                'Left out in review': entry.leftOut,
+                'Duplicates skipped': entry.duplicatesSkipped,
+                'Warnings': entry.warnings.join('\n'),
+                'Errors': entry.errors.join('\n')
+            }));
+        }
+
+        /**
+         * Downloads the processing report as a readable text log or as CSV for a spreadsheet.
+         * @param {string} format - "text" or "csv".
+         */
+        downloadProcessingReport(format) {
+            if (!this.processingReport) {
+                this.showNotification('No processing report yet. Process some documents first.', 'warning');
+                return;
+            }
+
+            const rows = this.getProcessingReportRows();
+            let blob;
+            let filename;
+            if (format === 'csv') {
+                // Quoted cells; a leading =, +, -, @, tab or carriage return is escaped so spreadsheets do not run it as a formula
+                const cell = value => `"${String(value).replace(/^[=+\-@\t\r]/, "'$&").replace(/"/g, '""')}"`;
+                const lines = [Object.keys(rows[0] || {}).map(cell).join(',')]
+                    .concat(rows.map(row => Object.values(row).map(cell).join(',')));
+                blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }); // BOM so Excel reads UTF-8
+                filename = 'Processing_Report.csv';
+            } else {
+                const indentList = value => value ? `\n${value.split('\n').map(line => `  - ${line}`).join('\n')}` : ' none';
+                const sections = rows.map(row => Object.entries(row).map(([label, value]) =>
+                    label === 'Warnings' || label === 'Errors' ? `${label}:${indentList(value)}` : `${label}: ${value}`
+                ).join('\n'));
+                const header = `Packet Compiler processing report\nCreated: ${new Date(this.processingReport.createdAt).toLocaleString()}`;
+                blob = new Blob([[header].concat(sections).join('\n\n') + '\n'], { type: 'text/plain;charset=utf-8' });
+                filename = 'Processing_Report.txt';
+            }
+            this.triggerDownload(blob, filename);
+            this.showNotification(`Downloaded ${filename}.`, 'success');
+            console.log(`Processing report downloaded as ${format}.`);
+        }
+
+        /**
+         * Hides the processing report and forgets it.
+         */
+        closeProcessingReport() {
+            this.processingReport = null;
+            this.renderProcessingReport();
+            document.getElementById('processBtn')?.focus();
+        }
+
+        /**
+         * Clears all loaded packets and updates the display.
+         */
+        clearAllPackets() {
+            console.log('Clearing all packets.');
+            this.packets = [];
+            this.sections = [];
+            this.sessionRestorePending = false;
+            this.hideSessionRestoreBanner();
+            this.clearSavedSession();
+            this.updateDisplay();
+            this.resetFileInput();
+            this.showNotification('All packets cleared!', 'info');
+            this.announceToScreenReader('process-status', 'All packets cleared.');
+        }
+
+        /**
+         * Converts an uploaded document to HTML and attempts to identify multiple packets within it.
+         * @param {File} file - The document to process (any type in INPUT_FILE_TYPES).
+         * @param {string} [strategy='auto'] - A key of SPLIT_STRATEGIES.
+         * @param {Function} [onStage] - Called with "converting", then "splitting", as the work progresses.
+         * @returns {Promise<Object>} A promise resolving to the packets with the method, reason and
+         *     rejected attempts from identifyMultiplePackets, plus the document's full (sanitized) HTML,
+         *     the counts of what the sanitizer removed and the converter's messages.
+         * @throws {Error} If a conversion library is not loaded or content extraction fails.
+         */
+        async extractPacketsFromDocument(file, strategy = 'auto', onStage = () => {}) {
+            console.log(`Attempting to extract packets from "${file.name}"...`);
+            try {
+                onStage('converting');
+                // Sanitized before anything is parsed into the live document, where images would load
+                const converted = await this.convertFileToHtml(file, strategy);
+                // Sanitizing and splitting need the DOM, so they run on the page: let it paint and take
+                // a Cancel click first, and skip the work if the batch was cancelled meanwhile
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.isProcessing && this.processingCancelled) {
+                    const cancelled = new Error('Processing cancelled.');
+                    cancelled.cancelled = true;
+                    throw cancelled;
+                }
+                onStage('splitting');
+                const sanitized = this.sanitizeHtml(converted.html);
+                const html = sanitized.html;
+                if (sanitized.total > 0) {
+                    console.warn(`Sanitizer removed ${this.describeSanitizerReport(sanitized.removed)} from "${file.name}".`);
+                }
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = html;
+                const fullContent = tempDiv.textContent.trim();
+                console.log(`Full plain text content length for "${file.name}": ${fullContent.length}`);
+
+                if (!fullContent || fullContent.length < this.processingSettings.minDocumentLength) {
+                    console.warn(`Document "${file.name}" appears empty or too short after extraction.`);
+                    throw new Error('Document appears to be empty or too short after extraction.');
+                }
+
+                // Attempt to identify multiple packets
+                const detection = this.identifyMultiplePackets(tempDiv, file.name, html, strategy);
+                const identifiedPackets = detection.packets;
+                console.log(`identifyMultiplePackets (${strategy}) returned ${identifiedPackets.length} packets for "${file.name}".`);
+
+                // Crucial Fallback: If multiple packet detection yields 0 or 1 *meaningful* packet,
+                // treat the whole document as one. This handles unusually formatted single packets.
+                // A "meaningful" packet for this check means substantial content; a strategy the
+                // user chose is trusted with short packets.
+                const minSplitLength = this.processingSettings.minSplitLength;
+                if (identifiedPackets.length <= 1 || (strategy === 'auto' && identifiedPackets.every(p => p.content.length < minSplitLength))) {
+                    const singlePacket = this.createSinglePacketFromDocument(tempDiv, file.name, html, fullContent);
+                    console.log(`Multi-packet detection found ${identifiedPackets.length} potential segments. Treating "${file.name}" as a single packet: "${singlePacket.title}".`);
+                    return {
+                        packets: [singlePacket],
+                        method: 'Whole document',
+                        reason: strategy === 'none'
+                            ? detection.reason
+                            : `${strategy === 'auto' ? '' : `${detection.method}: `}${detection.reason} The whole document was kept as one packet.`,
+                        attempts: detection.attempts,
+                        html,
+                        sanitized: sanitized.removed,
+                        messages: converted.messages
+                    };
+                }
+
+                return { ...detection, html, sanitized: sanitized.removed, messages: converted.messages };
+
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+                console.error(`Failed to extract content from "${file.name}":`, error);
+                throw new Error(`Failed to extract content from "${file.name}": ${error.message}`);
+            }
+        }
+
+        /**
+         * Returns the input reader for a filename, or null if the type is not supported.
+         * @param {string} filename - The uploaded file's name.
+         * @returns {string|null} A value of INPUT_FILE_TYPES.
+         */
+        getInputFileType(filename) {
+            const match = /\.([^.]+)$/.exec(filename);
+            return (match && INPUT_FILE_TYPES[match[1].toLowerCase()]) || null;
+        }
+
+        /**
+         * Converts an uploaded document to HTML shaped like Mammoth's output: headings, paragraphs,
+         * lists and tables as top-level blocks, so every type goes through the same split strategies.
+         * @param {File} file - The uploaded document.
+         * @param {string} strategy - The split strategy, which changes how Word page breaks are kept.
+         * @returns {Promise<{html: string, messages: Array<{type: string, message: string}>}>} The document's
+         *     HTML and any warnings or errors the converter reported (currently only Mammoth reports them).
+         * @throws {Error} If the conversion library is not loaded or no content was extracted.
+         */
+        async convertFileToHtml(file, strategy) {
+            const type = this.getInputFileType(file.name);
+            let html;
+            let messages = [];
+            if (type === 'docx') {
+                if (!window.mammoth) {
+                    console.error('Mammoth library (window.mammoth) is not loaded.');
+                    throw new Error('Mammoth library not loaded. Please check the script tag.');
+                }
+                const arrayBuffer = await file.arrayBuffer();
+                console.log(`File "${file.name}" converted to ArrayBuffer.`);
+                // Page breaks are dropped by Mammoth unless mapped to an element the splitter can find
+                const styleMap = this.getMammothStyleMap();
+                if (strategy === 'pagebreak') {
+                    styleMap.push("br[type='page'] => hr.page-break");
+                }
+                let result;
+                try {
+                    const converted = await this.runConversionJob({ type: 'docx', arrayBuffer, styleMap });
+                    result = converted
+                        ? { value: converted.html, messages: converted.messages }
+                        // No worker: the buffer may have been transferred to one that failed, so read it again
+                        : await window.mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() }, { styleMap });
+                } catch (error) {
+                    // JSZip's message for a file that is not a zip means little to the document's author
+                    if (/central directory|zip/i.test(error.message)) {
+                        console.error('Could not unzip the Word document:', error);
+                        throw new Error('Not a valid Word (.docx) document: it could not be unzipped.');
+                    }
+                    throw error;
+                }
+
+                // --- START OF DEBUGGING LINE FOR IMAGE ISSUE ---
+                console.log(`Mammoth.js RAW HTML output for "${file.name}":`, result.value);
+                // --- END OF DEBUGGING LINE ---
+                html = result.value;
+                messages = result.messages.map(message => ({ type: message.type, message: message.message }));
+                if (messages.length > 0) {
+                    console.warn(`Mammoth reported ${messages.length} message(s) for "${file.name}":`, messages);
+                }
+            } else if (type === 'odt') {
+                html = await this.convertOdtToHtml(await file.arrayBuffer(), strategy === 'pagebreak');
+            } else if (type === 'markdown') {
+                if (!window.marked) {
+                    console.error('Marked library (window.marked) is not loaded.');
+                    throw new Error('Markdown library not loaded. Please check the script tag.');
+                }
+                const text = await file.text();
+                const rendered = await this.runConversionJob({ type: 'markdown', text });
+                html = this.convertWebPageToHtml(rendered ? rendered.html : window.marked.parse(text));
+            } else if (type === 'html') {
+                html = this.convertWebPageToHtml(await file.text());
+            } else if (type === 'text') {
+                html = this.convertPlainTextToHtml(await file.text());
+            } else {
+                throw new Error(`Unsupported file type. Only ${SUPPORTED_INPUT_DESCRIPTION} files are supported.`);
+            }
+
+            if (!html) {
+                console.warn(`No HTML content extracted from "${file.name}".`);
+                throw new Error('No content extracted from document.');
+            }
+            console.log(`Converted "${file.name}" (${type}) to ${html.length} characters of HTML.`);
+            return { html, messages };
+        }
+
+        /**
+         * Cleans HTML against an allowlist: removes scripts, embedded objects and form controls with their
+         * contents, unwraps elements outside SANITIZER_ALLOWED_ELEMENTS (keeping their text), drops event
+         * handlers and attributes that are not allowed, and removes links and images with unsafe URLs
+         * (such as javascript: or data: links). Style attributes keep only their plain text and background
+         * colors. The HTML is parsed into an inert document, so nothing loads or runs.
+         * @param {string} html - Untrusted HTML.
+         * @returns {{html: string, removed: Object<string, number>, total: number}} The clean HTML and
+         *     counts of removed elements, unwrapped elements, event handlers, other attributes, unsafe URLs
+         *     and images linked from the web (removed unless the allowRemoteImages setting is on).
+         */
+        sanitizeHtml(html) {
+            const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html');
+            const removed = { elements: 0, unknownElements: 0, eventHandlers: 0, attributes: 0, urls: 0, remoteImages: 0 };
+            const seenIds = new Set();
+            const imageSchemes = this.processingSettings.allowRemoteImages ? SANITIZER_REMOTE_IMAGE_SCHEMES : [];
+            // Browsers ignore control characters and whitespace inside a scheme, e.g. "java\tscript:"
+            const normalizeUrl = value => value.replace(/[\u0000-\u0020\u007F]/g, '').toLowerCase();
+            const isRemoteUrl = value => /^(https?:)?[\\/]{2}/.test(normalizeUrl(value));
+            const isAllowedUrl = (value, schemes, allowDataImages) => {
+                const url = normalizeUrl(value);
+                // "//host/path" (or "\\host") takes the page's scheme, so it counts as https
+                const scheme = /^([a-z][a-z0-9+.-]*):/.exec(url) || (/^[\\/]{2}/.test(url) ? [url, 'https'] : null);
+                if (!scheme) {
+                    return true; // Relative URL or #fragment
+                }
+                return schemes.includes(scheme[1]) || (allowDataImages && url.startsWith('data:image/'));
+            };
+            // Keeps the color declarations of a style attribute, e.g. "color: red; position: fixed" -> "color: red"
+            const getSafeStyle = value => value.split(';').map(declaration => {
+                const separator = declaration.indexOf(':');
+                const property = SANITIZER_STYLE_PROPERTIES[declaration.slice(0, separator).trim().toLowerCase()];
+                const color = declaration.slice(separator + 1).trim();
+                return separator > 0 && property && SANITIZER_STYLE_COLOR.test(color) ? `${property}: ${color}` : null;
+            }).filter(Boolean).join('; ');
+            const isValidAttribute = (tag, name, value) => {
+                switch (name) {
+                    case 'href':
+                        return isAllowedUrl(value, SANITIZER_LINK_SCHEMES, false);
+                    case 'src':
+                        return isAllowedUrl(value, imageSchemes, true);
+                    case 'class':
+                        // Page breaks kept for splitting, and the classes style mappings produce
+                        return tag === 'hr' ? value === 'page-break' : /^style-[a-z0-9]+(-[a-z0-9]+)*$/.test(value);
+                    case 'id':
+                        // Must not shadow the app's own elements or repeat an id earlier in the same content.
+                        // Checked against fixed sets rather than the live page, so the result does not depend on what is on screen.
+                        if (this.appElementIds.has(value) || seenIds.has(value)) {
+                            return false;
+                        }
+                        seenIds.add(value);
+                        return true;
+                    case 'type':
+                        return /^[1aAiI]$/.test(value);
+                    case 'colspan':
+                    case 'rowspan':
+                    case 'start':
+                    case 'value':
+                    case 'span':
+                    case 'width':
+                    case 'height':
+                        return /^\d{1,5}$/.test(value.trim());
+                    default:
+                        return true;
+                }
+            };
+
+            const clean = parent => {
+                Array.from(parent.childNodes).forEach(node => {
+                    if (node.nodeType === Node.COMMENT_NODE || node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+                        node.remove();
+                        return;
+                    }
+                    if (node.nodeType !== Node.ELEMENT_NODE) {
+                        return;
+                    }
+                    const tag = node.localName;
+                    if (SANITIZER_DROPPED_ELEMENTS.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                        node.remove();
+                        removed.elements++;
+                        return;
+                    }
+                    clean(node);
+                    if (!(tag in SANITIZER_ALLOWED_ELEMENTS)) {
+                        node.replaceWith(...node.childNodes);
+                        removed.unknownElements++;
+                        return;
+                    }
+
+                    const allowed = SANITIZER_ALLOWED_ELEMENTS[tag].concat(SANITIZER_GLOBAL_ATTRIBUTES);
+                    Array.from(node.attributes).forEach(attribute => {
+                        const name = attribute.name.toLowerCase();
+                        if (name.startsWith('on')) {
+                            removed.eventHandlers++;
+                        } else if (!allowed.includes(name)) {
+                            removed.attributes++;
+                        } else if (name === 'style') {
+                            const style = getSafeStyle(attribute.value);
+                            if (style) {
+                                node.setAttribute('style', style);
+                                return;
+                            }
+                            removed.attributes++;
+                        } else if (isValidAttribute(tag, name, attribute.value)) {
+                            return;
+                        } else if (name === 'src' && isRemoteUrl(attribute.value)) {
+                            removed.remoteImages++;
+                        } else if (name === 'href' || name === 'src') {
+                            removed.urls++;
+                        } else {
+                            removed.attributes++;
+                        }
+                        node.removeAttribute(attribute.name);
+                    });
+                    if (tag === 'img' && !node.hasAttribute('src')) {
+                        node.remove(); // An image without a usable source would show as broken
+                    }
+                });
+            };
+            clean(doc.body);
+
+            const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+            return { html: doc.body.innerHTML, removed, total };
+        }
+
+        /**
+         * Describes sanitizer counts for messages, e.g. "1 script or embedded element, 2 event handlers".
+         * @param {Object<string, number>} removed - Counts from sanitizeHtml.
+         * @returns {string} The description, or an empty string when nothing was removed.
+         */
+        describeSanitizerReport(removed) {
+            const labels = {
+                elements: ['script or embedded element', 'scripts or embedded elements'],
+                eventHandlers: ['event handler', 'event handlers'],
+                urls: ['unsafe link or image address', 'unsafe link or image addresses'],
+                remoteImages: ['image linked from the web', 'images linked from the web'],
+                unknownElements: ['unsupported element (text kept)', 'unsupported elements (text kept)'],
+                attributes: ['other attribute', 'other attributes']
+            };
+            return Object.keys(labels)
+                .filter(key => removed[key] > 0)
+                .map(key => `${removed[key]} ${labels[key][removed[key] === 1 ? 0 : 1]}`)
+                .join(', ');
+        }
+
+        /**
+         * Reduces a web page (or HTML rendered from Markdown) to its reading content: drops scripts,
+         * navigation and form controls, prefers the main/article element, unwraps layout containers,
+         * and removes images and links whose relative addresses cannot resolve outside the original site.
+         * @param {string} source - The HTML source.
+         * @returns {string} The cleaned HTML.
+         */
+        convertWebPageToHtml(source) {
+            const doc = new DOMParser().parseFromString(source, 'text/html');
+            doc.querySelectorAll(HTML_IGNORED_SELECTOR).forEach(el => el.remove());
+            const root = doc.querySelector('main, article, [role="main"]') || doc.body;
+
+            const isResolvable = url => /^(https?:|mailto:|data:|#)/i.test(url.trim());
+            root.querySelectorAll('img').forEach(img => {
+                if (!isResolvable(img.getAttribute('src') || '')) {
+                    console.warn(`Removing image with unresolvable source: "${img.getAttribute('src')}"`);
+                    img.remove();
+                }
+            });
+            root.querySelectorAll('a').forEach(anchor => {
+                if (!isResolvable(anchor.getAttribute('href') || '')) {
+                    anchor.replaceWith(...anchor.childNodes);
+                }
+            });
+
+            // Innermost containers first, so nested wrappers collapse completely
+            Array.from(root.querySelectorAll('*')).reverse().forEach(el => {
+                if (HTML_LAYOUT_TAGS.has(el.tagName)) {
+                    el.replaceWith(...this.wrapInlineRuns(Array.from(el.childNodes), doc));
+                }
+            });
+            root.replaceChildren(...this.wrapInlineRuns(Array.from(root.childNodes), doc));
+
+            // Paragraphs emptied by the removals above
+            root.querySelectorAll('p').forEach(p => {
+                if (!p.textContent.trim() && !p.querySelector('img')) {
+                    p.remove();
+                }
+            });
+            return root.innerHTML.trim();
+        }
+
+        /**
+         * Wraps runs of text and inline elements in paragraphs, leaving block elements as they are.
+         * Whitespace-only runs are dropped.
+         * @param {Array<Node>} nodes - Sibling nodes.
+         * @param {Document} doc - The document that owns the nodes.
+         * @returns {Array<Node>} Block-level nodes.
+         */
+        wrapInlineRuns(nodes, doc) {
+            const blocks = [];
+            let paragraph = null;
+            nodes.forEach(node => {
+                const isBlock = node.nodeType === Node.ELEMENT_NODE && (DOCX_BLOCK_TAGS.has(node.tagName) || HTML_LAYOUT_TAGS.has(node.tagName));
+                if (isBlock) {
+                    paragraph = null;
+                    blocks.push(node);
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) {
+                    return; // Comments
+                }
+                if (!paragraph) {
+                    if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) {
+                        return;
+                    }
+                    paragraph = doc.createElement('p');
+                    blocks.push(paragraph);
+                }
+                paragraph.appendChild(node);
+            });
+            return blocks;
+        }
+
+        /**
+         * Converts plain text to paragraphs. A blank line ends a paragraph and line breaks inside one
+         * are kept. Two or more blank lines in a row become that many empty paragraphs, so they are
+         * detected as packet breaks the same way as empty paragraphs in Word.
+         * @param {string} text - The file's text.
+         * @returns {string} The HTML.
+         */
+        convertPlainTextToHtml(text) {
+            const blocks = [];
+            let lines = [];
+            let blankLines = 0;
+            const endParagraph = () => {
+                if (lines.length > 0) {
+                    // Keeping the newline lets title detection read the first line from textContent
+                    blocks.push(`<p>${lines.join('<br />\n')}</p>`);
+                    lines = [];
+                }
+            };
+
+            text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+                if (!line.trim()) {
+                    endParagraph();
+                    blankLines++;
+                    return;
+                }
+                if (blankLines > 1 && blocks.length > 0) {
+                    blocks.push('<p></p>'.repeat(blankLines));
+                }
+                blankLines = 0;
+                lines.push(this.escapeHtml(line.trimEnd()));
+            });
+            endParagraph();
+            return blocks.join('');
+        }
+
+        /**
+         * Converts an OpenDocument text file (.odt) to HTML comparable to Mammoth's output for Word:
+         * headings, paragraphs, lists, tables, bold/italic/strikethrough/superscript/subscript,
+         * links, footnotes and embedded images. Generated indexes, comments and tracked deletions are left out.
+         * @param {ArrayBuffer} arrayBuffer - The .odt file's bytes.
+         * @param {boolean} keepPageBreaks - Whether page breaks become hr.page-break elements for splitting.
+         * @returns {Promise<string>} The document's HTML.
+         * @throws {Error} If JSZip is not loaded or the file is not an OpenDocument text document.
+         */
+        async convertOdtToHtml(arrayBuffer, keepPageBreaks) {
+            const odtPackage = await this.readOdtPackage(arrayBuffer);
+            const parseXml = path => {
+                if (!(path in odtPackage.texts)) {
+                    return null;
+                }
+                const xml = new DOMParser().parseFromString(odtPackage.texts[path], 'application/xml');
+                if (xml.getElementsByTagName('parsererror').length > 0) {
+                    throw new Error(`The OpenDocument file's ${path} could not be read.`);
+                }
+                return xml;
+            };
+            const content = parseXml('content.xml');
+            if (!content) {
+                throw new Error('Not an OpenDocument file: content.xml is missing.');
+            }
+            const body = content.getElementsByTagNameNS(ODF_NAMESPACES.office, 'text')[0];
+            if (!body) {
+                throw new Error('The OpenDocument file has no text body. Only text documents (.odt) are supported.');
+            }
+
+            // styles.xml first, so automatic styles in content.xml win when names repeat
+            const context = {
+                ...this.readOdtStyles([parseXml('styles.xml'), content]),
+                images: this.loadOdtImages(odtPackage, body),
+                keepPageBreaks,
+                notes: []
+            };
+            console.log(`ODT: ${context.styles.size} styles, ${context.listStyles.size} list styles, ${context.images.size} images.`);
+
+            const output = document.createElement('div');
+            this.convertOdtBlocks(body.childNodes, output, context);
+
+            // Footnotes and endnotes are listed at the end, linked both ways like Mammoth's
+            if (context.notes.length > 0) {
+                const list = document.createElement('ol');
+                context.notes.forEach((noteBody, index) => {
+                    const item = document.createElement('li');
+                    item.id = `footnote-${index + 1}`;
+                    this.convertOdtBlocks(noteBody.childNodes, item, context);
+                    const backLink = document.createElement('a');
+                    backLink.href = `#footnote-ref-${index + 1}`;
+                    backLink.textContent = '↑';
+                    (item.lastElementChild || item).append(' ', backLink);
+                    list.append(item);
+                });
+                output.append(list);
+            }
+            return output.innerHTML;
+        }
+
+        /**
+         * Unzips an OpenDocument file, in a conversion worker when one is running: content.xml and
+         * styles.xml as text, and the other files outside META-INF and Thumbnails (the embedded pictures)
+         * as bytes and base64.
+         * @param {ArrayBuffer} arrayBuffer - The .odt file's bytes; transferred to the worker if one is used.
+         * @returns {Promise<{texts: Object<string, string>, images: Object<string, {bytes: Uint8Array, base64: string}>}>}
+         *     The package's parts by path.
+         * @throws {Error} If JSZip is not loaded or the file cannot be unzipped.
+         */
+        async readOdtPackage(arrayBuffer) {
+            if (!window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                throw new Error('JSZip library not loaded. Please check the script tag.');
+            }
+            // Transferring would leave nothing to fall back on if no worker takes the job
+            const copy = this.conversionPool ? arrayBuffer.slice(0) : null;
+            try {
+                const unpacked = copy && await this.runConversionJob({ type: 'odt', arrayBuffer: copy });
+                if (unpacked) {
+                    return unpacked;
+                }
+
+                const zip = await window.JSZip.loadAsync(arrayBuffer);
+                const odtPackage = { texts: {}, images: {} };
+                for (const entry of Object.values(zip.files)) {
+                    const path = entry.name;
+                    if (entry.dir || path === 'mimetype' || /^(META-INF|Thumbnails)\//.test(path)) {
+                        continue;
+                    }
+                    if (path === 'content.xml' || path === 'styles.xml') {
+                        odtPackage.texts[path] = await entry.async('string');
+                    } else if (!/\.xml$/i.test(path)) {
+                        odtPackage.images[path] = { bytes: await entry.async('uint8array'), base64: await entry.async('base64') };
+                    }
+                }
+                return odtPackage;
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+                console.error('Could not unzip the OpenDocument file:', error);
+                throw new Error('Not a valid OpenDocument file: it could not be unzipped.');
+            }
+        }
+
+        /**
+         * Returns an OpenDocument element's name with its specification prefix, e.g. "text:p".
+         * @param {Node} node - A node from content.xml or styles.xml.
+         * @returns {string|null} The prefixed name, or null for text nodes and foreign elements.
+         */
+        getOdtName(node) {
+            const prefix = node.nodeType === Node.ELEMENT_NODE && ODF_PREFIXES[node.namespaceURI];
+            return prefix ? `${prefix}:${node.localName}` : null;
+        }
+
+        /**
+         * Reads the paragraph, text and list styles that affect the conversion.
+         * @param {Array<Document|null>} documents - styles.xml and content.xml, in that order.
+         * @returns {{styles: Map<string, Object>, listStyles: Map<string, Array<string>>}} Styles by name:
+         *     text formatting and page breaks with the parent style name, and each list style's
+         *     level types ("number" or "bullet").
+         */
+        readOdtStyles(documents) {
+            const styles = new Map();
+            const listStyles = new Map();
+            documents.filter(Boolean).forEach(xml => {
+                Array.from(xml.getElementsByTagNameNS(ODF_NAMESPACES.style, 'style')).forEach(style => {
+                    const textProperties = style.getElementsByTagNameNS(ODF_NAMESPACES.style, 'text-properties')[0];
+                    const paragraphProperties = style.getElementsByTagNameNS(ODF_NAMESPACES.style, 'paragraph-properties')[0];
+                    const textValue = (ns, name) => textProperties?.getAttributeNS(ODF_NAMESPACES[ns], name) || null;
+                    const weight = textValue('fo', 'font-weight');
+                    const fontStyle = textValue('fo', 'font-style');
+                    const lineThrough = textValue('style', 'text-line-through-style');
+                    const position = textValue('style', 'text-position');
+
+                    styles.set(style.getAttributeNS(ODF_NAMESPACES.style, 'name'), {
+                        parent: style.getAttributeNS(ODF_NAMESPACES.style, 'parent-style-name') || null,
+                        bold: weight === null ? undefined : weight === 'bold' || Number(weight) >= 600,
+                        italic: fontStyle === null ? undefined : fontStyle === 'italic' || fontStyle === 'oblique',
+                        strike: lineThrough === null ? undefined : lineThrough !== 'none',
+                        // "super"/"sub" or a raise/lower percentage, optionally followed by a font size
+                        position: position === null ? undefined
+                            : /^super|^[1-9]/.test(position) ? 'sup'
+                                : /^sub|^-/.test(position) ? 'sub' : null,
+                        breakBefore: paragraphProperties?.getAttributeNS(ODF_NAMESPACES.fo, 'break-before') === 'page',
+                        breakAfter: paragraphProperties?.getAttributeNS(ODF_NAMESPACES.fo, 'break-after') === 'page'
+                    });
+                });
+                Array.from(xml.getElementsByTagNameNS(ODF_NAMESPACES.text, 'list-style')).forEach(listStyle => {
+                    const levels = [];
+                    Array.from(listStyle.children).forEach(levelStyle => {
+                        const level = Number(levelStyle.getAttributeNS(ODF_NAMESPACES.text, 'level')) || 1;
+                        levels[level - 1] = levelStyle.localName === 'list-level-style-number' ? 'number' : 'bullet';
+                    });
+                    listStyles.set(listStyle.getAttributeNS(ODF_NAMESPACES.style, 'name'), levels);
+                });
+            });
+            return { styles, listStyles };
+        }
+
+        /**
+         * Resolves the text formatting of a style through its parent styles, over an inherited format.
+         * @param {string|null} styleName - The element's style name.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         * @param {Object} [inherited={}] - Formatting from enclosing elements.
+         * @returns {{bold: boolean, italic: boolean, strike: boolean, position: string|null}} The formatting.
+         */
+        getOdtTextFormat(styleName, context, inherited = {}) {
+            const format = { bold: false, italic: false, strike: false, position: null, ...inherited };
+            const chain = [];
+            for (let name = styleName; name && context.styles.has(name) && chain.length < 20; name = context.styles.get(name).parent) {
+                chain.unshift(context.styles.get(name)); // Ancestors first, so closer styles override them
+            }
+            chain.forEach(style => {
+                ['bold', 'italic', 'strike', 'position'].forEach(key => {
+                    if (style[key] !== undefined) {
+                        format[key] = style[key];
+                    }
+                });
+            });
+            return format;
+        }
+
+        /**
+         * Turns every image the document body refers to into a data URI.
+         * @param {Object} odtPackage - The unzipped .odt package from readOdtPackage.
+         * @param {Element} body - The office:text element.
+         * @returns {Map<string, string|null>} Data URIs by package path; null for unusable images.
+         */
+        loadOdtImages(odtPackage, body) {
+            const images = new Map();
+            for (const image of Array.from(body.getElementsByTagNameNS(ODF_NAMESPACES.draw, 'image'))) {
+                const path = (image.getAttributeNS(ODF_NAMESPACES.xlink, 'href') || '').replace(/^\.\//, '');
+                const entry = path && !images.has(path) && odtPackage.images[path];
+                if (!entry) {
+                    continue;
+                }
+                const extension = this.getImageExtension('', entry.bytes);
+                if (extension) {
+                    images.set(path, `data:${IMAGE_EXTENSION_TYPES[extension]};base64,${entry.base64}`);
+                } else if (/\.svg$/i.test(path)) {
+                    images.set(path, `data:image/svg+xml;base64,${entry.base64}`);
+                } else {
+                    console.warn(`ODT: skipping image in an unsupported format: "${path}"`);
+                    images.set(path, null);
+                }
+            }
+            return images;
+        }
+
+        /**
+         * Converts block-level OpenDocument content (paragraphs, headings, lists, tables, sections).
+         * @param {NodeList|Array<Node>} nodes - The elements to convert.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         */
+        convertOdtBlocks(nodes, parent, context) {
+            const pageBreak = () => {
+                const hr = document.createElement('hr');
+                hr.className = 'page-break';
+                return hr;
+            };
+
+            Array.from(nodes).forEach(node => {
+                const name = this.getOdtName(node);
+                switch (name) {
+                    case 'text:h':
+                    case 'text:p': {
+                        const styleName = node.getAttributeNS(ODF_NAMESPACES.text, 'style-name');
+                        const style = this.getOdtTextFormat(styleName, context);
+                        const breaks = context.styles.get(styleName) || {};
+                        const level = Math.min(6, Math.max(1, Number(node.getAttributeNS(ODF_NAMESPACES.text, 'outline-level')) || 1));
+                        const block = document.createElement(name === 'text:h' ? `h${level}` : 'p');
+                        // Heading styles are bold by design; only paragraph-wide formatting is carried into runs
+                        this.convertOdtInline(node.childNodes, block, context, name === 'text:h' ? {} : style);
+
+                        if (context.keepPageBreaks && breaks.breakBefore) {
+                            parent.append(pageBreak());
+                        }
+                        if (block.textContent.trim() || block.querySelector('img')) { // Mammoth also drops empty paragraphs
+                            parent.append(block);
+                        }
+                        if (context.keepPageBreaks && breaks.breakAfter) {
+                            parent.append(pageBreak());
+                        }
+                        break;
+                    }
+                    case 'text:list':
+                        this.convertOdtList(node, parent, context, 1, null);
+                        break;
+                    case 'table:table':
+                        this.convertOdtTable(node, parent, context);
+                        break;
+                    case 'text:section':
+                        this.convertOdtBlocks(node.childNodes, parent, context);
+                        break;
+                    case 'draw:frame': {
+                        // Frames anchored to the page rather than a paragraph
+                        const paragraph = document.createElement('p');
+                        this.convertOdtInline([node], paragraph, context, {});
+                        if (paragraph.hasChildNodes()) {
+                            parent.append(paragraph);
+                        }
+                        break;
+                    }
+                    default:
+                        // Declarations, generated indexes (tables of contents), tracked changes and the like
+                        if (name) {
+                            console.log(`ODT: skipping ${name}`);
+                        }
+                }
+            });
+        }
+
+        /**
+         * Converts an OpenDocument list, choosing ul or ol from the list style at each level.
+         * Paragraphs inside an item are joined with line breaks, as Mammoth puts item text directly in the li.
+         * @param {Element} list - The text:list element.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         * @param {number} level - The nesting level, starting at 1.
+         * @param {string|null} inheritedStyle - The enclosing list's style name; nested lists often omit their own.
+         */
+        convertOdtList(list, parent, context, level, inheritedStyle) {
+            const styleName = list.getAttributeNS(ODF_NAMESPACES.text, 'style-name') || inheritedStyle;
+            const levels = context.listStyles.get(styleName) || [];
+            const htmlList = document.createElement(levels[level - 1] === 'number' ? 'ol' : 'ul');
+
+            Array.from(list.children).forEach(item => {
+                const itemName = this.getOdtName(item);
+                if (itemName !== 'text:list-item' && itemName !== 'text:list-header') {
+                    return;
+                }
+                const li = document.createElement('li');
+                Array.from(item.children).forEach(child => {
+                    const childName = this.getOdtName(child);
+                    if (childName === 'text:list') {
+                        this.convertOdtList(child, li, context, level + 1, styleName);
+                    } else if (childName === 'text:p' || childName === 'text:h') {
+                        if (li.hasChildNodes()) {
+                            li.append(document.createElement('br'));
+                        }
+                        const format = this.getOdtTextFormat(child.getAttributeNS(ODF_NAMESPACES.text, 'style-name'), context);
+                        this.convertOdtInline(child.childNodes, li, context, format);
+                    } else {
+                        this.convertOdtBlocks([child], li, context);
+                    }
+                });
+                htmlList.append(li);
+            });
+            parent.append(htmlList);
+        }
+
+        /**
+         * Converts an OpenDocument table; header rows become a thead with th cells.
+         * Repeated rows and columns are written once, since text documents only repeat empty ones.
+         * @param {Element} table - The table:table element.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         */
+        convertOdtTable(table, parent, context) {
+            const htmlTable = document.createElement('table');
+            const tbody = document.createElement('tbody');
+            const addRows = (container, section, cellTag) => {
+                Array.from(container.children).forEach(child => {
+                    const childName = this.getOdtName(child);
+                    if (childName === 'table:table-header-rows') {
+                        const thead = htmlTable.tHead || htmlTable.createTHead();
+                        addRows(child, thead, 'th');
+                    } else if (childName === 'table:table-rows' || childName === 'table:table-row-group') {
+                        addRows(child, section, cellTag);
+                    } else if (childName === 'table:table-row') {
+                        const row = document.createElement('tr');
+                        Array.from(child.children).forEach(cell => {
+                            if (this.getOdtName(cell) !== 'table:table-cell') {
+                                return; // Covered cells are part of a spanning cell
+                            }
+                            const htmlCell = document.createElement(cellTag);
+                            const colspan = Number(cell.getAttributeNS(ODF_NAMESPACES.table, 'number-columns-spanned')) || 1;
+                            const rowspan = Number(cell.getAttributeNS(ODF_NAMESPACES.table, 'number-rows-spanned')) || 1;
+                            if (colspan > 1) {
+                                htmlCell.colSpan = colspan;
+                            }
+                            if (rowspan > 1) {
+                                htmlCell.rowSpan = rowspan;
+                            }
+                            this.convertOdtBlocks(cell.childNodes, htmlCell, context);
+                            row.append(htmlCell);
+                        });
+                        section.append(row);
+                    }
+                });
+            };
+            addRows(table, tbody, 'td');
+            htmlTable.append(tbody);
+            parent.append(htmlTable);
+        }
+
+        /**
+         * Converts the inline content of an OpenDocument paragraph: text with formatting, links,
+         * line breaks, tabs, spaces, footnote references and images.
+         * @param {NodeList|Array<Node>} nodes - The nodes to convert.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         * @param {Object} format - The formatting in effect, from getOdtTextFormat.
+         */
+        convertOdtInline(nodes, parent, context, format) {
+            Array.from(nodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    // ODF collapses whitespace in text; repeated spaces are written as text:s
+                    this.appendOdtText(node.textContent.replace(/[ \t\r\n]+/g, ' '), parent, format);
+                    return;
+                }
+                const name = this.getOdtName(node);
+                switch (name) {
+                    case 'text:span':
+                        this.convertOdtInline(node.childNodes, parent, context,
+                            this.getOdtTextFormat(node.getAttributeNS(ODF_NAMESPACES.text, 'style-name'), context, format));
+                        break;
+                    case 'text:a': {
+                        const anchor = document.createElement('a');
+                        anchor.href = node.getAttributeNS(ODF_NAMESPACES.xlink, 'href') || '';
+                        this.convertOdtInline(node.childNodes, anchor, context, format);
+                        parent.append(anchor);
+                        break;
+                    }
+                    case 'text:line-break':
+                        parent.append(document.createElement('br'));
+                        break;
+                    case 'text:tab':
+                        this.appendOdtText('\t', parent, format);
+                        break;
+                    case 'text:s':
+                        this.appendOdtText(' '.repeat(Number(node.getAttributeNS(ODF_NAMESPACES.text, 'c')) || 1), parent, format);
+                        break;
+                    case 'text:note': {
+                        const noteBody = node.getElementsByTagNameNS(ODF_NAMESPACES.text, 'note-body')[0];
+                        if (!noteBody) {
+                            break;
+                        }
+                        context.notes.push(noteBody);
+                        const number = context.notes.length;
+                        const sup = document.createElement('sup');
+                        const link = document.createElement('a');
+                        link.href = `#footnote-${number}`;
+                        link.id = `footnote-ref-${number}`;
+                        link.textContent = `[${number}]`;
+                        sup.append(link);
+                        parent.append(sup);
+                        break;
+                    }
+                    case 'draw:frame':
+                        this.convertOdtFrame(node, parent, context, format);
+                        break;
+                    case 'office:annotation':
+                    case 'office:annotation-end':
+                    case 'text:bookmark':
+                    case 'text:bookmark-start':
+                    case 'text:bookmark-end':
+                    case 'text:soft-page-break':
+                    case 'text:change':
+                    case 'text:change-start':
+                    case 'text:change-end':
+                        break;
+                    default:
+                        // Fields (page numbers, dates, cross-references) and other wrappers keep their text
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.convertOdtInline(node.childNodes, parent, context, format);
+                        }
+                }
+            });
+        }
+
+        /**
+         * Converts a drawing frame: the first usable image in it, or the text of a text box
+         * (such as an image caption) as line-separated runs.
+         * @param {Element} frame - The draw:frame element.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} context - The conversion context from convertOdtToHtml.
+         * @param {Object} format - The formatting in effect, from getOdtTextFormat.
+         */
+        convertOdtFrame(frame, parent, context, format) {
+            const frameChildren = Array.from(frame.children);
+            // Frames often hold an SVG or vector original followed by a raster fallback
+            const src = frameChildren
+                .filter(child => this.getOdtName(child) === 'draw:image')
+                .map(image => context.images.get((image.getAttributeNS(ODF_NAMESPACES.xlink, 'href') || '').replace(/^\.\//, '')))
+                .find(Boolean);
+            if (src) {
+                const img = document.createElement('img');
+                img.src = src;
+                const description = frameChildren.find(child => ['svg:desc', 'svg:title'].includes(this.getOdtName(child)));
+                if (description && description.textContent.trim()) {
+                    img.alt = description.textContent.trim(); // An empty alt would mark the image as decorative
+                }
+                parent.append(img);
+                return;
+            }
+
+            const textBox = frameChildren.find(child => this.getOdtName(child) === 'draw:text-box');
+            if (textBox) {
+                const box = document.createElement('div');
+                this.convertOdtBlocks(textBox.childNodes, box, context);
+                Array.from(box.children).forEach((block, index) => {
+                    if (index > 0 || parent.hasChildNodes()) {
+                        parent.append(document.createElement('br'));
+                    }
+                    parent.append(...block.childNodes);
+                });
+            }
+        }
+
+        /**
+         * Appends text wrapped in the elements for its formatting (strong, em, s, sup/sub).
+         * @param {string} text - The text.
+         * @param {HTMLElement} parent - The HTML element to append to.
+         * @param {Object} format - The formatting, from getOdtTextFormat.
+         */
+        appendOdtText(text, parent, format) {
+            if (!text) {
+                return;
+            }
+            let node = document.createTextNode(text);
+            [format.position, format.strike && 's', format.italic && 'em', format.bold && 'strong'].forEach(tag => {
+                if (tag) {
+                    const wrapper = document.createElement(tag);
+                    wrapper.append(node);
+                    node = wrapper;
+                }
+            });
+            parent.append(node);
+        }
+
+        /**
+         * Attempts to identify and separate multiple packets within an HTML document structure.
+         * Uses the chosen strategy, or in automatic mode tries headings, explicit separators
+         * and paragraph breaks in turn.
+         * @param {HTMLElement} tempDiv - A temporary div containing the document's HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} fullHtml - The full HTML content from Mammoth.js.
+         * @param {string} [strategy='auto'] - A key of SPLIT_STRATEGIES.
+         * @returns {{packets: Array<Object>, method: string, reason: string, attempts: Array<string>}}
+         *     The identified packets, the method that produced them, why it was used, and
+         *     (in automatic mode) why earlier methods were passed over.
+         */
+        identifyMultiplePackets(tempDiv, filename, fullHtml, strategy = 'auto') {
+            console.log(`Starting identifyMultiplePackets for "${filename}" with strategy "${strategy}".`);
+            if (strategy !== 'auto') {
+                const packets = this.extractPacketsByStrategy(tempDiv, filename, strategy);
+                return {
+                    packets,
+                    method: SPLIT_STRATEGIES[strategy],
+                    reason: strategy === 'none'
+                        ? 'Never split was chosen for this file.'
+                        : `Chosen in processing options; found ${packets.length} packet${packets.length === 1 ? '' : 's'}.`,
+                    attempts: []
+                };
+            }
+
+            const MIN_CONTENT_LENGTH_FOR_SPLIT = this.processingSettings.minSplitLength; // A segment must have at least this many chars to be a distinct packet
+            const attempts = [];
+            const countSubstantial = packets => packets.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length;
 
             // Strategy 1: Split by headings (H1, H2, H3)
             const headings = tempDiv.querySelectorAll('h1, h2, h3');
-            if (headings.length > 1) {
-                const packetsByHeadings = this.extractPacketsByHeadings(tempDiv, filename, headings);
-                // Only consider this a successful multi-packet split if at least two packets are substantial
-                if (packetsByHeadings.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
-                    console.log(`Strategy 1 (Headings) found ${packetsByHeadings.length} packets.`);
-                    return packetsByHeadings;
+            if (headings.length > 1) {
+                const packetsByHeadings = this.extractPacketsByHeadings(tempDiv, filename, headings);
+                // Only consider this a successful multi-packet split if at least two packets are substantial
+                const substantial = countSubstantial(packetsByHeadings);
+                if (substantial > 1) {
+                    console.log(`Strategy 1 (Headings) found ${packetsByHeadings.length} packets.`);
+                    return {
+                        packets: packetsByHeadings,
+                        method: 'Headings H1–H3',
+                        reason: `Found ${headings.length} headings; ${substantial} of the sections between them have at least ${MIN_CONTENT_LENGTH_FOR_SPLIT} characters of text.`,
+                        attempts
+                    };
+                } else {
+                    console.log(`Strategy 1 (Headings) found segments, but not enough substantial ones to confirm multiple packets.`);
+                    attempts.push(`Headings: ${headings.length} found, but fewer than two sections have ${MIN_CONTENT_LENGTH_FOR_SPLIT}+ characters.`);
+                }
+            } else {
+                attempts.push(`Headings: ${headings.length === 0 ? 'none' : 'only one'} found (H1–H3).`);
+            }
+
+            // Strategy 2: Split by explicit patterns like "***", "---", or multiple empty paragraphs
+            const separatorPatterns = [
+                { pattern: /\n\s*\*{3,}\s*\n/g, label: '*** lines' },
+                { pattern: /\n\s*-{3,}\s*\n/g, label: '--- lines' },
+                { pattern: /\n\s*_{3,}\s*\n/g, label: '___ lines' },
+                { pattern: /\n\s*={3,}\s*\n/g, label: '=== lines' },
+                { pattern: /\n\s*~{3,}\s*\n/g, label: '~~~ lines' },
+                { pattern: /(<p>\s*&nbsp;\s*<\/p>){2,}/g, label: 'two or more empty paragraphs with &nbsp;' },
+                { pattern: /(<p>\s*<\/p>){2,}/g, label: 'two or more empty paragraphs' }
+            ];
+
+            for (const { pattern, label } of separatorPatterns) {
+                // Ensure the pattern actually exists and splits the content into more than one part
+                if (fullHtml.match(pattern)) {
+                    const partsHtml = fullHtml.split(pattern);
+                    // Filter out very short or empty parts that might just be separator artifacts
+                    const meaningfulParts = partsHtml.filter(part => {
+                        const tempPartDiv = document.createElement('div');
+                        tempPartDiv.innerHTML = part;
+                        return tempPartDiv.textContent.trim().length >= MIN_CONTENT_LENGTH_FOR_SPLIT;
+                    });
+
+                    if (meaningfulParts.length > 1) {
+                        const packetsBySeparator = this.extractPacketsBySeparator(meaningfulParts, filename);
+                        if (packetsBySeparator.length > 1) {
+                            console.log(`Strategy 2 (Separators: ${pattern}) found ${packetsBySeparator.length} packets.`);
+                            return {
+                                packets: packetsBySeparator, // Return early if a clear separator is found
+                                method: `Separators (${label})`,
+                                reason: `Found ${label} dividing the document into ${meaningfulParts.length} parts with at least ${MIN_CONTENT_LENGTH_FOR_SPLIT} characters of text.`,
+                                attempts
+                            };
+                        }
+                    }
+                    attempts.push(`Separators: ${label} found, but fewer than two parts have ${MIN_CONTENT_LENGTH_FOR_SPLIT}+ characters.`);
+                }
+            }
+            if (!attempts.some(attempt => attempt.startsWith('Separators'))) {
+                attempts.push('Separators: no separator lines or runs of empty paragraphs found.');
+            }
+
+            // Strategy 3: Split by significant paragraph breaks (very conservative)
+            // This is the most ambiguous strategy, so it should be the last resort and very strict.
+            const paragraphs = Array.from(tempDiv.querySelectorAll('p'));
+            if (paragraphs.length > 3) { // Need a good number of paragraphs to consider this
+                const packetsByParagraphs = this.extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs);
+                const substantial = countSubstantial(packetsByParagraphs);
+                if (substantial > 1) {
+                    console.log(`Strategy 3 (Paragraph Separation) found ${packetsByParagraphs.length} packets.`);
+                    return {
+                        packets: packetsByParagraphs,
+                        method: 'Blank lines',
+                        reason: `Found ${substantial} blocks of at least ${MIN_CONTENT_LENGTH_FOR_SPLIT} characters separated by blank paragraphs. This method is the least reliable; check the boundaries.`,
+                        attempts
+                    };
+                } else {
+                    console.log(`Strategy 3 (Paragraph Separation) found segments, but not enough substantial ones to confirm multiple packets.`);
+                    attempts.push(`Blank lines: fewer than two blocks of ${MIN_CONTENT_LENGTH_FOR_SPLIT}+ characters between blank paragraphs.`);
+                }
+            } else {
+                attempts.push('Blank lines: too few paragraphs to look for breaks.');
+            }
+
+            console.log(`No strong multi-packet separation detected for "${filename}".`);
+            // Return no packets, which will trigger the single-packet fallback
+            return { packets: [], method: SPLIT_STRATEGIES.auto, reason: 'No method found two or more substantial packets.', attempts };
+        }
+
+        /**
+         * Splits a document with a strategy chosen in the processing options rather than detected.
+         * @param {HTMLElement} tempDiv - A temporary div containing the document's HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} strategy - A key of SPLIT_STRATEGIES other than 'auto'.
+         * @returns {Array<Object>} An array of packet objects; empty for 'none'.
+         */
+        extractPacketsByStrategy(tempDiv, filename, strategy) {
+            switch (strategy) {
+                case 'h1':
+                case 'h2':
+                    return this.extractPacketsByHeadings(tempDiv, filename, tempDiv.querySelectorAll(strategy));
+                case 'separator': {
+                    const separator = this.processingSettings.customSeparator.trim();
+                    const parts = this.splitAtBoundaryBlocks(tempDiv, el => el.textContent.trim() === separator);
+                    return this.extractPacketsBySeparator(parts, filename);
+                }
+                case 'pagebreak':
+                    // Breaks inside lists or tables cannot start a packet; drop them rather than show rules
+                    tempDiv.querySelectorAll('hr.page-break').forEach(hr => {
+                        if (hr.parentElement !== tempDiv) {
+                            hr.remove();
+                        }
+                    });
+                    return this.extractPacketsBySeparator(this.splitAtBoundaryBlocks(tempDiv, el => el.matches('hr.page-break')), filename);
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * Divides a document at top-level blocks that mark a boundary, such as separator lines or page breaks.
+         * Boundary blocks and blank paragraphs at the edges of each part are left out.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {function(Element): boolean} isBoundary - Whether a top-level block separates two packets.
+         * @returns {Array<string>} The HTML of each non-empty part, in document order.
+         */
+        splitAtBoundaryBlocks(tempDiv, isBoundary) {
+            const isBlank = el => el.tagName === 'P' && el.textContent.trim().length === 0 && !el.querySelector('img');
+            const parts = [[]];
+            Array.from(tempDiv.children).forEach(el => {
+                if (isBoundary(el)) {
+                    parts.push([]);
+                } else {
+                    parts[parts.length - 1].push(el);
+                }
+            });
+            console.log(`  Found ${parts.length - 1} boundary blocks.`);
+
+            return parts.map(elements => {
+                let start = 0;
+                let end = elements.length;
+                while (start < end && isBlank(elements[start])) start++;
+                while (end > start && isBlank(elements[end - 1])) end--;
+                return elements.slice(start, end).map(el => el.outerHTML).join('\n');
+            }).filter(html => html.length > 0);
+        }
+
+        /**
+         * Extracts packets by identifying text blocks separated by heading tags.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The name of the original file.
+         * @param {NodeList<HTMLElement>} headings - The heading elements that start packets.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsByHeadings(tempDiv, filename, headings) {
+            const packets = [];
+            const allElements = Array.from(tempDiv.children);
+            console.log(`  Extracting by headings for "${filename}". Found ${headings.length} headings.`);
+            const MIN_POEM_LENGTH_HEADING = this.processingSettings.minSectionLength; // Minimum characters for a packet section identified by heading
+
+            for (let i = 0; i < headings.length; i++) {
+                const currentHeading = headings[i];
+                const nextHeading = headings[i + 1];
+
+                const title = currentHeading.textContent.trim();
+                // Ensure heading is meaningful
+                if (title.length === 0 || title.length > 200 || title.split(/\s+/).length > 20) { // Max 20 words for a title
+                    console.log(`    Skipping heading with invalid title: "${title}"`);
+                    continue;
+                }
+
+                const startIndex = allElements.indexOf(currentHeading);
+                const endIndex = nextHeading ? allElements.indexOf(nextHeading) : allElements.length;
+
+                // Collect all elements between current heading and the next (or end of document)
+                const packetElements = allElements.slice(startIndex + 1, endIndex);
+
+                // Filter out any empty text nodes or very short paragraphs that might be artifacts
+                const meaningfulElements = packetElements.filter(el => {
+                    // Check if element has actual content or is a line break (<br>) or non-empty paragraph
+                    // Consider content beyond just whitespace or &nbsp;
+                    return el.textContent.trim().length > 0 || (el.tagName === 'P' && el.innerHTML.trim() !== '&nbsp;' && el.innerHTML.trim() !== '');
+                });
+
+                if (meaningfulElements.length === 0) {
+                    console.log(`    Skipping heading "${title}" as no meaningful content found before next heading/end.`);
+                    continue;
+                }
+
+                // Preserve the structure and formatting as much as possible for htmlContent
+                const packetHtml = meaningfulElements.map(el => el.outerHTML).join('\n');
+                const packetContent = meaningfulElements.map(el => {
+                    // Convert <br> to newline, otherwise use textContent.
+                    // This is for plain text content for word count and duplication check.
+                    return el.tagName === 'BR' ? '\n' : el.textContent;
+                }).join('\n').trim();
+
+                // Add the heading itself to the packet's htmlContent to retain its styling
+                const fullPacketHtml = currentHeading.outerHTML + '\n' + packetHtml;
+
+                if (packetContent.length >= MIN_POEM_LENGTH_HEADING) {
+                    packets.push(this.createPacketObject(title, packetContent, fullPacketHtml, filename));
+                } else {
+                    console.log(`    Skipping heading "${title}" due to insufficient content (${packetContent.length} chars).`);
+                }
+            }
+            console.log(`  Finished heading extraction. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+        /**
+         * Extracts packets by identifying blocks of paragraphs separated by empty or very short paragraphs.
+         * This strategy is now very conservative.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The name of the original file.
+         * @param {NodeList<HTMLElement>} paragraphs - A NodeList of paragraph elements.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs) {
+            const packets = [];
+            let currentPacketElements = [];
+            let currentTitle = '';
+            let packetIndex = 1;
+            console.log(`  Extracting by paragraph separation for "${filename}". Found ${paragraphs.length} paragraphs.`);
+            const MIN_POEM_LENGTH_PARA_SPLIT = this.processingSettings.minParagraphSectionLength; // Higher minimum for this ambiguous splitting method
+
+            for (let i = 0; i < paragraphs.length; i++) {
+                const p = paragraphs[i];
+                const text = p.textContent.trim();
+                const html = p.outerHTML;
+
+                // A much stricter heuristic for a "significant break" that indicates a new packet.
+                // Require a truly empty paragraph or a paragraph with only non-breaking spaces,
+                // OR at least two consecutive empty-like paragraphs.
+                const isTrulyEmpty = text.length === 0 || p.innerHTML.trim() === '&nbsp;' || p.innerHTML.trim() === '<br>' || p.innerHTML.trim() === '<br />';
+                const isSignificantBreak = isTrulyEmpty && (
+                    (i + 1 < paragraphs.length && (paragraphs[i + 1].textContent.trim().length === 0 || paragraphs[i + 1].innerHTML.trim() === '&nbsp;')) ||
+                    (i + 2 < paragraphs.length && (paragraphs[i + 2].textContent.trim().length === 0 || paragraphs[i + 2].innerHTML.trim() === '&nbsp;'))
+                );
+
+                // Heuristic for what might be a title: short, possibly bold/centered, starts with a capital letter
+                // Be very conservative: must be short AND either bold, centered, or ALL CAPS
+                const mightBeTitle = text.length > 0 && text.length < 100 &&
+                    (p.querySelector('strong, b') || p.style.textAlign === 'center' || (text === text.toUpperCase() && text.length < 50 && text.split(/\s+/).length < 10)); // Max 10 words for an ALL CAPS title
+
+                if (isSignificantBreak) {
+                    if (currentPacketElements.length > 0) {
+                        const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
+                        const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
+                        const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+
+                        if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) { // Ensure substantial content
+                            packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
+                            packetIndex++;
+                            console.log(`    Packet #${packetIndex - 1} identified by significant paragraph break: "${title}"`);
+                        } else {
+                            console.log(`    Skipping short packet segment before break (length: ${packetContent.length}). Likely part of previous/next.`);
+                        }
+                        currentPacketElements = [];
+                        currentTitle = '';
+                    }
+                    // Skip the actual empty/break paragraphs from being added to any packet's content
+                } else if (mightBeTitle && currentPacketElements.length === 0) {
+                    // If it's a potential title and no current packet content, start a new one
+                    currentTitle = text;
+                    currentPacketElements.push(p);
+                    console.log(`    Potential title detected: "${text}"`);
+                } else {
+                    currentPacketElements.push(p);
+                }
+            }
+
+            // Add any remaining packet elements after the loop finishes
+            if (currentPacketElements.length > 0) {
+                const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
+                const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
+                const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+
+                if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) {
+                    packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
+                    console.log(`    Last packet identified: "${title}"`);
+                } else {
+                    console.log(`    Skipping last packet segment due to insufficient content (length: ${packetContent.length}). Likely part of previous/next.`);
+                }
+            }
+            console.log(`  Finished paragraph separation. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+        /**
+         * Extracts packets by identifying blocks of HTML content based on detected separator patterns.
+         * @param {Array<string>} htmlParts - Array of HTML strings separated by a pattern.
+         * @param {string} filename - The name of the original file.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsBySeparator(htmlParts, filename) {
+            const packets = [];
+            console.log(`  Extracting by custom separators for "${filename}". Found ${htmlParts.length} parts.`);
+            const MIN_POEM_LENGTH_SEPARATOR = this.processingSettings.minSectionLength; // Minimum characters for a packet section identified by separator
+
+            htmlParts.forEach((part, index) => {
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = part.trim();
+                const content = tempDiv.textContent.trim();
+
+                // If the part is just the separator itself or very short, skip it
+                if (content.length < MIN_POEM_LENGTH_SEPARATOR && !tempDiv.querySelector('p, h1, h2, h3, h4, h5, h6, pre')) {
+                    console.log(`    Skipping part ${index + 1} due to insufficient content after separator.`);
+                    return;
+                }
+
+                // Attempt to find a title within this part, prioritizing headings or bold/centered text
+                let title = '';
+                const headings = tempDiv.querySelectorAll('h1, h2, h3');
+                if (headings.length > 0) {
+                    title = headings[0].textContent.trim();
+                } else {
+                    const paragraphs = tempDiv.querySelectorAll('p');
+                    if (paragraphs.length > 0) {
+                        const firstParaText = paragraphs[0].textContent.trim();
+                        if (firstParaText.length > 0 && firstParaText.length < 150) {
+                            const isBold = paragraphs[0].querySelector('strong, b') !== null;
+                            const isCentered = paragraphs[0].style.textAlign === 'center';
+                            if (isBold || isCentered) {
+                                title = firstParaText;
+                            }
+                        }
+                    }
+                }
+
+                if (!title) {
+                    // Fallback to first non-empty line as title if no clear title found
+                    const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+                    const firstLine = lines[0] || '';
+                    if (firstLine.length > 0 && firstLine.length < 100) {
+                        title = firstLine;
+                    } else {
+                        title = `Packet ${index + 1} from ${filename}`;
+                    }
+                }
+
+                if (content.length >= MIN_POEM_LENGTH_SEPARATOR) {
+                    packets.push(this.createPacketObject(title, content, part.trim(), filename));
+                    console.log(`    Packet #${index + 1} identified by separator: "${title}"`);
+                } else {
+                    console.log(`    Skipping segment after separator due to insufficient content (length: ${content.length}).`);
+                }
+            });
+            console.log(`  Finished separator extraction. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+
+        /**
+         * Creates a single packet object from an entire document when multiple packets are not detected.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} html - The full HTML content from Mammoth.js.
+         * @param {string} content - The full plain text content of the document.
+         * @returns {Object} A single packet object.
+         */
+        createSinglePacketFromDocument(tempDiv, filename, html, content) {
+            console.log(`Creating single packet object for "${filename}".`);
+            const title = this.extractTitle(tempDiv, filename);
+            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+
+            return {
+                id: Date.now() + Math.random(),
+                title: title,
+                content: content,
+                htmlContent: html, // The full HTML of the document as a single packet
+                filename: filename,
+                wordCount: wordCount,
+                dateAdded: new Date().toISOString(),
+                sectionId: null
+            };
+        }
+
+        /**
+         * Creates a packet object with all necessary properties.
+         * @param {string} title - The title of the packet.
+         * @param {string} content - The plain text content of the packet.
+         * @param {string} htmlContent - The HTML content of the packet.
+         * @param {string} filename - The original filename from which the packet was extracted.
+         * @returns {Object} The packet object.
+         */
+        createPacketObject(title, content, htmlContent, filename) {
+            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+            return {
+                id: Date.now() + Math.random(),
+                title: title,
+                content: content,
+                htmlContent: htmlContent,
+                filename: filename,
+                wordCount: wordCount,
+                dateAdded: new Date().toISOString(),
+                sectionId: null
+            };
+        }
+
+        /**
+         * Extracts a title from the document HTML, using various heuristics.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document's HTML.
+         * @param {string} filename - The original filename.
+         * @returns {string} The extracted or generated title.
+         */
+        extractTitle(tempDiv, filename) {
+            let title = '';
+            console.log(`Attempting to extract title for "${filename}".`);
+
+            // Prioritize actual heading tags
+            const headings = tempDiv.querySelectorAll('h1, h2, h3');
+            for (let i = 0; i < headings.length; i++) {
+                const hText = headings[i].textContent.trim();
+                // Ensure heading is meaningful (not too short/long, not just numbers etc)
+                if (hText.length > 0 && hText.length < 150 && hText.split(/\s+/).length < 25 && /[a-zA-Z]/.test(hText)) {
+                    title = hText;
+                    console.log(`  Title found from heading: "${title}"`);
+                    break;
+                }
+            }
+
+            // If no heading, check first few paragraphs for bold/centered text
+            if (!title) {
+                const paragraphs = tempDiv.querySelectorAll('p');
+                for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
+                    const p = paragraphs[i];
+                    const pText = p.textContent.trim();
+                    if (pText.length > 0 && pText.length < 150) {
+                        const isBold = p.querySelector('strong, b') !== null;
+                        const isCentered = p.style.textAlign === 'center';
+                        const isAllCaps = pText === pText.toUpperCase() && pText.length < 50 && pText.split(/\s+/).length < 10;
+
+                        if (isBold || isCentered || isAllCaps) {
+                            title = pText;
+                            console.log(`  Title found from bold/centered/all caps paragraph: "${title}"`);
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // As a last resort, use the first non-empty line of content or filename
+            if (!title) {
+                const paragraphs = tempDiv.querySelectorAll('p');
+                if (paragraphs.length > 0) {
+                    const firstMeaningfulParagraph = Array.from(paragraphs).find(p => p.textContent.trim().length > 0);
+                    if (firstMeaningfulParagraph) {
+                        const firstParagraphText = firstMeaningfulParagraph.textContent.trim();
+                        if (firstParagraphText.length > 0) {
+                            const firstLine = firstParagraphText.split('\n')[0].trim();
+                            if (firstLine.length > 0 && firstLine.length < 150 && firstLine.split(/\s+/).length < 25) {
+                                title = firstLine;
+                                console.log(`  Title found from first line of first meaningful paragraph: "${title}"`);
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (!title) {
+                title = filename.split('/').pop().replace(/\.[^.]+$/, '').replace(/[_-]/g, ' ').trim();
+                console.log(`  Title falling back to cleaned filename: "${title}"`);
+            }
+
+            // Capitalize first letter of fallback titles for better display
+            if (title.startsWith('packet ') && title.toLowerCase().includes('from')) {
+                 // Leave "Packet X from file" as is
+            } else if (title.length > 0) {
+                title = title.charAt(0).toUpperCase() + title.slice(1);
+            }
+
+            return title;
+        }
+
+        /**
+         * Updates the display of loaded packets in the UI.
+         * Enables/disables the download button based on packet count.
+         * Re-initializes drag-and-drop for packet reordering.
+         */
+        updateDisplay() {
+            console.log('Updating display for packets. Total packets:', this.packets.length);
+            const packetsList = document.getElementById('packetsList');
+            const downloadBtn = document.getElementById('downloadBtn');
+            const clearBtn = document.getElementById('clearBtn');
+            const placeholder = document.getElementById('packetsPlaceholder');
+            const packetCountSpan = document.getElementById('packetCount');
+            const packetDependentButtons = document.querySelectorAll('[data-requires-packets]');
+
+            if (!packetsList || !downloadBtn || !clearBtn || !placeholder || !packetCountSpan) {
+                console.error('Required DOM elements for display update not found. Ensure all IDs are correct in HTML.');
+                return;
+            }
+
+            this.normalizePacketOrder();
+            packetsList.innerHTML = ''; // Clear existing list
+            packetCountSpan.textContent = this.packets.length.toString();
+            this.scheduleSessionSave();
+            this.updatePacketFilterControls();
+            this.renderExportPreview();
+            if (this.accessibilityAudit) {
+                this.refreshAccessibilityAudit(); // Keep the checklist in step with edits, splits and removals
+            }
+
+            if (this.packets.length === 0) {
+                placeholder.style.display = 'block';
+                packetsList.style.display = 'none';
+                downloadBtn.disabled = true;
+                clearBtn.disabled = true;
+                packetDependentButtons.forEach(button => { button.disabled = true; });
+                this.announceToScreenReader('packet-list-status', 'No packets loaded.');
+                console.log('No packets to display. Placeholder shown, buttons disabled.');
+                return;
+            }
+
+            placeholder.style.display = 'none';
+            packetsList.style.display = 'block';
+            downloadBtn.disabled = false;
+            clearBtn.disabled = false;
+            packetDependentButtons.forEach(button => { button.disabled = false; });
+
+            this.renderPacketList();
+        }
+
+        /**
+         * Renders the packet list in the current order, showing only the packets that match the search box
+         * and source file filter.
+         */
+        renderPacketList() {
+            const packetsList = document.getElementById('packetsList');
+            if (!packetsList) {
+                console.error('Packet list element not found.');
+                return;
+            }
+            packetsList.innerHTML = '';
+            this.visiblePacketIds = new Set(this.packets.filter(packet => this.packetMatchesFilter(packet)).map(packet => packet.id));
+
+            // Re-render packets based on the current order in this.packets array
+            if (this.sections.length === 0) {
+                this.packets.forEach((packet, index) => {
+                    if (this.visiblePacketIds.has(packet.id)) {
+                        packetsList.appendChild(this.createPacketListItem(packet, index));
+                    }
+                });
+            } else {
+                this.getPacketGroupIds().forEach(sectionId => {
+                    const group = this.createSectionGroup(sectionId);
+                    if (group) {
+                        packetsList.appendChild(group);
+                    }
+                });
+            }
+
+            const status = document.getElementById('packetFilterStatus');
+            if (this.isPacketFilterActive()) {
+                const shown = this.visiblePacketIds.size;
+                if (shown === 0) {
+                    const empty = document.createElement('li');
+                    empty.className = 'list-none text-center text-gray-500 py-6';
+                    empty.textContent = 'No packets match your search.';
+                    packetsList.appendChild(empty);
+                }
+                if (status) {
+                    status.textContent = `Showing ${shown} of ${this.packets.length} packets. ` +
+                        'The arrow buttons move a packet past the ones shown; clear the search to drag and drop.';
+                    status.classList.remove('hidden');
+                }
+                this.announceToScreenReader('packet-list-status', `Showing ${shown} of ${this.packets.length} packets.`);
+            } else {
+                status?.classList.add('hidden');
+                this.announceToScreenReader('packet-list-status', `${this.packets.length} packets loaded. Use drag and drop or arrows to reorder.`);
+            }
+
+            this.addPacketListEventListeners();
+            console.log('Packet list rendered and event listeners added.');
+        }
+
+        /**
+         * Updates the packet list filter, keeping the search box in step, and re-renders the list.
+         * @param {{query?: string, filename?: string}} changes - The search text and/or source filename ('' for all).
+         */
+        setPacketFilter(changes) {
+            this.packetFilter = { ...this.packetFilter, ...changes };
+            const search = document.getElementById('packetSearch');
+            if (search && search.value !== this.packetFilter.query) {
+                search.value = this.packetFilter.query;
+            }
+            this.updatePacketFilterControls();
+            this.renderPacketList();
+            console.log('Packet filter set to', this.packetFilter);
+        }
+
+        /**
+         * Shows the search bar while packets are loaded and lists their source files in the filter.
+         * A filter for a source file that is no longer loaded is dropped.
+         */
+        updatePacketFilterControls() {
+            const bar = document.getElementById('packetFilterBar');
+            const select = document.getElementById('packetSourceFilter');
+            if (!bar || !select) {
+                return;
+            }
+            bar.classList.toggle('hidden', this.packets.length === 0);
+
+            const filenames = Array.from(new Set(this.packets.map(packet => packet.filename))).sort((a, b) => a.localeCompare(b));
+            if (this.packetFilter.filename && !filenames.includes(this.packetFilter.filename)) {
+                this.packetFilter.filename = '';
+            }
+            // Options are built as elements so filenames never pass through markup
+            select.replaceChildren(
+                new Option(`All source files (${filenames.length})`, ''),
+                ...filenames.map(filename => new Option(filename, filename))
+            );
+            select.value = this.packetFilter.filename;
+        }
+
+        /**
+         * Splits the search box text into lowercase terms.
+         * @returns {Array<string>} The terms; a packet must contain all of them.
+         */
+        getSearchTerms() {
+            return this.packetFilter.query.toLowerCase().split(/\s+/).filter(Boolean);
+        }
+
+        /**
+         * Checks whether the packet list is filtered.
+         * @returns {boolean} True if there is search text or a source file filter.
+         */
+        isPacketFilterActive() {
+            return this.getSearchTerms().length > 0 || this.packetFilter.filename !== '';
+        }
+
+        /**
+         * Checks a packet against the search box and source file filter. Every search term must appear in
+         * the packet's title, source filename or text.
+         * @param {Object} packet - The packet.
+         * @returns {boolean} True if the packet should be shown.
+         */
+        packetMatchesFilter(packet) {
+            if (this.packetFilter.filename && packet.filename !== this.packetFilter.filename) {
+                return false;
+            }
+            const searchable = `${packet.title}\n${packet.filename}\n${packet.content}`.toLowerCase();
+            return this.getSearchTerms().every(term => searchable.includes(term));
+        }
+
+        /**
+         * Checks whether a packet is shown in the filtered list.
+         * @param {Object} packet - The packet.
+         * @returns {boolean} True if it is shown (always, before the list is first rendered).
+         */
+        isPacketVisible(packet) {
+            return !this.visiblePacketIds || this.visiblePacketIds.has(packet.id);
+        }
+
+        /**
+         * Finds the nearest packet shown in the list before or after a packet, within the same group.
+         * @param {number} index - The packet's position in this.packets.
+         * @param {number} direction - -1 to look before the packet, 1 to look after it.
+         * @returns {number} The neighbour's position in this.packets, or -1 if there is none.
+         */
+        findAdjacentVisiblePacket(index, direction) {
+            const section = this.getPacketSection(this.packets[index]);
+            // Groups are contiguous (see normalizePacketOrder()), so the search stops at the group edge
+            for (let i = index + direction; i >= 0 && i < this.packets.length && this.getPacketSection(this.packets[i]) === section; i += direction) {
+                if (this.isPacketVisible(this.packets[i])) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Builds a regular expression matching any of the search terms, longest first.
+         * @returns {RegExp|null} A global, case-insensitive pattern with one capture group, or null without search text.
+         */
+        getSearchPattern() {
+            const terms = this.getSearchTerms().sort((a, b) => b.length - a.length);
+            if (terms.length === 0) {
+                return null;
+            }
+            return new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        }
+
+        /**
+         * Escapes text for HTML, marking the search terms in it.
+         * @param {string} text - The text.
+         * @returns {string} HTML with matches wrapped in <mark>.
+         */
+        highlightSearchTerms(text) {
+            const pattern = this.getSearchPattern();
+            if (!pattern) {
+                return this.escapeHtml(text);
+            }
+            // With a capture group, split() puts the matches at the odd positions
+            return text.split(pattern).map((part, index) =>
+                index % 2 === 1 ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)
+            ).join('');
+        }
+
+        /**
+         * Marks the search terms in rendered content, such as the packet viewer, and scrolls to the first one.
+         * @param {HTMLElement} container - The content; its text nodes are split around the matches.
+         * @returns {number} The number of matches marked.
+         */
+        highlightSearchMatches(container) {
+            const pattern = this.getSearchPattern();
+            if (!pattern) {
+                return 0;
+            }
+            const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+
+            let count = 0;
+            textNodes.forEach(node => {
+                const parts = node.textContent.split(pattern);
+                if (parts.length === 1) {
+                    return;
+                }
+                const fragment = document.createDocumentFragment();
+                parts.forEach((part, index) => {
+                    if (index % 2 === 1) {
+                        const mark = document.createElement('mark');
+                        mark.className = 'search-highlight';
+                        mark.textContent = part;
+                        fragment.appendChild(mark);
+                        count++;
+                    } else if (part) {
+                        fragment.appendChild(document.createTextNode(part));
+                    }
+                });
+                node.replaceWith(fragment);
+            });
+            const firstMatch = container.querySelector('mark.search-highlight');
+            if (firstMatch && typeof firstMatch.scrollIntoView === 'function') {
+                firstMatch.scrollIntoView({ block: 'center' });
+            }
+            return count;
+        }
+
+        /**
+         * Picks a short passage of a packet's text around the first search match, for the packet list.
+         * @param {string} text - The packet's plain text.
+         * @returns {string|null} HTML for the passage with the matches marked, or null if the text does not match.
+         */
+        getSearchSnippet(text) {
+            const lowerText = text.toLowerCase();
+            const positions = this.getSearchTerms().map(term => lowerText.indexOf(term)).filter(position => position !== -1);
+            if (positions.length === 0) {
+                return null;
+            }
+            const first = Math.min(...positions);
+            const start = Math.max(0, first - 40);
+            const end = Math.min(text.length, first + 80);
+            const passage = text.slice(start, end).replace(/\s+/g, ' ').trim();
+            return `${start > 0 ? '…' : ''}${this.highlightSearchTerms(passage)}${end < text.length ? '…' : ''}`;
+        }
+
+        /**
+         * Builds the list item for a packet, with its reorder, merge, view and remove buttons.
+         * @param {Object} packet - The packet to render.
+         * @param {number} index - The packet's position in this.packets.
+         * @returns {HTMLLIElement} The list item.
+         */
+        createPacketListItem(packet, index) {
+            const section = this.getPacketSection(packet);
+            const isInLastGroup = section ? section === this.sections[this.sections.length - 1] : this.sections.length === 0;
+            const nextPacket = this.packets[index + 1];
+            // Merging across a section boundary would silently move content between parts, and merging
+            // with a packet hidden by the search would join content the user cannot see
+            const canMerge = nextPacket !== undefined && this.getPacketSection(nextPacket) === section && this.isPacketVisible(nextPacket);
+            // With a search active, the arrows move a packet past its neighbours in the filtered view
+            const hasPrevious = this.findAdjacentVisiblePacket(index, -1) !== -1;
+            const hasNext = this.findAdjacentVisiblePacket(index, 1) !== -1;
+            const snippet = this.getSearchTerms().length > 0 ? this.getSearchSnippet(packet.content) : null;
+
+            const li = document.createElement('li');
+            li.className = 'packet-item bg-white p-4 shadow-sm rounded-lg flex items-center justify-between transition-all duration-200 ease-in-out';
+            li.draggable = !this.isPacketFilterActive(); // Hidden packets would be lost from a dragged order
+            li.dataset.id = packet.id;
+            li.dataset.index = index; // Important for reordering
+
+            li.innerHTML = `
+                <div class="flex-1 min-w-0">
+                    <h3 class="text-lg font-semibold text-gray-800 truncate">${this.highlightSearchTerms(packet.title)}</h3>
+                    <p class="text-sm text-gray-500 truncate">${this.highlightSearchTerms(packet.filename)} - ${packet.wordCount} words</p>
+                    ${snippet ? `<p class="text-sm text-gray-600 truncate">${snippet}</p>` : ''}
+                </div>
+                <div class="flex items-center space-x-2 ml-4">
+                    <button type="button" class="move-up-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} up" data-id="${this.escapeHtml(packet.id)}" ${!hasPrevious && !section ? 'disabled' : ''}>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                            <path stroke-linecap="round" stroke-linejoin="round" d="M5 10l7-7m0 0l7 7m-7-7v18" />
+                        </svg>
+                    </button>
+                    <button type="button" class="move-down-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} down" data-id="${this.escapeHtml(packet.id)}" ${!hasNext && isInLastGroup ? 'disabled' : ''}>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                            <path stroke-linecap="round" stroke-linejoin="round" d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                        </svg>
+                    </button>
+                    <button type="button" class="merge-next-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Merge packet ${this.escapeHtml(packet.title)} with the next packet" title="Merge with next" data-id="${this.escapeHtml(packet.id)}" ${canMerge ? '' : 'disabled'}>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                            <path stroke-linecap="round" stroke-linejoin="round" d="M7 4l5 5 5-5M7 20l5-5 5 5M4 12h16" />
+                        </svg>
+                    </button>
+                    <button type="button" class="view-packet-btn p-2 rounded-full text-blue-600 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50" aria-label="View packet ${this.escapeHtml(packet.title)}" data-id="${this.escapeHtml(packet.id)}">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                            <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
+                            <path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" />
+                        </svg>
+                    </button>
+                    <button type="button" class="remove-packet-btn p-2 rounded-full text-red-600 hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50" aria-label="Remove packet ${this.escapeHtml(packet.title)}" data-id="${this.escapeHtml(packet.id)}">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                            <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clip-rule="evenodd" />
+                        </svg>
+                    </button>
+                </div>
+            `;
+            return li;
+        }
+
+        /**
+         * Builds a collapsible group for one section (or for the packets not in any section), listing the
+         * packets shown by the current filter.
+         * @param {number|string|null} sectionId - The section's ID, or null for packets outside sections.
+         * @returns {HTMLLIElement|null} The group list item containing its own packet list, or null if a
+         *   search is active and none of the group's packets match.
+         */
+        createSectionGroup(sectionId) {
+            const section = sectionId === null ? null : this.sections.find(s => String(s.id) === String(sectionId));
+            const sectionIndex = section ? this.sections.indexOf(section) : -1;
+            const title = section ? section.title : 'Not in a section';
+            const allMembers = this.packets
+                .map((packet, index) => ({ packet, index }))
+                .filter(({ packet }) => this.getPacketSection(packet) === section);
+            const members = allMembers.filter(({ packet }) => this.isPacketVisible(packet));
+            if (this.isPacketFilterActive() && members.length === 0) {
+                return null; // Groups without matches are hidden while searching
+            }
+            const countLabel = members.length === allMembers.length
+                ? `${members.length} packet${members.length === 1 ? '' : 's'}`
+                : `${members.length} of ${allMembers.length} packets`;
+
+            const group = document.createElement('li');
+            group.className = 'section-group list-none border border-gray-200 rounded-lg bg-gray-50';
+            group.dataset.sectionId = section ? section.id : '';
+
+            const details = document.createElement('details');
+            details.open = !(section && section.collapsed);
+            details.innerHTML = `
+                <summary class="flex items-center justify-between p-3 cursor-pointer">
+                    <span class="font-semibold text-gray-800 ${section ? '' : 'italic text-gray-500'}">${this.escapeHtml(title)} <span class="text-sm font-normal text-gray-500">(${countLabel})</span></span>
+                    ${section ? `<span class="flex items-center space-x-1 ml-4">
+                        <button type="button" class="move-section-up-btn p-1 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500" aria-label="Move section ${this.escapeHtml(title)} up" data-section-id="${this.escapeHtml(section.id)}" ${sectionIndex === 0 ? 'disabled' : ''}>
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="M5 10l7-7m0 0l7 7m-7-7v18" />
+                            </svg>
+                        </button>
+                        <button type="button" class="move-section-down-btn p-1 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500" aria-label="Move section ${this.escapeHtml(title)} down" data-section-id="${this.escapeHtml(section.id)}" ${sectionIndex === this.sections.length - 1 ? 'disabled' : ''}>
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                            </svg>
+                        </button>
+                        <button type="button" class="rename-section-btn p-1 rounded-full text-blue-600 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500" aria-label="Rename section ${this.escapeHtml(title)}" data-section-id="${this.escapeHtml(section.id)}">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                            </svg>
+                        </button>
+                        <button type="button" class="remove-section-btn p-1 rounded-full text-red-600 hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500" aria-label="Remove section ${this.escapeHtml(title)} (its packets are kept)" data-section-id="${this.escapeHtml(section.id)}">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clip-rule="evenodd" />
+                            </svg>
+                        </button>
+                    </span>` : ''}
+                </summary>
+            `;
+
+            const list = document.createElement('ul');
+            list.className = 'section-packets px-3 pb-3';
+            list.dataset.sectionId = section ? section.id : '';
+            members.forEach(({ packet, index }) => list.appendChild(this.createPacketListItem(packet, index)));
+            const emptyNote = document.createElement('li');
+            emptyNote.className = 'section-empty text-sm text-gray-400 text-center py-3 list-none';
+            emptyNote.textContent = section ? 'Drag packets here, or use the arrow buttons to move them into this section.' : 'All packets are in sections.';
+            list.appendChild(emptyNote);
+            details.appendChild(list);
+
+            if (section) {
+                details.addEventListener('toggle', () => {
+                    section.collapsed = !details.open;
+                    this.scheduleSessionSave();
+                });
+            }
+            group.appendChild(details);
+            return group;
+        }
+
+        /**
+         * Adds event listeners for viewing, removing, and reordering packets.
+         */
+        addPacketListEventListeners() {
+            const packetsList = document.getElementById('packetsList');
+            if (!packetsList) {
+                console.error('Packet list element not found for event listeners.');
+                return;
+            }
+
+            // Delegated event listeners for buttons for better performance and dynamic content
+            packetsList.removeEventListener('click', this._packetListClickHandler); // Remove old handler if exists
+            this._packetListClickHandler = (e) => { // Store handler for removal
+                const button = e.target.closest('button');
+                if (!button) return;
+
+                if (button.dataset.sectionId !== undefined) {
+                    e.preventDefault(); // Section buttons sit inside <summary>; don't toggle the group
+                    const sectionId = button.dataset.sectionId;
+                    if (button.classList.contains('rename-section-btn')) {
+                        this.renameSection(sectionId);
+                    } else if (button.classList.contains('remove-section-btn')) {
+                        this.removeSection(sectionId);
+                    } else if (button.classList.contains('move-section-up-btn')) {
+                        this.moveSection(sectionId, -1);
+                    } else if (button.classList.contains('move-section-down-btn')) {
+                        this.moveSection(sectionId, 1);
+                    }
+                    return;
+                }
+
+                const id = button.dataset.id;
+                if (button.classList.contains('view-packet-btn')) {
+                    this.viewPacket(id);
+                } else if (button.classList.contains('remove-packet-btn')) {
+                    this.removePacket(id);
+                } else if (button.classList.contains('move-up-btn')) {
+                    this.movePacketUp(id);
+                } else if (button.classList.contains('move-down-btn')) {
+                    this.movePacketDown(id);
+                } else if (button.classList.contains('merge-next-btn')) {
+                    this.mergePacketWithNext(id);
+                }
+            };
+            packetsList.addEventListener('click', this._packetListClickHandler);
+
+
+            // Drag and Drop for reordering
+            packetsList.removeEventListener('dragstart', this._dragStartHandler);
+            packetsList.removeEventListener('dragover', this._dragOverHandler);
+            packetsList.removeEventListener('drop', this._dropHandler);
+            packetsList.removeEventListener('dragend', this._dragEndHandler);
+
+            this._dragStartHandler = (e) => {
+                const target = e.target.closest('.packet-item');
+                if (target) {
+                    this.draggedIndex = parseInt(target.dataset.index, 10);
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', this.draggedIndex); // Set data for Firefox compatibility
+                    setTimeout(() => target.classList.add('dragging'), 0); // Add class after a tiny delay
+                    console.log('Drag started for index:', this.draggedIndex);
+                }
+            };
+            packetsList.addEventListener('dragstart', this._dragStartHandler);
+
+            this._dragOverHandler = (e) => {
+                this.preventDefaults(e); // Allow drop
+                const target = e.target.closest('.packet-item');
+                const draggedEl = packetsList.querySelector('.packet-item.dragging');
+                if (!target && draggedEl && this.draggedIndex !== null) {
+                    // Dragging over a section header or an empty section drops the packet at the end of that section
+                    const groupList = e.target.closest('.section-group')?.querySelector('.section-packets');
+                    const emptyNote = groupList?.querySelector('.section-empty');
+                    if (groupList && draggedEl.nextElementSibling !== emptyNote) {
+                        groupList.insertBefore(draggedEl, emptyNote);
+                    }
+                } else if (target && target.dataset.index !== undefined && this.draggedIndex !== null) {
+                    const dragOverIndex = parseInt(target.dataset.index, 10);
+
+                    if (draggedEl && this.draggedIndex !== dragOverIndex) {
+                        // Packets can be dragged between sections, so the target may be in a different list
+                        const currentParent = target.parentNode;
+                        if (currentParent) {
+                            const targetRect = target.getBoundingClientRect();
+                            const mouseY = e.clientY;
+                            const targetMidY = targetRect.top + targetRect.height / 2;
+
+                            if (mouseY < targetMidY && draggedEl !== target.previousElementSibling) {
+                                currentParent.insertBefore(draggedEl, target);
+                            } else if (mouseY >= targetMidY && draggedEl !== target.nextElementSibling) {
+                                currentParent.insertBefore(draggedEl, target.nextSibling);
+                            }
+                        }
+                    }
+                }
+            };
+            packetsList.addEventListener('dragover', this._dragOverHandler);
+
+            // No specific action needed for dragleave for this simple reorder logic
+
+            this._dropHandler = (e) => {
+                this.preventDefaults(e);
+                const draggedEl = packetsList.querySelector('.packet-item.dragging'); // Get the element still marked as dragging
+
+                if (draggedEl && this.draggedIndex !== null) {
+                    const draggedPacket = this.packets[this.draggedIndex];
+                    const newIndex = Array.from(packetsList.querySelectorAll('.packet-item')).indexOf(draggedEl); // Get the new visual index
+
+                    if (draggedPacket && this.syncPacketOrderFromList()) {
+                        console.log(`Drop detected. Original Dragged Index: ${this.draggedIndex}, New Visual Index: ${newIndex}`);
+
+                        const section = this.getPacketSection(draggedPacket);
+                        this.showNotification(`Reordered packet "${draggedPacket.title}"`, 'info');
+                        this.announceToScreenReader('packet-list-status', `Packet ${draggedPacket.title} moved to position ${newIndex + 1}${section ? ` in section ${section.title}` : ''}.`);
+
+                        this.draggedIndex = null; // Reset
+                        draggedEl.classList.remove('dragging'); // Remove dragging class
+
+                        // Re-render the list to reflect the new order and update data-index attributes correctly
+                        this.updateDisplay();
+                    } else {
+                        console.log('Packet dropped on its original position or invalid drop. No reordering needed.');
+                        this.draggedIndex = null;
+                        if (draggedEl) draggedEl.classList.remove('dragging');
+                    }
+                } else if (draggedEl) {
+                    // If dropped outside a valid target, just remove dragging class
+                    draggedEl.classList.remove('dragging');
+                    this.draggedIndex = null;
+                }
+            };
+            packetsList.addEventListener('drop', this._dropHandler);
+
+            this._dragEndHandler = (e) => {
+                const draggedEl = packetsList.querySelector('.packet-item.dragging');
+                if (draggedEl) {
+                    draggedEl.classList.remove('dragging');
+                }
+                const droppedOutside = this.draggedIndex !== null;
+                this.draggedIndex = null; // Reset
+                if (droppedOutside) {
+                    // The item may have been moved into another section while dragging; put the list back
+                    this.updateDisplay();
+                }
+                console.log('Drag ended. draggedIndex reset.');
+            };
+            packetsList.addEventListener('dragend', this._dragEndHandler);
+
+            console.log('Drag and drop listeners (re)added to packet list.');
+        }
+
+        /**
+         * Moves a packet up in the list (towards the beginning of the array).
+         * The first packet of a section moves to the end of the section above it.
+         * @param {string} id - The ID of the packet to move.
+         */
+        movePacketUp(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            const previous = index === -1 ? -1 : this.findAdjacentVisiblePacket(index, -1);
+            if (previous !== -1) {
+                const [packet] = this.packets.splice(index, 1);
+                this.packets.splice(previous, 0, packet);
+                this.updateDisplay();
+                this.showNotification(`Moved "${packet.title}" up.`, 'info');
+                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved up to position ${previous + 1}.`);
+                // Re-focus the moved packet's up button for better accessibility
+                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
+            } else if (index !== -1 && this.movePacketToAdjacentSection(this.packets[index], -1)) {
+                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
+            } else {
+                this.showNotification('Packet is already at the top.', 'info');
+            }
+        }
+
+        /**
+         * Moves a packet down in the list (towards the end of the array).
+         * The last packet of a section moves to the start of the section below it.
+         * @param {string} id - The ID of the packet to move.
+         */
+        movePacketDown(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            const next = index === -1 ? -1 : this.findAdjacentVisiblePacket(index, 1);
+            if (next !== -1) {
+                const [packet] = this.packets.splice(index, 1);
+                this.packets.splice(next, 0, packet); // Removing the packet shifted its neighbour to `next - 1`
+                this.updateDisplay();
+                this.showNotification(`Moved "${packet.title}" down.`, 'info');
+                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved down to position ${next + 1}.`);
+                // Re-focus the moved packet's down button for better accessibility
+                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
+            } else if (index !== -1 && this.movePacketToAdjacentSection(this.packets[index], 1)) {
+                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
+            } else {
+                this.showNotification('Packet is already at the bottom.', 'info');
+            }
+        }
+
+        /**
+         * Moves a packet into the neighbouring group when it is at the edge of its own group.
+         * Moving up places it last in the group above; moving down places it first in the group below.
+         * @param {Object} packet - The packet to move.
+         * @param {number} direction - -1 for the group above, 1 for the group below.
+         * @returns {boolean} True if the packet was moved.
+         */
+        movePacketToAdjacentSection(packet, direction) {
+            const groupIds = this.getPacketGroupIds();
+            const currentSection = this.getPacketSection(packet);
+            const groupIndex = groupIds.findIndex(sectionId => String(sectionId) === String(currentSection ? currentSection.id : null));
+            const targetIndex = groupIndex + direction;
+            if (groupIndex === -1 || targetIndex < 0 || targetIndex >= groupIds.length) {
+                return false;
+            }
+
+            packet.sectionId = groupIds[targetIndex];
+            // normalizePacketOrder() keeps array order within groups, which puts the packet at the near edge
+            this.updateDisplay();
+            const targetTitle = this.getPacketSection(packet)?.title || 'Not in a section';
+            this.showNotification(`Moved "${packet.title}" to "${targetTitle}".`, 'info');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved to section ${targetTitle}.`);
+            return true;
+        }
+
+        /**
+         * Finds the section a packet belongs to.
+         * @param {Object} packet - The packet.
+         * @returns {Object|null} The section, or null if the packet is not in an existing section.
+         */
+        getPacketSection(packet) {
+            if (packet.sectionId === null || packet.sectionId === undefined) {
+                return null;
+            }
+            return this.sections.find(section => String(section.id) === String(packet.sectionId)) || null;
+        }
+
+        /**
+         * Lists the packet groups in display and export order: packets outside sections first, then each section.
+         * @returns {Array<number|string|null>} Section IDs, with null for packets outside sections.
+         */
+        getPacketGroupIds() {
+            return [null, ...this.sections.map(section => section.id)];
+        }
+
+        /**
+         * Reorders this.packets so each group's packets are contiguous and groups follow getPacketGroupIds().
+         * The relative order of packets within a group is preserved. References to deleted sections are cleared.
+         */
+        normalizePacketOrder() {
+            const groupIds = this.getPacketGroupIds().map(String);
+            const rank = packet => {
+                const section = this.getPacketSection(packet);
+                if (!section) {
+                    packet.sectionId = null;
+                }
+                return groupIds.indexOf(String(section ? section.id : null));
+            };
+            this.packets = this.packets
+                .map((packet, index) => ({ packet, index, rank: rank(packet) }))
+                .sort((a, b) => a.rank - b.rank || a.index - b.index)
+                .map(({ packet }) => packet);
+        }
+
+        /**
+         * Groups the packets for export, skipping sections that have no packets.
+         * @returns {Array<{section: Object|null, packets: Array<Object>}>} Groups in export order.
+         */
+        getExportGroups() {
+            return this.getPacketGroupIds()
+                .map(sectionId => {
+                    const section = sectionId === null ? null : this.sections.find(s => s.id === sectionId);
+                    return { section, packets: this.packets.filter(packet => this.getPacketSection(packet) === section) };
+                })
+                .filter(group => group.packets.length > 0);
+        }
+
+        /**
+         * Adds a new, empty section at the end of the section list.
+         * @param {string} title - The section title, e.g. "Week 1: Romanticism".
+         * @returns {Object|null} The new section, or null if the title was empty.
+         */
+        addSection(title) {
+            const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim();
+            if (!cleanTitle) {
+                this.showNotification('Please enter a section title.', 'warning');
+                return null;
+            }
+
+            const section = { id: Date.now() + Math.random(), title: cleanTitle, collapsed: false };
+            this.sections.push(section);
+            this.updateDisplay();
+            this.showNotification(`Added section "${section.title}". Drag packets into it or use the arrow buttons.`, 'success');
+            this.announceToScreenReader('packet-list-status', `Section ${section.title} added.`);
+            console.log(`Section "${section.title}" added.`);
+            return section;
+        }
+
+        /**
+         * Asks for a new title for a section and applies it.
+         * @param {string} sectionId - The ID of the section to rename.
+         */
+        renameSection(sectionId) {
+            const section = this.sections.find(s => String(s.id) === String(sectionId));
+            if (!section) {
+                console.warn('Attempted to rename non-existent section ID:', sectionId);
+                return;
+            }
+
+            const title = prompt('Section title:', section.title);
+            if (title === null) {
+                return;
+            }
+            const cleanTitle = title.replace(/\s+/g, ' ').trim();
+            if (!cleanTitle) {
+                this.showNotification('Section titles cannot be empty.', 'warning');
+                return;
+            }
+            section.title = cleanTitle;
+            this.updateDisplay();
+            this.announceToScreenReader('packet-list-status', `Section renamed to ${section.title}.`);
+            document.querySelector(`.rename-section-btn[data-section-id="${section.id}"]`)?.focus();
+        }
+
+        /**
+         * Removes a section. Its packets are kept and move out of the section.
+         * @param {string} sectionId - The ID of the section to remove.
+         */
+        removeSection(sectionId) {
+            const index = this.sections.findIndex(s => String(s.id) === String(sectionId));
+            if (index === -1) {
+                console.warn('Attempted to remove non-existent section ID:', sectionId);
+                return;
+            }
+
+            const [section] = this.sections.splice(index, 1);
+            const moved = this.packets.filter(packet => String(packet.sectionId) === String(section.id));
+            moved.forEach(packet => { packet.sectionId = null; });
+            this.updateDisplay();
+            this.showNotification(`Removed section "${section.title}".${moved.length > 0 ? ` Its ${moved.length} packet${moved.length > 1 ? 's are' : ' is'} now outside any section.` : ''}`, 'info');
+            this.announceToScreenReader('packet-list-status', `Section ${section.title} removed.`);
+        }
+
+        /**
+         * Moves a section (and its packets) up or down among the sections.
+         * @param {string} sectionId - The ID of the section to move.
+         * @param {number} direction - -1 to move up, 1 to move down.
+         */
+        moveSection(sectionId, direction) {
+            const index = this.sections.findIndex(s => String(s.id) === String(sectionId));
+            const targetIndex = index + direction;
+            if (index === -1 || targetIndex < 0 || targetIndex >= this.sections.length) {
+                return;
+            }
+
+            const [section] = this.sections.splice(index, 1);
+            this.sections.splice(targetIndex, 0, section);
+            this.updateDisplay();
+            this.announceToScreenReader('packet-list-status', `Section ${section.title} moved to position ${targetIndex + 1}.`);
+            document.querySelector(`.${direction < 0 ? 'move-section-up-btn' : 'move-section-down-btn'}[data-section-id="${section.id}"]:not([disabled])`)?.focus();
+        }
+
+        /**
+         * Reads the packet order and section membership back from the rendered list after a drag and drop.
+         * @returns {boolean} True if the order or any packet's section changed.
+         */
+        syncPacketOrderFromList() {
+            const packetsList = document.getElementById('packetsList');
+            if (!packetsList) {
+                return false;
+            }
+
+            const packetsById = new Map(this.packets.map(packet => [String(packet.id), packet]));
+            const describe = packet => `${packet.id}@${this.getPacketSection(packet)?.id ?? ''}`;
+            const before = this.packets.map(describe).join('|');
+
+            const reordered = Array.from(packetsList.querySelectorAll('.packet-item'))
+                .map(item => {
+                    const packet = packetsById.get(item.dataset.id);
+                    if (packet) {
+                        const groupList = item.closest('.section-packets');
+                        const section = groupList && groupList.dataset.sectionId
+                            ? this.sections.find(s => String(s.id) === groupList.dataset.sectionId)
+                            : null;
+                        packet.sectionId = section ? section.id : null;
+                    }
+                    return packet;
+                })
+                .filter(Boolean);
+
+            if (reordered.length !== this.packets.length || reordered.map(describe).join('|') === before) {
+                return false;
+            }
+            this.packets = reordered;
+            return true;
+        }
+
+        /**
+         * Removes a packet from the list by its ID.
+         * @param {string} id - The ID of the packet to remove.
+         */
+        removePacket(id) {
+            console.log('Attempting to remove packet with ID:', id);
+            const initialCount = this.packets.length;
+            const removedPacket = this.packets.find(packet => packet.id == id);
+            this.packets = this.packets.filter(packet => packet.id != id); // Use != for loose comparison with dataset.id (string)
+            if (this.packets.length < initialCount) {
+                this.showNotification(`Packet "${removedPacket ? removedPacket.title : 'Unknown'}" removed!`, 'success');
+                this.announceToScreenReader('packet-list-status', `Packet ${removedPacket ? removedPacket.title : 'Unknown'} removed.`);
+                this.updateDisplay();
+                console.log('Packet removed successfully. Remaining packets:', this.packets.length);
+            } else {
+                console.warn('Packet with ID not found:', id);
+            }
+        }
+
+        /**
+         * Displays a packet's content in a modal, from which it can be switched into edit mode.
+         * @param {string} id - The ID of the packet to view.
+         */
+        viewPacket(id) {
+            console.log('Viewing packet with ID:', id);
+            const packet = this.packets.find(p => p.id == id);
+            if (packet) {
+                const modal = document.getElementById('packetModal');
+                const modalTitle = document.getElementById('packetModalTitle');
+                const modalContent = document.getElementById('packetModalContent');
+                const closeModalBtn = document.getElementById('closeModal');
+
+                if (!modal || !modalTitle || !modalContent || !closeModalBtn) {
+                    console.error('Modal elements not found.');
+                    this.showNotification('Error: Modal display elements missing.', 'error');
+                    return;
+                }
+
+                this.viewingPacketId = packet.id;
+                this.setPacketModalEditing(false);
+                this.setPacketSplitMode(false);
+                modalTitle.innerHTML = this.highlightSearchTerms(packet.title);
+                // Use innerHTML to preserve formatting from Mammoth.js
+                modalContent.innerHTML = packet.htmlContent;
+                this.highlightSearchMatches(modalContent); // Editing starts again from packet.htmlContent, without the marks
+                modal.classList.remove('hidden');
+                modal.setAttribute('aria-hidden', 'false');
+                modal.focus(); // Focus the modal for accessibility
+
+                const closeHandler = () => {
+                    if (this.isPacketEditDirty() && !confirm('Discard your unsaved changes to this packet?')) {
+                        return;
+                    }
+                    this.setPacketModalEditing(false);
+                    this.setPacketSplitMode(false);
+                    this.viewingPacketId = null;
+                    modal.classList.add('hidden');
+                    modal.setAttribute('aria-hidden', 'true');
+                    // Return focus to the button that opened the modal if possible
+                    document.querySelector(`button[data-id="${id}"]`)?.focus();
+                    closeModalBtn.removeEventListener('click', closeHandler); // Clean up listener
+                    document.removeEventListener('keydown', handleEscape);
+                };
+
+                closeModalBtn.addEventListener('click', closeHandler);
+
+                // Close modal on escape key
+                const handleEscape = (e) => {
+                    if (e.key === 'Escape') {
+                        closeHandler();
+                    }
+                };
+                document.addEventListener('keydown', handleEscape);
+
+                console.log(`Modal opened for "${packet.title}".`);
+            } else {
+                this.showNotification('Packet not found.', 'error');
+                console.warn('Attempted to view non-existent packet ID:', id);
+            }
+        }
+
+        /**
+         * Switches the packet modal between read-only viewing and editing.
+         * @param {boolean} editing - Whether the title and content should be editable.
+         */
+        setPacketModalEditing(editing) {
+            const modalTitle = document.getElementById('packetModalTitle');
+            const titleInput = document.getElementById('packetTitleInput');
+            const toolbar = document.getElementById('packetEditorToolbar');
+            const modalContent = document.getElementById('packetModalContent');
+            if (!modalTitle || !titleInput || !toolbar || !modalContent) {
+                console.error('Packet editor elements not found.');
+                return;
+            }
+
+            modalTitle.classList.toggle('hidden', editing);
+            titleInput.classList.toggle('hidden', !editing);
+            toolbar.classList.toggle('hidden', !editing);
+            document.getElementById('editPacketBtn')?.classList.toggle('hidden', editing);
+            document.getElementById('splitPacketBtn')?.classList.toggle('hidden', editing);
+            document.getElementById('cancelPacketEditBtn')?.classList.toggle('hidden', !editing);
+            document.getElementById('savePacketEditBtn')?.classList.toggle('hidden', !editing);
+
+            if (editing) {
+                modalContent.setAttribute('contenteditable', 'true');
+                modalContent.setAttribute('role', 'textbox');
+                modalContent.setAttribute('aria-multiline', 'true');
+                modalContent.setAttribute('aria-label', 'Packet content');
+            } else {
+                modalContent.removeAttribute('contenteditable');
+                modalContent.removeAttribute('role');
+                modalContent.removeAttribute('aria-multiline');
+                modalContent.removeAttribute('aria-label');
+                this.packetEditOriginal = null;
+            }
+        }
+
+        /**
+         * Puts the packet currently shown in the modal into edit mode.
+         */
+        startPacketEdit() {
+            const packet = this.packets.find(p => p.id == this.viewingPacketId);
+            const titleInput = document.getElementById('packetTitleInput');
+            const modalContent = document.getElementById('packetModalContent');
+            if (!packet || !titleInput || !modalContent) {
+                console.warn('No packet is open for editing.');
+                return;
+            }
+
+            this.setPacketSplitMode(false);
+            this.setPacketModalEditing(true);
+            titleInput.value = packet.title;
+            modalContent.innerHTML = packet.htmlContent;
+            // Remember the starting state so closing can warn about unsaved changes
+            this.packetEditOriginal = { title: titleInput.value, html: modalContent.innerHTML };
+            try {
+                document.execCommand('defaultParagraphSeparator', false, 'p');
+            } catch (error) {
+                console.warn('Could not set the default paragraph separator:', error);
+            }
+            titleInput.focus();
+            console.log(`Editing packet "${packet.title}".`);
+        }
+
+        /**
+         * Checks whether the open editor has changes that have not been saved.
+         * @returns {boolean} True if the title or content differs from when editing started.
+         */
+        isPacketEditDirty() {
+            if (!this.packetEditOriginal) {
+                return false;
+            }
+            const titleInput = document.getElementById('packetTitleInput');
+            const modalContent = document.getElementById('packetModalContent');
+            return titleInput?.value !== this.packetEditOriginal.title || modalContent?.innerHTML !== this.packetEditOriginal.html;
+        }
+
+        /**
+         * Leaves edit mode without saving and shows the packet as it was.
+         */
+        cancelPacketEdit() {
+            if (this.isPacketEditDirty() && !confirm('Discard your unsaved changes to this packet?')) {
+                return;
+            }
+            const packet = this.packets.find(p => p.id == this.viewingPacketId);
+            this.setPacketModalEditing(false);
+            if (packet) {
+                document.getElementById('packetModalTitle').textContent = packet.title;
+                document.getElementById('packetModalContent').innerHTML = packet.htmlContent;
+            }
+            console.log('Packet edit cancelled.');
+        }
+
+        /**
+         * Saves the edited title and content back to the packet, recomputing its plain text and word count.
+         */
+        savePacketEdit() {
+            const packet = this.packets.find(p => p.id == this.viewingPacketId);
+            const titleInput = document.getElementById('packetTitleInput');
+            const modalContent = document.getElementById('packetModalContent');
+            if (!packet || !titleInput || !modalContent) {
+                this.showNotification('Packet not found.', 'error');
+                console.warn('Attempted to save edits for a packet that is no longer loaded:', this.viewingPacketId);
+                return;
+            }
+
+            const title = titleInput.value.replace(/\s+/g, ' ').trim();
+            if (!title) {
+                this.showNotification('Please enter a title for this packet.', 'warning');
+                titleInput.focus();
+                return;
+            }
+
+            // Pasted content can bring in markup the rich-text editor would not produce itself
+            const htmlContent = this.sanitizeHtml(modalContent.innerHTML.trim()).html;
+            packet.title = title;
+            packet.htmlContent = htmlContent;
+            packet.content = this.getPlainTextFromHtml(htmlContent);
+            packet.wordCount = this.countWords(packet.content);
+
+            this.setPacketModalEditing(false);
+            document.getElementById('packetModalTitle').textContent = packet.title;
+            modalContent.innerHTML = packet.htmlContent;
+            this.updateDisplay();
+            this.showNotification(`Saved changes to "${packet.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Saved changes to ${packet.title}. ${packet.wordCount} words.`);
+            console.log(`Packet "${packet.title}" updated (${packet.wordCount} words).`);
+        }
+
+        /**
+         * Turns the viewer's split-point picking mode on or off. While it is on, each top-level block of
+         * the packet can be clicked (or focused and activated with Enter) to split the packet there.
+         * @param {boolean} splitting - Whether split-point picking should be active.
+         */
+        setPacketSplitMode(splitting) {
+            const modalContent = document.getElementById('packetModalContent');
+            const splitBtn = document.getElementById('splitPacketBtn');
+            if (!modalContent) {
+                return;
+            }
+
+            modalContent.classList.toggle('splitting', splitting);
+            document.getElementById('packetSplitHint')?.classList.toggle('hidden', !splitting);
+            splitBtn?.setAttribute('aria-pressed', String(splitting));
+            if (splitBtn) {
+                splitBtn.textContent = splitting ? 'Cancel split' : 'Split here…';
+            }
+            // Blocks after the first are the possible split points, counted as splitPacket() counts them
+            const blocks = splitting ? this.getSplitBlocks(modalContent) : Array.from(modalContent.children);
+            blocks.forEach((block, index) => {
+                if (splitting && index > 0) {
+                    block.setAttribute('tabindex', '0');
+                } else {
+                    block.removeAttribute('tabindex');
+                }
+            });
+        }
+
+        /**
+         * Splits the viewed packet at the block the user picked while in split mode.
+         * @param {Event} e - The click or keydown event from the modal content.
+         */
+        handleSplitPointSelection(e) {
+            const modalContent = document.getElementById('packetModalContent');
+            if (!modalContent || !modalContent.classList.contains('splitting')) {
+                return;
+            }
+
+            const block = Array.from(modalContent.children).find(child => child.contains(e.target));
+            if (!block) {
+                return;
+            }
+            e.preventDefault();
+
+            const blockIndex = Array.from(modalContent.children).indexOf(block);
+            if (blockIndex === 0) {
+                this.showNotification('Pick a later paragraph or heading; the new packet cannot start at the very top.', 'info');
+                return;
+            }
+            this.splitPacket(this.viewingPacketId, blockIndex);
+        }
+
+        /**
+         * Gives a container only block-level children, wrapping loose text and inline elements in paragraphs,
+         * so every piece of content belongs to a block that can start or end a split. Search marks in the
+         * viewer are inline, so the viewer and the stored HTML yield the same blocks.
+         * @param {HTMLElement} container - The packet content; changed in place.
+         * @returns {Array<Element>} The container's blocks.
+         */
+        getSplitBlocks(container) {
+            const blocks = this.wrapInlineRuns(Array.from(container.childNodes), container.ownerDocument);
+            container.replaceChildren(...blocks);
+            return blocks;
+        }
+
+        /**
+         * Splits a packet into two at a top-level block. The first part keeps the packet's title; the
+         * second part is inserted right after it and gets a title from its own opening heading or lines.
+         * @param {string} id - The ID of the packet to split.
+         * @param {number} blockIndex - Index of the block (see getSplitBlocks()) that starts the second packet.
+         * @returns {Object|null} The new second packet, or null if the packet could not be split.
+         */
+        splitPacket(id, blockIndex) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (index === -1) {
+                this.showNotification('Packet not found.', 'error');
+                console.warn('Attempted to split non-existent packet ID:', id);
+                return null;
+            }
+
+            const packet = this.packets[index];
+            const container = document.createElement('div');
+            container.innerHTML = packet.htmlContent;
+            const blocks = this.getSplitBlocks(container);
+            if (blockIndex <= 0 || blockIndex >= blocks.length) {
+                this.showNotification('This packet cannot be split there.', 'warning');
+                console.warn(`Split index ${blockIndex} is out of range for "${packet.title}" (${blocks.length} blocks).`);
+                return null;
+            }
+
+            const firstHtml = blocks.slice(0, blockIndex).map(el => el.outerHTML).join('\n');
+            const secondContainer = document.createElement('div');
+            secondContainer.innerHTML = blocks.slice(blockIndex).map(el => el.outerHTML).join('\n');
+            const startBlock = secondContainer.firstElementChild;
+            const secondTitle = /^H[1-6]$/.test(startBlock.tagName) && startBlock.textContent.trim()
+                ? startBlock.textContent.trim()
+                : this.extractTitle(secondContainer, packet.filename);
+
+            packet.htmlContent = firstHtml;
+            packet.content = this.getPlainTextFromHtml(firstHtml);
+            packet.wordCount = this.countWords(packet.content);
+
+            const secondHtml = secondContainer.innerHTML;
+            const secondPacket = this.createPacketObject(secondTitle, this.getPlainTextFromHtml(secondHtml), secondHtml, packet.filename);
+            secondPacket.sectionId = packet.sectionId;
+            this.packets.splice(index + 1, 0, secondPacket);
+
+            // Keep the viewer on the first part so the user can see what stayed behind
+            const modalContent = document.getElementById('packetModalContent');
+            if (this.viewingPacketId == id && modalContent) {
+                this.setPacketSplitMode(false);
+                modalContent.innerHTML = packet.htmlContent;
+            }
+
+            this.updateDisplay();
+            this.showNotification(`Split "${packet.title}" into two packets. The new one is "${secondPacket.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} split. New packet ${secondPacket.title} added at position ${index + 2}.`);
+            console.log(`Packet "${packet.title}" split at block ${blockIndex}; created "${secondPacket.title}".`);
+            return secondPacket;
+        }
+
+        /**
+         * Merges a packet with the one after it. The merged packet keeps the first packet's ID and gets
+         * both packets' HTML, with its title, plain text and word count recalculated. The title comes from
+         * extractTitle(), as for an uploaded document, so it can be renamed in the viewer afterwards.
+         * @param {string} id - The ID of the first of the two packets.
+         */
+        mergePacketWithNext(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (index === -1 || index >= this.packets.length - 1) {
+                this.showNotification('There is no next packet to merge with.', 'info');
+                return;
+            }
+            if (this.getPacketSection(this.packets[index + 1]) !== this.getPacketSection(this.packets[index])) {
+                this.showNotification('The next packet is in a different section. Move it into this section first.', 'info');
+                return;
+            }
+
+            const packet = this.packets[index];
+            const [nextPacket] = this.packets.splice(index + 1, 1);
+            const firstTitle = packet.title;
+            packet.htmlContent = `${packet.htmlContent}\n${nextPacket.htmlContent}`;
+            packet.content = this.getPlainTextFromHtml(packet.htmlContent);
+            packet.wordCount = this.countWords(packet.content);
+            if (nextPacket.filename !== packet.filename) {
+                packet.filename = `${packet.filename} + ${nextPacket.filename}`;
+            }
+            const mergedContainer = document.createElement('div');
+            mergedContainer.innerHTML = packet.htmlContent;
+            packet.title = this.extractTitle(mergedContainer, packet.filename);
+
+            this.updateDisplay();
+            this.showNotification(`Merged "${nextPacket.title}" into "${firstTitle}". The merged packet is titled "${packet.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${nextPacket.title} merged into ${firstTitle}, now titled ${packet.title}. ${packet.wordCount} words.`);
+            console.log(`Merged packet "${nextPacket.title}" into "${firstTitle}", titled "${packet.title}".`);
+            // Keep focus in the list after the re-render
+            const focusTarget = document.querySelector(`li[data-id="${packet.id}"] .merge-next-btn:not([disabled])`) ||
+                document.querySelector(`li[data-id="${packet.id}"] .view-packet-btn`);
+            focusTarget?.focus();
+        }
+
+        /**
+         * Runs a rich-text toolbar command against the packet editor.
+         * @param {string} command - The document.execCommand command name.
+         * @param {string} [value] - The command value, e.g. the block tag for formatBlock.
+         */
+        runEditorCommand(command, value) {
+            const modalContent = document.getElementById('packetModalContent');
+            if (!modalContent || modalContent.getAttribute('contenteditable') !== 'true') {
+                return;
+            }
+
+            let commandValue = value || null;
+            if (command === 'createLink') {
+                commandValue = prompt('Link address (URL):', 'https://');
+                if (!commandValue || commandValue === 'https://') {
+                    return;
+                }
+            } else if (command === 'formatBlock') {
+                commandValue = `<${value}>`;
+            }
+
+            modalContent.focus();
+            try {
+                document.execCommand(command, false, commandValue);
+            } catch (error) {
+                console.warn(`Editor command "${command}" failed:`, error);
+            }
+        }
+
+        /**
+         * Derives the plain-text form of packet HTML, one line per block, as the extractors do.
+         * @param {string} html - The packet HTML.
+         * @returns {string} The plain text.
+         */
+        getPlainTextFromHtml(html) {
+            const container = document.createElement('div');
+            container.innerHTML = html;
+            container.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+            const lines = [];
+            const collect = (element) => {
+                Array.from(element.childNodes).forEach(node => {
+                    // Descend into wrappers so nested lists and table cells each get their own line
+                    if (node.nodeType === Node.ELEMENT_NODE && DOCX_BLOCK_TAGS.has(node.tagName) &&
+                        Array.from(node.children).some(child => DOCX_BLOCK_TAGS.has(child.tagName))) {
+                        collect(node);
+                    } else {
+                        lines.push(node.textContent);
+                    }
+                });
+            };
+            collect(container);
+            return lines.map(line => line.trim()).filter(line => line.length > 0).join('\n');
+        }
+
+        /**
+         * Counts the words in plain text the same way packet word counts are computed.
+         * @param {string} text - Plain text.
+         * @returns {number} The number of words.
+         */
+        countWords(text) {
+            return text.split(/\s+/).filter(word => word.length > 0).length;
+        }
+
+        /**
+         * Starts a download, running the accessibility check first when the auditBeforeDownload setting is on.
+         * If the check finds issues the user has not already chosen to download anyway, the checklist opens
+         * instead and the download waits for "Download anyway" (or for the issues to be fixed).
+         * @param {string} format - A key of AUDITED_DOWNLOADS.
+         */
+        downloadWithAudit(format) {
+            const download = AUDITED_DOWNLOADS[format];
+            const issues = this.exportSettings.auditBeforeDownload && this.packets.length > 0 ? this.auditPackets() : [];
+            if (issues.length === 0 || this.getAuditSignature(issues) === this.acknowledgedAuditSignature) {
+                this[download.method]();
+                return;
+            }
+
+            console.log(`Accessibility check found ${issues.length} issue(s) before the ${download.label} download.`);
+            this.openAccessibilityAudit(format, issues);
+            this.showNotification(`Found ${issues.length} accessibility issue${issues.length === 1 ? '' : 's'}. Fix them in the checklist, or choose "Download anyway".`, 'warning', 8000);
+        }
+
+        /**
+         * Shows the accessibility checklist.
+         * @param {string|null} pendingDownload - The AUDITED_DOWNLOADS format waiting on the check, if any.
+         * @param {Array<Object>} [issues] - Issues from auditPackets(); the check runs when omitted.
+         */
+        openAccessibilityAudit(pendingDownload, issues) {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to check!', 'warning');
+                return;
+            }
+            this.accessibilityAudit = { issues: issues || this.auditPackets(), pendingDownload };
+            this.renderAccessibilityAudit();
+            document.getElementById('accessibilityAuditHeading')?.focus();
+        }
+
+        /**
+         * Runs the accessibility check again and re-renders the open checklist.
+         */
+        refreshAccessibilityAudit() {
+            if (!this.accessibilityAudit) {
+                return;
+            }
+            if (this.packets.length === 0) {
+                this.accessibilityAudit = null;
+            } else {
+                this.accessibilityAudit.issues = this.auditPackets();
+            }
+            this.renderAccessibilityAudit();
+        }
+
+        /**
+         * Hides the accessibility checklist, dropping any download that was waiting on it.
+         */
+        closeAccessibilityAudit() {
+            this.accessibilityAudit = null;
+            this.renderAccessibilityAudit();
+            document.getElementById('downloadBtn')?.focus();
+        }
+
+        /**
+         * Runs the download that was waiting on the checklist. Remaining issues are remembered, so other
+         * downloads go ahead without asking again until the issues change.
+         */
+        downloadAfterAudit() {
+            const audit = this.accessibilityAudit;
+            if (!audit || !audit.pendingDownload) {
+                return;
+            }
+            this.acknowledgedAuditSignature = audit.issues.length > 0 ? this.getAuditSignature(audit.issues) : null;
+            this.accessibilityAudit = null;
+            this.renderAccessibilityAudit();
+            document.getElementById('downloadBtn')?.focus();
+            this[AUDITED_DOWNLOADS[audit.pendingDownload].method]();
+        }
+
+        /**
+         * Identifies a set of issues, so a choice to download anyway applies only to those same issues.
+         * @param {Array<Object>} issues - Issues from auditPackets().
+         * @returns {string} The signature.
+         */
+        getAuditSignature(issues) {
+            return issues.map(issue => `${issue.check}|${issue.packetId}|${issue.detail}`).join('\n');
+        }
+
+        /**
+         * Checks the packets, in export order, for accessibility problems: images without alt text, skipped
+         * heading levels, tables without header cells, links whose text does not say where they go, and
+         * inline colors with too little contrast. Heading levels are checked as exported, below each
+         * packet's <h2> title; everything else is checked in the packet's own HTML, so image and table
+         * positions can be used to fix them (see setImageAltText() and useFirstRowAsTableHeader()).
+         * @returns {Array<{check: string, packetId: number, detail: string, imageIndex?: number, src?: string, tableIndex?: number}>}
+         *   The issues, keyed by ACCESSIBILITY_CHECKS.
+         */
+        auditPackets() {
+            const parser = new DOMParser();
+            const issues = [];
+            const theme = EXPORT_THEMES[this.exportSettings.theme]; // Inline colors are shown against the HTML theme
+            this.getExportGroups().forEach(group => group.packets.forEach(packet => {
+                const add = (check, detail, extra = {}) => issues.push({ check, packetId: packet.id, detail, ...extra });
+                const body = parser.parseFromString(packet.htmlContent, 'text/html').body;
+
+                body.querySelectorAll('img').forEach((img, imageIndex) => {
+                    // An empty alt marks a decorative image; whitespace alone does not
+                    const alt = img.getAttribute('alt');
+                    if (alt === null || (alt !== '' && !alt.trim())) {
+                        add('altText', `Image ${imageIndex + 1}`, { imageIndex, src: img.getAttribute('src') });
+                    }
+                });
+
+                let previousLevel = 2; // The packet title
+                parser.parseFromString(this.getExportPacketHtml(packet, 3), 'text/html').body
+                    .querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+                        const level = parseInt(heading.tagName.charAt(1), 10);
+                        if (level > previousLevel + 1) {
+                            add('headingLevels', `"${this.getAuditSnippet(heading.textContent) || 'Empty heading'}" is a level ${level} heading after level ${previousLevel}`);
+                        }
+                        previousLevel = level;
+                    });
+
+                body.querySelectorAll('table').forEach((table, tableIndex) => {
+                    const rows = Array.from(table.rows);
+                    if (rows.length > 0 && !rows.some(row => Array.from(row.cells).some(cell => cell.tagName === 'TH'))) {
+                        const firstRow = this.getAuditSnippet(Array.from(rows[0].cells).map(cell => cell.textContent.trim()).join(' | '));
+                        add('tableHeaders', `Table ${tableIndex + 1}${firstRow ? `, first row "${firstRow}"` : ''}`, { tableIndex });
+                    }
+                });
+
+                body.querySelectorAll('a[href]').forEach(link => {
+                    const text = link.textContent.replace(/\s+/g, ' ').trim() ||
+                        Array.from(link.querySelectorAll('img')).map(img => (img.getAttribute('alt') || '').trim()).join(' ').trim();
+                    const href = link.getAttribute('href');
+                    if (!text) {
+                        add('linkText', `Link to ${href} has no text`);
+                    } else if (VAGUE_LINK_TEXTS.has(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim())) {
+                        add('linkText', `"${text}" links to ${href}`);
+                    }
+                });
+
+                // Text inside a colored element is checked too, since an inline background also applies to it
+                const colored = new Set();
+                body.querySelectorAll('[style]').forEach(element => {
+                    [element, ...element.querySelectorAll('*')].forEach(node => colored.add(node));
+                });
+                colored.forEach(element => {
+                    const ownText = Array.from(element.childNodes)
+                        .filter(node => node.nodeType === Node.TEXT_NODE)
+                        .map(node => node.textContent).join('');
+                    if (!ownText.trim()) {
+                        return;
+                    }
+                    const background = this.getEffectiveInlineColor(element, 'background', this.parseCssColor(theme.backgroundColor));
+                    const foreground = this.getEffectiveInlineColor(element, 'color', this.parseCssColor(theme.textColor), background);
+                    const ratio = this.getContrastRatio(foreground, background);
+                    if (ratio < MIN_TEXT_CONTRAST) {
+                        add('contrast', `"${this.getAuditSnippet(ownText)}" is ${this.formatCssColor(foreground)} on ${this.formatCssColor(background)}, ` +
+                            `a contrast of ${Math.floor(ratio * 10) / 10}:1 (at least ${MIN_TEXT_CONTRAST}:1 needed)`);
+                    }
+                });
+            }));
+            console.log(`Accessibility check found ${issues.length} issue(s) in ${this.packets.length} packet(s).`);
+            return issues;
+        }
+
+        /**
+         * Shortens text for quoting in the accessibility checklist.
+         * @param {string} text - The text.
+         * @returns {string} The text on one line, at most 60 characters.
+         */
+        getAuditSnippet(text) {
+            const snippet = text.replace(/\s+/g, ' ').trim();
+            return snippet.length > 60 ? `${snippet.slice(0, 59)}…` : snippet;
+        }
+
+        /**
+         * Reads the text or background color an element sets itself in its style attribute (the only
+         * styling the sanitizer keeps).
+         * @param {Element} element - The element.
+         * @param {string} property - "color" or "background".
+         * @returns {{r: number, g: number, b: number, a: number}|null} The color, or null if it sets none
+         *   (or a fully transparent one).
+         */
+        getInlineColor(element, property) {
+            const value = property === 'color' ? element.style.color : element.style.backgroundColor;
+            const color = value ? this.parseCssColor(value) : null;
+            return color && color.a > 0 ? color : null;
+        }
+
+        /**
+         * Works out the color in effect for an element from its own and its ancestors' inline colors.
+         * Semi-transparent colors are blended over the color behind them.
+         * @param {Element} element - The element.
+         * @param {string} property - "color" or "background".
+         * @param {Object} fallback - The export stylesheet's color, used when no inline color applies.
+         * @param {Object} [backdrop] - What a semi-transparent color is drawn over; defaults to the fallback.
+         * @returns {{r: number, g: number, b: number, a: number}} An opaque color.
+         */
+        getEffectiveInlineColor(element, property, fallback, backdrop = fallback) {
+            for (let node = element; node && node.tagName !== 'BODY'; node = node.parentElement) {
+                const color = this.getInlineColor(node, property);
+                if (color) {
+                    const blend = channel => Math.round(color[channel] * color.a + backdrop[channel] * (1 - color.a));
+                    return { r: blend('r'), g: blend('g'), b: blend('b'), a: 1 };
+                }
+            }
+            return fallback;
+        }
+
+        /**
+         * Parses a CSS color. Hex and rgb() colors are read directly; other forms, such as color names, are
+         * normalized with a canvas where the browser provides one.
+         * @param {string} value - The CSS color.
+         * @returns {{r: number, g: number, b: number, a: number}|null} The color, or null if it is not understood.
+         */
+        parseCssColor(value) {
+            let color = String(value).trim().toLowerCase();
+            if (!/^(#|rgba?\()/.test(color)) {
+                const context = document.createElement('canvas').getContext('2d');
+                if (!context) {
+                    return null;
+                }
+                // fillStyle ignores values it cannot parse, so a miss leaves one of the two sentinels
+                const normalized = ['#000000', '#ffffff'].map(sentinel => {
+                    context.fillStyle = sentinel;
+                    context.fillStyle = color;
+                    return context.fillStyle;
+                });
+                if (normalized[0] !== normalized[1]) {
+                    return null;
+                }
+                color = normalized[0];
+            }
+
+            const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+            if (hex) {
+                const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+                const channel = offset => parseInt(digits.slice(offset, offset + 2), 16);
+                return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? channel(6) / 255 : 1 };
+            }
+            const rgb = color.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+            if (rgb) {
+                const number = (text, max) => Math.min(max, text.endsWith('%') ? parseFloat(text) * max / 100 : parseFloat(text));
+                return {
+                    r: Math.round(number(rgb[1], 255)), g: Math.round(number(rgb[2], 255)), b: Math.round(number(rgb[3], 255)),
+                    a: rgb[4] === undefined ? 1 : number(rgb[4], 1)
+                };
+            }
+            return null;
+        }
+
+        /**
+         * Formats an opaque color as a hex code for the checklist.
+         * @param {{r: number, g: number, b: number}} color - The color.
+         * @returns {string} The color as #rrggbb.
+         */
+        formatCssColor(color) {
+            return '#' + [color.r, color.g, color.b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+        }
+
+        /**
+         * Computes the WCAG 2 contrast ratio between two opaque colors.
+         * @param {{r: number, g: number, b: number}} first - One color.
+         * @param {{r: number, g: number, b: number}} second - The other color.
+         * @returns {number} The ratio, from 1 to 21.
+         */
+        getContrastRatio(first, second) {
+            const luminance = color => ['r', 'g', 'b'].map(channel => {
+                const value = color[channel] / 255;
+                return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            }).reduce((sum, value, index) => sum + value * [0.2126, 0.7152, 0.0722][index], 0);
+            const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+            return (lighter + 0.05) / (darker + 0.05);
+        }
+
+        /**
+         * Renders the accessibility checklist: every check with a pass mark or its issues, each tied to its
+         * packet, with alt text entry for images and a header row fix for tables.
+         */
+        renderAccessibilityAudit() {
+            const panel = document.getElementById('accessibilityAudit');
+            const list = document.getElementById('accessibilityAuditChecks');
+            const summary = document.getElementById('accessibilityAuditSummary');
+            const downloadBtn = document.getElementById('auditDownloadBtn');
+            if (!panel || !list || !summary || !downloadBtn) {
+                console.error('Accessibility check elements not found.');
+                return;
+            }
+            const audit = this.accessibilityAudit;
+            if (!audit) {
+                panel.classList.add('hidden');
+                list.innerHTML = '';
+                return;
+            }
+
+            const issueItem = (issue, index) => {
+                const packet = this.packets.find(p => p.id === issue.packetId);
+                const packetTitle = this.escapeHtml(packet ? packet.title : 'Unknown packet');
+                const detail = this.escapeHtml(issue.detail);
+                let fix = '';
+                if (issue.check === 'altText') {
+                    fix = `
+                        <div class="flex flex-col sm:flex-row gap-2 mt-2">
+                            <label for="auditAlt${index}" class="sr-only">Alt text for ${detail} in ${packetTitle}</label>
+                            <input id="auditAlt${index}" type="text" data-audit-alt="${index}" class="flex-1 border border-gray-300 rounded px-2 py-1" placeholder="Describe what the image shows">
+                            <button type="button" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-1 px-3 rounded" data-audit-action="saveAlt" data-audit-issue="${index}">Save alt text</button>
+                            <button type="button" class="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded border border-gray-300" data-audit-action="decorative" data-audit-issue="${index}">Decorative</button>
+                        </div>`;
+                } else if (issue.check === 'tableHeaders') {
+                    fix = `
+                        <button type="button" class="mt-2 bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded border border-gray-300" data-audit-action="headerRow" data-audit-issue="${index}">Use first row as header</button>`;
+                }
+                return `
+                    <li class="bg-white border border-gray-200 rounded p-3">
+                        <div class="flex flex-col sm:flex-row sm:items-start gap-3">
+                            ${issue.check === 'altText' ? `<img data-audit-image="${index}" alt="" class="w-20 h-20 object-contain border border-gray-200 rounded">` : ''}
+                            <div class="flex-1 min-w-0">
+                                <p class="text-gray-800 break-words"><span class="font-medium">${packetTitle}</span>: ${detail}</p>
+                                ${fix}
+                            </div>
+                            <button type="button" class="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded border border-gray-300" data-audit-action="view" data-audit-issue="${index}">View packet</button>
+                        </div>
+                    </li>`;
+            };
+
+            list.innerHTML = Object.entries(ACCESSIBILITY_CHECKS).map(([check, labels]) => {
+                const items = audit.issues.map((issue, index) => ({ issue, index })).filter(({ issue }) => issue.check === check);
+                return `
+                <li>
+                    <h3 class="font-semibold ${items.length > 0 ? 'text-amber-800' : 'text-green-700'}">
+                        <span aria-hidden="true">${items.length > 0 ? '✗' : '✓'}</span>
+                        ${items.length > 0 ? `${labels.failed} (${items.length})` : labels.passed}
+                    </h3>
+                    ${items.length > 0 ? `
+                    <p class="text-gray-600 mt-1">${this.escapeHtml(labels.hint)}</p>
+                    <ul class="mt-2 space-y-2">${items.map(({ issue, index }) => issueItem(issue, index)).join('')}</ul>` : ''}
+                </li>`;
+            }).join('');
+            // Image sources are set as properties rather than written into the markup
+            list.querySelectorAll('img[data-audit-image]').forEach(img => {
+                img.src = audit.issues[Number(img.dataset.auditImage)].src || '';
+            });
+
+            const affectedPackets = new Set(audit.issues.map(issue => issue.packetId)).size;
+            const download = audit.pendingDownload ? AUDITED_DOWNLOADS[audit.pendingDownload] : null;
+            summary.textContent = audit.issues.length === 0
+                ? `No accessibility issues found in ${this.packets.length} packet${this.packets.length === 1 ? '' : 's'}.`
+                : `${audit.issues.length} issue${audit.issues.length === 1 ? '' : 's'} in ${affectedPackets} packet${affectedPackets === 1 ? '' : 's'}.` +
+                    (download ? ` Fix them before downloading the ${download.label} file, or download it anyway.` : '');
+            downloadBtn.classList.toggle('hidden', !download);
+            if (download) {
+                downloadBtn.textContent = audit.issues.length > 0 ? `Download ${download.label} anyway` : `Download ${download.label}`;
+            }
+            panel.classList.remove('hidden');
+        }
+
+        /**
+         * Changes one element of an audited packet's HTML and saves the packet; updateDisplay() then
+         * refreshes the checklist.
+         * @param {Object} issue - The issue being fixed, from auditPackets().
+         * @param {string} selector - Selects the kind of element the issue refers to.
+         * @param {number} index - The element's position among those matching the selector.
+         * @param {function(Element, Document): void} edit - Changes the element in place.
+         * @returns {Object|null} The packet, or null if the element is no longer there.
+         */
+        editAuditedElement(issue, selector, index, edit) {
+            const packet = this.packets.find(p => p.id === issue.packetId);
+            const doc = packet ? new DOMParser().parseFromString(packet.htmlContent, 'text/html') : null;
+            const element = doc ? doc.body.querySelectorAll(selector)[index] : null;
+            if (!element) {
+                this.showNotification('That packet has changed since the check ran. The checklist has been updated.', 'warning');
+                console.warn('Accessibility fix target not found:', issue);
+                this.refreshAccessibilityAudit();
+                return null;
+            }
+            edit(element, doc);
+            packet.htmlContent = doc.body.innerHTML;
+            this.updateDisplay();
+            return packet;
+        }
+
+        /**
+         * Saves alt text for an image flagged by the accessibility check.
+         * @param {Object} issue - The altText issue.
+         * @param {string} alt - The description entered.
+         * @param {boolean} [decorative=false] - Mark the image as decorative (empty alt) instead.
+         */
+        setImageAltText(issue, alt, decorative = false) {
+            if (!issue) {
+                return;
+            }
+            const text = decorative ? '' : alt.replace(/\s+/g, ' ').trim();
+            if (!text && !decorative) {
+                this.showNotification('Enter a short description of the image, or mark it as decorative.', 'warning');
+                document.getElementById(`auditAlt${this.accessibilityAudit.issues.indexOf(issue)}`)?.focus();
+                return;
+            }
+            const packet = this.editAuditedElement(issue, 'img', issue.imageIndex, img => img.setAttribute('alt', text));
+            if (packet) {
+                const message = decorative ? `Marked ${issue.detail.toLowerCase()} in "${packet.title}" as decorative.` : `Saved alt text for ${issue.detail.toLowerCase()} in "${packet.title}".`;
+                this.showNotification(message, 'success');
+                this.announceToScreenReader('process-status', message);
+                console.log(message);
+                // Continue with the next image still missing alt text
+                (document.querySelector('#accessibilityAuditChecks input[data-audit-alt]') || document.getElementById('accessibilityAuditHeading'))?.focus();
+            }
+        }
+
+        /**
+         * Turns the first row of a table flagged by the accessibility check into column headers.
+         * @param {Object} issue - The tableHeaders issue.
+         */
+        useFirstRowAsTableHeader(issue) {
+            const packet = this.editAuditedElement(issue, 'table', issue.tableIndex, (table, doc) => {
+                const row = table.rows[0];
+                Array.from(row.cells).forEach(cell => {
+                    const header = doc.createElement('th');
+                    Array.from(cell.attributes).forEach(attribute => header.setAttribute(attribute.name, attribute.value));
+                    header.setAttribute('scope', 'col');
+                    header.append(...Array.from(cell.childNodes));
+                    cell.replaceWith(header);
+                });
+                if (!table.tHead && row.parentElement !== table) {
+                    const head = doc.createElement('thead');
+                    row.parentElement.before(head);
+                    head.append(row);
+                }
+            });
+            if (packet) {
+                const message = `${issue.detail.split(',')[0]} in "${packet.title}" now has a header row.`;
+                this.showNotification(message, 'success');
+                this.announceToScreenReader('process-status', message);
+                console.log(message);
+                document.getElementById('accessibilityAuditHeading')?.focus();
+            }
+        }
+
+        /**
+         * Combines all loaded packets into a single HTML document and triggers a download.
+         */
+        async downloadCombinedDocument() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('Download attempted with no packets.');
+                return;
+            }
+
+            if (!this.beginExport()) {
+                return;
+            }
+            console.log('Preparing combined HTML document for download.');
+            try {
+                const imageReport = await this.prepareExportImages('shared');
+                const blob = new Blob([this.buildCombinedHtml()], { type: 'text/html;charset=utf-8' });
+                const filename = this.getExportFilename('html');
+                this.triggerDownload(blob, filename);
+                this.reportExportSize(filename, blob, imageReport, 'Combined document downloaded as HTML!');
+                this.announceToScreenReader('process-status', 'Combined document downloaded as HTML.');
+                console.log('Combined document download initiated.');
+            } catch (error) {
+                console.error('Failed to build HTML document:', error);
+                this.showNotification('Could not build the HTML document: ' + error.message, 'error', 8000);
+                this.announceToScreenReader('process-status', 'HTML document could not be built.');
+            } finally {
+                this.exportImages = null;
+                this.exportInProgress = false;
+            }
+        }
+
+        /**
+         * Builds the combined HTML document from the loaded packets, in export order.
+         * @returns {string} The complete HTML document.
+         */
+        buildCombinedHtml() {
+            // Generate Table of Contents
+            let tableOfContentsHtml = '';
+            if (this.packets.length > 0 && this.exportSettings.includeTableOfContents) {
+                tableOfContentsHtml = `
+        <nav class="table-of-contents">
+            <h2>Table of Contents</h2>
+            ${this.buildTableOfContentsList(this.getTableOfContentsEntries(), entry => `#${entry.id}`)}
+        </nav>
+`;
+            }
+
+
+            let packetsHtml = '';
+            this.getExportGroups().forEach(group => {
+                if (group.section) {
+                    packetsHtml += `
+        <section class="part-title-page" id="part-${this.escapeHtml(group.section.id)}">
+            <h1 class="part-title">${this.escapeHtml(group.section.title)}</h1>
+        </section>
+`;
+                }
+
+                group.packets.forEach(packet => {
+                    const cleanedHtmlContent = this.shareRepeatedExportImages(this.getExportPacketHtml(packet, 3)); // Packet titles are <h2>
+                    packetsHtml += this.buildHtmlPacketSection(packet, cleanedHtmlContent, this.exportSettings.readerNavigation);
+                });
+            });
+
+            // Shared images are known only once every packet has been built
+            const title = this.escapeHtml(this.exportSettings.documentTitle);
+            const documentHtml = `
+    ${this.getSharedImageDefinitions()}
+    <h1 id="top">${title}</h1>
+    ${tableOfContentsHtml}
+    <div class="packets-container">
+${packetsHtml}
+    </div>
+`;
+
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${this.getExportStylesheet()}    </style>
+</head>
+${this.exportSettings.readerNavigation ? `<body class="has-reader">
+    ${this.buildReaderSidebar()}
+    <main class="reader-main">${documentHtml}    </main>
+    <script>${this.getReaderScript()}    </script>
+</body>` : `<body>${documentHtml}</body>`}
+</html>`;
+        }
+
+        /**
+         * Builds one packet of the combined HTML document: its title, optional source line and content.
+         * @param {Object} packet - The packet.
+         * @param {string} contentHtml - The packet's HTML prepared for export.
+         * @param {boolean} backToTop - Whether to end the packet with a link back to the document title.
+         * @returns {string} The packet's HTML.
+         */
+        buildHtmlPacketSection(packet, contentHtml, backToTop) {
+            return `
+        <div class="packet-section" id="packet-${this.escapeHtml(packet.id)}">
+            <h2>${this.escapeHtml(packet.title)}</h2>
+            ${this.exportSettings.includePacketMetadata ? `<p class="packet-metadata"><em>Source: ${this.escapeHtml(packet.filename)} | Words: ${packet.wordCount}</em></p>` : ''}
+            <div class="packet-content">
+                ${contentHtml}
+            </div>
+            ${backToTop ? '<p class="back-to-top"><a href="#top">Back to top</a></p>' : ''}
+        </div>
+`;
+        }
+
+        /**
+         * Builds a short sample of the HTML download for the theme preview: the title, a table of contents
+         * and the start of the first packets, styled like the download. Without packets, a sample reading
+         * stands in. Images keep their original sources and the reader script is left out.
+         * @returns {string} The preview document.
+         */
+        buildExportPreviewHtml() {
+            let packets = this.getExportGroups().flatMap(group => group.packets).slice(0, EXPORT_PREVIEW_PACKETS);
+            if (packets.length === 0) {
+                packets = [{
+                    id: 'sample',
+                    title: 'Sample reading',
+                    filename: 'sample.docx',
+                    wordCount: 58,
+                    htmlContent: '<p>Your packets will appear here. This sample shows how the chosen theme sets headings, ' +
+                        'body text, <em>emphasis</em>, <strong>bold text</strong> and <a href="#packet-sample">links</a>.</p>' +
+                        '<h2>A section heading</h2><blockquote><p>A quoted passage set apart from the text.</p></blockquote>' +
+                        '<ul><li>A list item</li><li>Another list item</li></ul>' +
+                        '<table><thead><tr><th>Week</th><th>Reading</th></tr></thead><tbody><tr><td>1</td><td>Sample reading</td></tr></tbody></table>'
+                }];
+            }
+
+            const parser = new DOMParser();
+            const packetsHtml = packets.map(packet => {
+                const content = parser.parseFromString(this.getExportPacketHtml(packet, 3), 'text/html').body;
+                Array.from(content.children).slice(EXPORT_PREVIEW_BLOCKS).forEach(block => block.remove());
+                return this.buildHtmlPacketSection(packet, content.innerHTML, false);
+            }).join('');
+            const tableOfContentsHtml = this.exportSettings.includeTableOfContents ? `
+        <nav class="table-of-contents">
+            <h2>Table of Contents</h2>
+            <ol>${packets.map(packet => `<li><a href="#packet-${this.escapeHtml(packet.id)}">${this.escapeHtml(packet.title)}</a></li>`).join('')}</ol>
+        </nav>
+` : '';
+            const title = this.escapeHtml(this.exportSettings.documentTitle);
+
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>${this.getExportStylesheet()}    </style>
+</head>
+<body>
+    <h1 id="top">${title}</h1>
+    ${tableOfContentsHtml}
+    <div class="packets-container">
+${packetsHtml}
+    </div>
+</body>
+</html>`;
+        }
+
+        /**
+         * Shows the theme preview in the export options while they are open.
+         */
+        renderExportPreview() {
+            const frame = document.getElementById('exportThemePreview');
+            if (!frame || !document.getElementById('exportOptions')?.open) {
+                return;
+            }
+            frame.srcdoc = this.buildExportPreviewHtml();
+            console.log(`Export preview rendered with the "${this.exportSettings.theme}" theme.`);
+        }
+
+        /**
+         * Builds a download file name from the outputFilename setting.
+         * @param {string} extension - The extension without the dot, e.g. 'docx'.
+         * @returns {string} The file name.
+         */
+        getExportFilename(extension) {
+            return `${this.exportSettings.outputFilename}.${extension}`;
+        }
+
+        /**
+         * Quotes text as a CSS string that is also safe inside a <style> element.
+         * @param {string} text - The text.
+         * @returns {string} The CSS string, including its quotes.
+         */
+        toCssString(text) {
+            return `"${String(text).replace(/["\\<\n\r]/g, character => `\\${character.charCodeAt(0).toString(16)} `)}"`;
+        }
+
+        /**
+         * Builds the sidebar of the reader navigation: a search box (shown once the reader script runs)
+         * and a table of contents for jumping between packets, which also works without scripts.
+         * @returns {string} The sidebar HTML.
+         */
+        buildReaderSidebar() {
+            return `
+    <nav class="reader-sidebar" id="reader-sidebar" aria-label="Reading navigation">
+        <div class="reader-search" id="reader-search" hidden>
+            <label for="reader-search-input">Search this document</label>
+            <input type="search" id="reader-search-input" autocomplete="off" placeholder="Search text">
+            <p class="reader-search-status" id="reader-search-status" aria-live="polite"></p>
+            <ol class="reader-results" id="reader-results"></ol>
+        </div>
+        <p class="reader-sidebar-title">Contents</p>
+        <div class="reader-toc">
+            ${this.buildTableOfContentsList(this.getTableOfContentsEntries(), entry => `#${entry.id}`)}
+        </div>
+    </nav>
+`;
+        }
+
+        /**
+         * Returns the reader script embedded in the combined HTML export. It is self-contained so the
+         * downloaded file works offline: it highlights the packet being read in the sidebar, searches the
+         * packets' text, marks the matches and lists them with a short excerpt to jump to.
+         * @returns {string} The JavaScript source.
+         */
+        getReaderScript() {
+            // Kept free of template placeholders and closing tags, since it is inlined in a <script> element
+            return String.raw`
+(function () {
+    'use strict';
+    var MAX_RESULTS = 200;
+    var sidebar = document.getElementById('reader-sidebar');
+    var search = document.getElementById('reader-search');
+    var input = document.getElementById('reader-search-input');
+    var status = document.getElementById('reader-search-status');
+    var resultsList = document.getElementById('reader-results');
+    var sections = Array.prototype.slice.call(document.querySelectorAll('.packet-section, .part-title-page'));
+    var packets = Array.prototype.slice.call(document.querySelectorAll('.packet-section'));
+    var tocLinks = {};
+    var currentLink = null;
+    var matches = [];
+    var searchTimer = null;
+
+    Array.prototype.forEach.call(sidebar.querySelectorAll('.reader-toc a[href^="#"]'), function (link) {
+        tocLinks[link.getAttribute('href').slice(1)] = link;
+    });
+
+    // Highlight the packet (or part) whose title was scrolled past last
+    function updateCurrentLink() {
+        var active = null;
+        for (var i = 0; i < sections.length; i++) {
+            if (sections[i].getBoundingClientRect().top > 80) {
+                break;
+            }
+            active = sections[i];
+        }
+        var link = active ? tocLinks[active.id] || null : null;
+        if (link === currentLink) {
+            return;
+        }
+        if (currentLink) {
+            currentLink.classList.remove('is-current');
+            currentLink.removeAttribute('aria-current');
+        }
+        currentLink = link;
+        if (currentLink) {
+            currentLink.classList.add('is-current');
+            currentLink.setAttribute('aria-current', 'location');
+            var linkBox = currentLink.getBoundingClientRect();
+            var sidebarBox = sidebar.getBoundingClientRect();
+            if (linkBox.top < sidebarBox.top || linkBox.bottom > sidebarBox.bottom) {
+                sidebar.scrollTop += linkBox.top - sidebarBox.top - sidebar.clientHeight / 2;
+            }
+        }
+    }
+
+    var scrollScheduled = false;
+    window.addEventListener('scroll', function () {
+        if (!scrollScheduled) {
+            scrollScheduled = true;
+            window.requestAnimationFrame(function () {
+                scrollScheduled = false;
+                updateCurrentLink();
+            });
+        }
+    }, { passive: true });
+    updateCurrentLink();
+
+    function clearMatches() {
+        matches.forEach(function (mark) {
+            var parent = mark.parentNode;
+            if (parent) {
+                parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                parent.normalize();
+            }
+        });
+        matches = [];
+        resultsList.innerHTML = '';
+    }
+
+    function addResult(packet, mark, before, after) {
+        var item = document.createElement('li');
+        var button = document.createElement('button');
+        button.type = 'button';
+        var title = document.createElement('strong');
+        title.textContent = packet.querySelector('h2').textContent;
+        var excerpt = document.createElement('span');
+        var match = document.createElement('mark');
+        match.textContent = mark.textContent;
+        excerpt.appendChild(document.createTextNode(before));
+        excerpt.appendChild(match);
+        excerpt.appendChild(document.createTextNode(after));
+        button.appendChild(title);
+        button.appendChild(excerpt);
+        button.addEventListener('click', function () {
+            jumpTo(mark);
+        });
+        item.appendChild(button);
+        resultsList.appendChild(item);
+    }
+
+    function jumpTo(mark) {
+        matches.forEach(function (other) {
+            other.classList.remove('is-active');
+        });
+        mark.classList.add('is-active');
+        mark.scrollIntoView({ block: 'center' });
+    }
+
+    // Lowercases character by character, keeping any character whose lowercase form has another length
+    // (such as "İ"), so offsets in the folded text are offsets in the original
+    function foldCase(text) {
+        return text.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g, function (character) {
+            var lower = character.toLowerCase();
+            return lower.length === character.length ? lower : character;
+        });
+    }
+
+    // Marks every match of the query in the packets' titles and text (matches within one text node)
+    function runSearch() {
+        clearMatches();
+        var query = foldCase(input.value.trim());
+        if (query.length < 2) {
+            status.textContent = query ? 'Type at least two characters.' : '';
+            return;
+        }
+        var packetsWithMatches = 0;
+        var limited = false;
+        packets.forEach(function (packet) {
+            if (limited) {
+                return;
+            }
+            var walker = document.createTreeWalker(packet, NodeFilter.SHOW_TEXT, {
+                acceptNode: function (node) {
+                    return node.parentNode.closest('.back-to-top, .packet-metadata') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+                }
+            });
+            var nodes = [];
+            while (walker.nextNode()) {
+                nodes.push(walker.currentNode);
+            }
+            var found = false;
+            nodes.forEach(function (node) {
+                var text = node.textContent;
+                var lower = foldCase(text);
+                var position = lower.indexOf(query);
+                var pieces = [];
+                var last = 0;
+                while (position !== -1 && !limited) {
+                    pieces.push({ start: position, end: position + query.length });
+                    limited = matches.length + pieces.length >= MAX_RESULTS;
+                    position = lower.indexOf(query, position + query.length);
+                }
+                if (pieces.length === 0) {
+                    return;
+                }
+                found = true;
+                var fragment = document.createDocumentFragment();
+                pieces.forEach(function (piece) {
+                    fragment.appendChild(document.createTextNode(text.slice(last, piece.start)));
+                    var mark = document.createElement('mark');
+                    mark.className = 'reader-match';
+                    mark.textContent = text.slice(piece.start, piece.end);
+                    fragment.appendChild(mark);
+                    matches.push(mark);
+                    var before = text.slice(Math.max(0, piece.start - 30), piece.start);
+                    var after = text.slice(piece.end, piece.end + 50);
+                    addResult(packet, mark, (piece.start > 30 ? '…' : '') + before, after + (piece.end + 50 < text.length ? '…' : ''));
+                    last = piece.end;
+                });
+                fragment.appendChild(document.createTextNode(text.slice(last)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+            if (found) {
+                packetsWithMatches++;
+            }
+        });
+        if (matches.length === 0) {
+            status.textContent = 'No matches.';
+        } else {
+            status.textContent = (limited ? 'Showing the first ' + matches.length + ' matches' : matches.length + (matches.length === 1 ? ' match' : ' matches')) +
+                ' in ' + packetsWithMatches + (packetsWithMatches === 1 ? ' packet.' : ' packets.');
+        }
+    }
+
+    input.addEventListener('input', function () {
+        window.clearTimeout(searchTimer);
+        searchTimer = window.setTimeout(runSearch, 250);
+    });
+    input.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            window.clearTimeout(searchTimer);
+            runSearch();
+            if (matches.length > 0) {
+                jumpTo(matches[0]);
+            }
+        } else if (event.key === 'Escape') {
+            input.value = '';
+            clearMatches();
+            status.textContent = '';
+        }
+    });
+    search.hidden = false;
+})();
+`;
+        }
+
+        /**
+         * Returns the stylesheet embedded in the combined HTML export: the base rules, the chosen theme,
+         * the reader and print rules when those are on, then any custom CSS.
+         * @returns {string} The CSS.
+         */
+        getExportStylesheet() {
+            let css = `
+        body { font-family: sans-serif; line-height: 1.6; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #333; }
+        h1, h2, h3 { color: #2c3e50; margin-top: 1.5em; margin-bottom: 0.5em; }
+        h1 { font-size: 2.2em; text-align: center; border-bottom: 2px solid #eee; padding-bottom: 0.5em; }
+        h2 { font-size: 1.8em; }
+        h3 { font-size: 1.4em; }
+        .packet-section { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 1px dashed #eee; }
+        .packet-section:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+        .part-title-page { margin: 3em 0 2em; padding: 1.5em 0; border-top: 3px double #2c3e50; border-bottom: 3px double #2c3e50; }
+        .part-title-page h1 { margin: 0; border-bottom: none; padding-bottom: 0; }
+        /* Mammoth.js often wraps content in paragraphs, so default to no top margin */
+        .packet-content p { margin-top: 0; margin-bottom: 0.5em; }
+        /* Ensure line breaks are visible if they are represented as <br> */
+        .packet-content br {
+            display: block;
+            content: "";
+            margin-top: 0.5em; /* Adds vertical space for line breaks */
+        }
+        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
+        .packet-content code { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
+        /* Basic alignment from Mammoth.js output */
+        p[align="center"] { text-align: center; }
+        p[align="right"] { text-align: right; }
+        /* Preserve white-space for pre-formatted packet lines */
+        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; }
+        .packet-content code { white-space: pre-wrap; word-wrap: break-word; }
+        /* Ensure other block elements like div maintain spacing */
+        .packet-content > div { margin-bottom: 0.5em; }
+        /* Basic image styling */
+        .packet-content img { max-width: 100%; height: auto; display: block; margin: 0.5em auto; }
+        .packet-content svg.shared-image { max-width: 100%; height: auto; display: block; margin: 0.5em auto; }
+        .shared-image-definitions { position: absolute; }
+
+        /* Table of Contents Styling */
+        .table-of-contents {
+            margin: 2em 0;
+            padding: 1em;
+            border: 1px solid #eee;
+            background-color: #f9f9f9;
+            border-radius: 5px;
+        }
+        .table-of-contents h2 {
+            margin-top: 0;
+            font-size: 1.5em;
+            text-align: center;
+            border-bottom: 1px solid #ddd;
+            padding-bottom: 0.5em;
+            margin-bottom: 1em;
+        }
+        .table-of-contents ol {
+            list-style: decimal;
+            padding-left: 2em;
+        }
+        .table-of-contents li {
+            margin-bottom: 0.5em;
+        }
+        .table-of-contents ol ol {
+            margin-top: 0.5em;
+        }
+        .table-of-contents a {
+            color: #3b82f6;
+            text-decoration: none;
+        }
+        .table-of-contents a:hover {
+            text-decoration: underline;
+        }
+`;
+            css += EXPORT_THEMES[this.exportSettings.theme].css;
+            if (this.exportSettings.readerNavigation) {
+                css += this.getReaderStylesheet();
+            }
+            if (this.exportSettings.printLayout) {
+                css += this.getPrintLayoutStylesheet();
+            }
+            if (this.exportSettings.customCss.trim()) {
+                // Last, so it overrides the theme; a closing style tag in it would end the stylesheet early
+                css += `
+        /* Custom CSS */
+${this.exportSettings.customCss.replace(/<\/(style)/gi, '<\\/$1')}
+`;
+            }
+            return css;
+        }
+
+        /**
+         * Returns the rules for the reader navigation: a sticky sidebar beside the text on wide screens,
+         * above it on narrow ones, and hidden when printing.
+         * @returns {string} The CSS.
+         */
+        getReaderStylesheet() {
+            return `
+        body.has-reader { max-width: 1160px; display: grid; grid-template-columns: 17rem minmax(0, 1fr); column-gap: 2.5em; align-items: start; }
+        .reader-main { min-width: 0; }
+        .reader-sidebar {
+            position: sticky;
+            top: 1em;
+            max-height: calc(100vh - 2em);
+            overflow-y: auto;
+            margin-top: 2em;
+            padding: 1em;
+            border: 1px solid #eee;
+            background-color: #f9f9f9;
+            border-radius: 5px;
+            font-size: 0.9em;
+        }
+        .reader-sidebar-title { font-size: 1.1em; font-weight: bold; color: #2c3e50; margin: 0 0 0.5em; }
+        .reader-sidebar ol { padding-left: 1.25em; margin: 0; }
+        .reader-sidebar li { margin-bottom: 0.35em; }
+        .reader-toc a { color: #2c3e50; text-decoration: none; display: block; padding: 0.1em 0.35em; border-radius: 3px; }
+        .reader-toc a:hover { text-decoration: underline; }
+        .reader-toc a.is-current { background-color: #2c3e50; color: #fff; }
+        .reader-search { margin-bottom: 1.25em; }
+        .reader-search label { display: block; font-weight: bold; margin-bottom: 0.35em; }
+        .reader-search input { width: 100%; box-sizing: border-box; padding: 0.4em; border: 1px solid #ccc; border-radius: 4px; font: inherit; }
+        .reader-search-status { margin: 0.5em 0; color: #555; }
+        .reader-results { list-style: none; padding-left: 0 !important; }
+        .reader-results button { display: block; width: 100%; text-align: left; font: inherit; background: #fff; border: 1px solid #e5e5e5; border-radius: 4px; padding: 0.35em 0.5em; cursor: pointer; }
+        .reader-results button:hover, .reader-results button:focus { border-color: #3b82f6; }
+        .reader-results strong { display: block; }
+        mark.reader-match { background-color: #fef08a; color: inherit; }
+        mark.reader-match.is-active { background-color: #f59e0b; outline: 2px solid #b45309; }
+        .back-to-top { text-align: right; font-size: 0.9em; }
+        .back-to-top a { color: #3b82f6; }
+        @media (max-width: 900px) {
+            body.has-reader { display: block; }
+            .reader-sidebar { position: static; max-height: 50vh; }
+        }
+        @media print {
+            body.has-reader { display: block; }
+            .reader-sidebar, .back-to-top { display: none; }
+            mark.reader-match { background: none; outline: none; }
+        }
+`;
+        }
+
+        /**
+         * Returns print rules for the print/PDF layout mode. Each packet starts on a new page with its
+         * title as a running header and page numbers in the footer; the table of contents gets target
+         * page numbers through CSS paged media (honored by paged-media PDF tools, ignored by browsers
+         * that do not support it).
+         * @returns {string} The CSS.
+         */
+        getPrintLayoutStylesheet() {
+            const title = this.toCssString(this.exportSettings.documentTitle);
+            return `
+        @page {
+            size: letter;
+            margin: 2cm 2cm 2.5cm;
+            @top-center {
+                content: ${title}; /* Fallback where string() is not supported */
+                content: string(packet-title);
+                font-size: 9pt;
+                color: #666;
+            }
+            @bottom-center {
+                content: counter(page);
+                font-size: 9pt;
+                color: #666;
+            }
+        }
+        @page :first {
+            @top-center { content: none; }
+        }
+        @media print {
+            body { max-width: none; margin: 0; padding: 0; font-size: 11pt; color: #000; }
+            .table-of-contents { break-after: page; border: none; background: none; padding: 0; }
+            .table-of-contents a { color: inherit; }
+            .table-of-contents a::after { content: leader('.') target-counter(attr(href), page); }
+            .packet-section { break-before: page; border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+            .packet-section > h2 { string-set: packet-title content(text); margin-top: 0; }
+            .part-title-page { break-before: page; break-after: page; border: none; margin: 0; padding-top: 8cm; }
+            .part-title-page h1 { string-set: packet-title content(text); }
+            h1, h2, h3, h4, h5, h6 { break-after: avoid; page-break-after: avoid; break-inside: avoid; }
+            img, svg.shared-image, table, figure, pre, blockquote { break-inside: avoid; page-break-inside: avoid; }
+            tr { break-inside: avoid; }
+            thead { display: table-header-group; }
+            p, li { orphans: 3; widows: 3; }
+            a { text-decoration: none; }
+        }
+`;
+        }
+
+        /**
+         * Describes the table of contents shared by all export formats. Packets outside sections are
+         * top-level entries; each section is an entry (with `section` set) whose children are its packets.
+         * @returns {Array<{id: string, title: string, packet?: Object, section?: Object, children: Array}>} Entries in export order.
+         */
+        getTableOfContentsEntries() {
+            const packetEntry = packet => ({
+                id: `packet-${packet.id}`,
+                title: packet.title,
+                packet,
+                children: this.getHeadingEntries(packet)
+            });
+            return this.getExportGroups().flatMap(group => (group.section
+                ? [{ id: `part-${group.section.id}`, title: group.section.title, section: group.section, children: group.packets.map(packetEntry) }]
+                : group.packets.map(packetEntry)));
+        }
+
+        /**
+         * Builds nested table of contents entries for the headings inside a packet, down to the
+         * configured tocHeadingDepth. Each entry keeps a reference to its packet.
+         * @param {Object} packet - The packet.
+         * @returns {Array<Object>} Entries for the packet's headings (empty when the setting is off).
+         */
+        getHeadingEntries(packet) {
+            const maxDepth = this.exportSettings.tocHeadingDepth;
+            if (maxDepth === 0) {
+                return [];
+            }
+
+            const root = { depth: 0, children: [] };
+            const stack = [root];
+            this.getExportPacketOutline(packet).headings
+                .filter(heading => heading.depth <= maxDepth)
+                .forEach(heading => {
+                    const entry = { id: heading.id, title: heading.title, packet, depth: heading.depth, children: [] };
+                    while (stack[stack.length - 1].depth >= heading.depth) {
+                        stack.pop();
+                    }
+                    stack[stack.length - 1].children.push(entry);
+                    stack.push(entry);
+                });
+            return root.children;
+        }
+
+        /**
+         * Renders table of contents entries as a nested ordered list. The markup is valid HTML and XHTML.
+         * @param {Array<Object>} entries - Entries from getTableOfContentsEntries().
+         * @param {function(Object): string} getHref - Returns the link target for an entry.
+         * @returns {string} The list markup.
+         */
+        buildTableOfContentsList(entries, getHref) {
+            const items = entries.map(entry => {
+                const children = entry.children && entry.children.length > 0 ? this.buildTableOfContentsList(entry.children, getHref) : '';
+                return `<li><a href="${this.escapeXml(getHref(entry))}">${this.escapeXml(entry.title)}</a>${children}</li>`;
+            });
+            return `<ol>\n${items.join('\n')}\n</ol>`;
+        }
+
+        /**
+         * Flattens nested table of contents entries in reading order.
+         * @param {Array<Object>} entries - Entries from getTableOfContentsEntries().
+         * @param {number} [depth=0] - The depth of the given entries.
+         * @returns {Array<{entry: Object, depth: number}>} The flattened entries.
+         */
+        flattenTableOfContentsEntries(entries, depth = 0) {
+            return entries.reduce((flat, entry) => flat.concat(
+                [{ entry, depth }],
+                this.flattenTableOfContentsEntries(entry.children || [], depth + 1)
+            ), []);
+        }
+
+        /**
+         * Returns a packet's HTML prepared for export, without a leading heading that repeats the packet title
+         * (exports add their own title heading).
+         * @param {Object} packet - The packet to prepare.
+         * @param {number} [firstHeadingLevel=1] - Level for the packet's top internal headings when the
+         *   table of contents includes them (see getExportPacketOutline()).
+         * @returns {string} The cleaned HTML content.
+         */
+        getExportPacketHtml(packet, firstHeadingLevel = 1) {
+            return this.getExportPacketOutline(packet, firstHeadingLevel).html;
+        }
+
+        /**
+         * Prepares a packet's HTML for export and lists the headings inside it. When the table of contents
+         * includes internal headings (the tocHeadingDepth setting), each heading gets a stable anchor and the
+         * heading levels are renumbered to start at `firstHeadingLevel` without gaps, so they sit beneath the
+         * title heading the export adds for the packet. Images are swapped for their optimized copies when
+         * the export prepared some (see prepareExportImages()).
+         * @param {Object} packet - The packet to prepare.
+         * @param {number} [firstHeadingLevel=1] - Level for the packet's top internal headings.
+         * @returns {{html: string, headings: Array<{id: string, title: string, depth: number}>}} The cleaned
+         *   HTML and its headings in document order; depth 1 is the top internal heading level.
+         */
+        getExportPacketOutline(packet, firstHeadingLevel = 1) {
+            let cleanedHtmlContent = this.applyExportImages(packet.htmlContent);
+            const tempContentDiv = document.createElement('div');
+            tempContentDiv.innerHTML = cleanedHtmlContent;
+
+            // Check if the packet's title (or a very similar version) is the first heading in its htmlContent
+            const firstHeading = tempContentDiv.querySelector('h1, h2, h3');
+            if (firstHeading) {
+                const normalizedTitle = packet.title.toLowerCase().replace(/[^a-z0-9]/g, '');
+                const normalizedHeadingText = firstHeading.textContent.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+                // Use a more robust check for similarity
+                // Check if the heading text is a significant portion of the packet title or vice-versa
+                const isSimilar = normalizedTitle.includes(normalizedHeadingText) || normalizedHeadingText.includes(normalizedTitle);
+                const isExactMatch = normalizedTitle === normalizedHeadingText;
+
+                if (isExactMatch || (isSimilar && firstHeading.textContent.trim().length > 0)) {
+                    console.log(`Removing duplicate heading "${firstHeading.textContent.trim()}" from packet "${packet.title}" for export.`);
+                    firstHeading.remove();
+                    cleanedHtmlContent = tempContentDiv.innerHTML;
+                }
+            }
+
+            if (this.exportSettings.tocHeadingDepth === 0) {
+                return { html: cleanedHtmlContent, headings: [] };
+            }
+            const headings = this.outlinePacketHeadings(tempContentDiv, packet, firstHeadingLevel);
+            return { html: tempContentDiv.innerHTML, headings };
+        }
+
+        /**
+         * Renumbers the headings in a packet's content and gives each one an anchor. Distinct heading
+         * levels map in order onto `firstLevel`, `firstLevel + 1`, ... (capped at h6), so an h1/h3 packet
+         * becomes h3/h4 under an h2 packet title. Anchors combine the packet id with the heading text, so
+         * they stay the same from one export to the next. A heading's existing id is used in place of its
+         * text, still behind the packet id, since packets converted from one template can share ids;
+         * links to it inside the packet are updated to match.
+         * @param {HTMLElement} container - The packet content; headings are rewritten in place.
+         * @param {Object} packet - The packet the content belongs to.
+         * @param {number} firstLevel - The level the packet's top headings should have.
+         * @returns {Array<{id: string, title: string, depth: number}>} The headings in document order.
+         */
+        outlinePacketHeadings(container, packet, firstLevel) {
+            const headingElements = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+            const levels = Array.from(new Set(headingElements.map(heading => parseInt(heading.tagName.charAt(1), 10)))).sort((a, b) => a - b);
+            const usedSlugs = new Map();
+
+            return headingElements.map(heading => {
+                const depth = levels.indexOf(parseInt(heading.tagName.charAt(1), 10)) + 1;
+                const renumbered = document.createElement(`h${Math.min(6, firstLevel + depth - 1)}`);
+                Array.from(heading.attributes).forEach(attribute => renumbered.setAttribute(attribute.name, attribute.value));
+                renumbered.append(...Array.from(heading.childNodes));
+                heading.replaceWith(renumbered);
+
+                const title = renumbered.textContent.replace(/\s+/g, ' ').trim();
+                const originalId = renumbered.id;
+                renumbered.id = `packet-${packet.id}-${this.getHeadingSlug(originalId || title, usedSlugs)}`;
+                if (originalId) {
+                    container.querySelectorAll('a[href^="#"]').forEach(link => {
+                        if (this.decodeFragment(link.getAttribute('href').slice(1)) === originalId) {
+                            link.setAttribute('href', `#${renumbered.id}`);
+                        }
+                    });
+                }
+                return { id: renumbered.id, title, depth };
+            }).filter(heading => heading.title.length > 0);
+        }
+
+        /**
+         * Builds a Word document from the ordered packets and triggers a download.
+         * Each packet starts on a new page under a real Heading 1, after a Word table of contents field.
+         * Sections become part title pages, with their packets under Heading 2.
+         */
+        async downloadCombinedDocx() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('Word download attempted with no packets.');
+                return;
+            }
+            if (!window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                this.showNotification('JSZip library not loaded. Please check the script tag.', 'error');
+                return;
+            }
+
+            if (!this.beginExport()) {
+                return;
+            }
+            console.log('Preparing combined Word document for download.');
+            this.announceToScreenReader('process-status', 'Building Word document...');
+            try {
+                const imageReport = await this.prepareExportImages('files');
+                const blob = await this.buildDocxPackage();
+                const filename = this.getExportFilename('docx');
+                this.triggerDownload(blob, filename);
+                this.reportExportSize(filename, blob, imageReport, 'Combined document downloaded as Word!');
+                this.announceToScreenReader('process-status', 'Combined document downloaded as Word.');
+            } catch (error) {
+                console.error('Failed to build Word document:', error);
+                this.showNotification('Could not build the Word document: ' + error.message, 'error', 8000);
+                this.announceToScreenReader('process-status', 'Word document could not be built.');
+            } finally {
+                this.exportImages = null;
+                this.exportInProgress = false;
+            }
+        }
+
+        /**
+         * Assembles the .docx package (WordprocessingML parts zipped with JSZip).
+         * @returns {Promise<Blob>} The .docx file.
+         */
+        async buildDocxPackage() {
+            const documentTitle = this.exportSettings.documentTitle;
+            const context = {
+                relationships: [],
+                media: new Map(), // data URI -> { relId, path }
+                imageSizes: await this.measureImages(this.packets.map(packet => this.applyExportImages(packet.htmlContent))),
+                numbering: [],
+                bookmarks: new Map(), // Scoped HTML id -> bookmark name
+                emittedBookmarks: new Set(),
+                nextDrawingId: 1,
+                anchorScope: '',
+                headingOffset: 1 // Level of the packet title (Heading 1, or Heading 2 inside a part); the packet's own headings start one below
+            };
+
+            const body = [];
+            body.push(this.buildDocxParagraph([], context, { style: 'Title', text: documentTitle }));
+
+            if (this.exportSettings.includeTableOfContents) {
+                body.push(...this.buildDocxTableOfContents(context));
+            }
+
+            let packetIndex = 0;
+            this.getExportGroups().forEach(group => {
+                if (group.section) {
+                    body.push(this.buildDocxParagraph([], context, {
+                        style: 'PartTitle',
+                        text: group.section.title,
+                        pageBreakBefore: true,
+                        bookmark: this.getDocxBookmarkName(context, `part-${group.section.id}`)
+                    }));
+                }
+                // Packets inside a part sit one heading level lower
+                const packetLevel = group.section ? 2 : 1;
+                context.headingOffset = packetLevel;
+
+                group.packets.forEach(packet => {
+                    context.anchorScope = `p${packetIndex++}`;
+                    const bookmarkName = this.getDocxBookmarkName(context, `packet-${packet.id}`);
+                    body.push(this.buildDocxParagraph([], context, {
+                        style: `Heading${packetLevel}`,
+                        text: packet.title,
+                        pageBreakBefore: true,
+                        bookmark: bookmarkName
+                    }));
+
+                    if (this.exportSettings.includePacketMetadata) {
+                        body.push(this.buildDocxParagraph([], context, {
+                            style: 'PacketMetadata',
+                            text: `Source: ${packet.filename} | Words: ${packet.wordCount}`
+                        }));
+                    }
+
+                    const container = document.createElement('div');
+                    container.innerHTML = this.getExportPacketHtml(packet);
+                    body.push(...this.convertNodesToDocxBlocks(Array.from(container.childNodes), context, {}));
+                    console.log(`Converted packet "${packet.title}" to WordprocessingML.`);
+                });
+            });
+
+            const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+
+            const zip = new window.JSZip();
+            const mediaTypes = new Set(Array.from(context.media.values()).map(item => item.extension));
+            zip.file('[Content_Types].xml', this.buildDocxContentTypes(mediaTypes));
+            zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+            zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${this.escapeXml(documentTitle)}</dc:title>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`);
+            zip.file('word/document.xml', documentXml);
+            zip.file('word/styles.xml', this.buildDocxStyles());
+            zip.file('word/numbering.xml', this.buildDocxNumbering(context.numbering));
+            zip.file('word/settings.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:updateFields w:val="true"/></w:settings>`);
+            zip.file('word/_rels/document.xml.rels', this.buildDocxDocumentRelationships(context.relationships));
+            context.media.forEach(item => zip.file(`word/${item.path}`, item.bytes));
+
+            return zip.generateAsync({
+                type: 'blob',
+                mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                compression: 'DEFLATE'
+            });
+        }
+
+        /**
+         * Builds the Word TOC field. The field result is prefilled with linked packet titles
+         * so the contents are usable before Word updates the field with page numbers.
+         * @param {Object} context - The DOCX conversion context.
+         * @returns {Array<string>} Paragraph XML strings.
+         */
+        buildDocxTableOfContents(context) {
+            const paragraphs = [this.buildDocxParagraph([], context, { style: 'TOCHeading', text: 'Table of Contents' })];
+            const fieldBegin = '<w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r>' +
+                '<w:r><w:instrText xml:space="preserve"> TOC \\o "1-3" \\h \\z \\u </w:instrText></w:r>' +
+                '<w:r><w:fldChar w:fldCharType="separate"/></w:r>';
+            const fieldEnd = '<w:r><w:fldChar w:fldCharType="end"/></w:r>';
+
+            const entries = this.flattenTableOfContentsEntries(this.getTableOfContentsEntries());
+            entries.forEach(({ entry, depth }, index) => {
+                const anchor = this.getDocxBookmarkName(context, entry.id);
+                const link = `<w:hyperlink w:anchor="${anchor}" w:history="1">${this.buildDocxRun(entry.title, {})}</w:hyperlink>`;
+                const prefix = index === 0 ? fieldBegin : '';
+                const suffix = index === entries.length - 1 ? fieldEnd : '';
+                paragraphs.push(`<w:p><w:pPr><w:pStyle w:val="TOC${Math.min(depth + 1, 3)}"/></w:pPr>${prefix}${link}${suffix}</w:p>`);
+            });
+            return paragraphs;
+        }
+
+        /**
+         * Converts a list of DOM nodes to WordprocessingML block elements.
+         * Consecutive inline nodes are gathered into a single paragraph.
+         * @param {Array<Node>} nodes - The nodes to convert.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {Object} options - Paragraph options inherited from the parent block.
+         * @returns {Array<string>} Block XML strings (paragraphs and tables).
+         */
+        convertNodesToDocxBlocks(nodes, context, options) {
+            const blocks = [];
+            let inlineNodes = [];
+            const flushInline = () => {
+                if (inlineNodes.some(node => node.nodeType !== Node.TEXT_NODE || node.textContent.trim().length > 0)) {
+                    blocks.push(this.buildDocxParagraph(inlineNodes, context, options));
+                }
+                inlineNodes = [];
+            };
+
+            nodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && DOCX_BLOCK_TAGS.has(node.tagName)) {
+                    flushInline();
+                    blocks.push(...this.convertDocxBlock(node, context, options));
+                } else if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+                    inlineNodes.push(node);
+                }
+            });
+            flushInline();
+            return blocks;
+        }
+
+        /**
+         * Converts a single block-level element to WordprocessingML.
+         * @param {HTMLElement} element - The block element.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {Object} options - Paragraph options inherited from the parent block.
+         * @returns {Array<string>} Block XML strings.
+         */
+        convertDocxBlock(element, context, options) {
+            const tag = element.tagName;
+            const alignment = this.getDocxAlignment(element);
+            const bookmark = element.id ? this.getDocxBookmarkName(context, element.id) : null;
+
+            if (/^H[1-6]$/.test(tag)) {
+                const level = Math.min(6, parseInt(tag.charAt(1), 10) + context.headingOffset);
+                return [this.buildDocxParagraph(Array.from(element.childNodes), context, { style: `Heading${level}`, alignment, bookmark })];
+            }
+
+            switch (tag) {
+                case 'P':
+                case 'LI':
+                case 'DT':
+                case 'ADDRESS':
+                    return [this.buildDocxParagraph(Array.from(element.childNodes), context, { ...options, alignment: alignment || options.alignment, bookmark })];
+                case 'DD':
+                    return [this.buildDocxParagraph(Array.from(element.childNodes), context, { ...options, indent: 720, bookmark })];
+                case 'FIGCAPTION':
+                case 'CAPTION':
+                    return [this.buildDocxParagraph(Array.from(element.childNodes), context, { style: 'Caption', bookmark })];
+                case 'UL':
+                case 'OL':
+                    return this.convertDocxList(element, context, 0);
+                case 'TABLE':
+                    return this.convertDocxTable(element, context);
+                case 'BLOCKQUOTE':
+                    return this.convertNodesToDocxBlocks(Array.from(element.childNodes), context, { ...options, style: 'Quote' });
+                case 'PRE':
+                    return element.textContent.replace(/\n$/, '').split('\n').map(line =>
+                        this.buildDocxParagraph([], context, { style: 'SourceCode', text: line, preserveSpace: true })
+                    );
+                case 'HR':
+                    if (element.classList.contains('page-break')) {
+                        return ['<w:p><w:r><w:br w:type="page"/></w:r></w:p>'];
+                    }
+                    return ['<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>'];
+                default:
+                    // Generic containers (div, section, figure, ...) contribute their children
+                    return this.convertNodesToDocxBlocks(Array.from(element.childNodes), context, options);
+            }
+        }
+
+        /**
+         * Converts a list element (and its nested lists) to numbered paragraphs.
+         * @param {HTMLElement} list - The ul or ol element.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {number} level - The nesting level (0-based).
+         * @returns {Array<string>} Paragraph XML strings.
+         */
+        convertDocxList(list, context, level) {
+            const ordered = list.tagName === 'OL';
+            const start = ordered ? parseInt(list.getAttribute('start'), 10) || 1 : 1;
+            context.numbering.push({ ordered, start });
+            const numId = context.numbering.length;
+            const ilvl = Math.min(level, 8);
+            const blocks = [];
+
+            Array.from(list.children).forEach(item => {
+                if (item.tagName === 'UL' || item.tagName === 'OL') {
+                    blocks.push(...this.convertDocxList(item, context, level + 1));
+                    return;
+                }
+
+                let inlineNodes = [];
+                let numbered = false;
+                const flushInline = () => {
+                    if (inlineNodes.length > 0 || !numbered) {
+                        const paragraphOptions = numbered
+                            ? { style: 'ListParagraph', indent: 720 * (ilvl + 1) }
+                            : { style: 'ListParagraph', numbering: { numId, ilvl }, bookmark: item.id ? this.getDocxBookmarkName(context, item.id) : null };
+                        blocks.push(this.buildDocxParagraph(inlineNodes, context, paragraphOptions));
+                        numbered = true;
+                    }
+                    inlineNodes = [];
+                };
+
+                Array.from(item.childNodes).forEach(child => {
+                    const isElement = child.nodeType === Node.ELEMENT_NODE;
+                    if (isElement && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                        flushInline();
+                        blocks.push(...this.convertDocxList(child, context, level + 1));
+                    } else if (isElement && child.tagName === 'P') {
+                        // Paragraphs inside a list item: the first carries the number, later ones are indented
+                        inlineNodes.push(...child.childNodes);
+                        flushInline();
+                    } else if (isElement && DOCX_BLOCK_TAGS.has(child.tagName)) {
+                        flushInline();
+                        blocks.push(...this.convertDocxBlock(child, context, { indent: 720 * (ilvl + 1) }));
+                    } else if (isElement || child.nodeType === Node.TEXT_NODE) {
+                        if (child.nodeType === Node.TEXT_NODE && child.textContent.trim().length === 0 && inlineNodes.length === 0) {
+                            return;
+                        }
+                        inlineNodes.push(child);
+                    }
+                });
+                if (inlineNodes.length > 0 || !numbered) {
+                    flushInline();
+                }
+            });
+            return blocks;
+        }
+
+        /**
+         * Converts an HTML table to a Word table, mapping colspan/rowspan to gridSpan/vMerge.
+         * @param {HTMLTableElement} table - The table element.
+         * @param {Object} context - The DOCX conversion context.
+         * @returns {Array<string>} The table XML followed by an empty paragraph (Word merges adjacent tables otherwise).
+         */
+        convertDocxTable(table, context) {
+            const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+            if (rows.length === 0) {
+                return [];
+            }
+
+            const TABLE_WIDTH = 9360; // Twips between 1" margins on a Letter page
+            const pendingMerges = []; // Column index -> { remaining, span } for cells continuing a rowspan
+            const rowData = rows.map(row => {
+                const cells = [];
+                let column = 0;
+                const emitContinuations = () => {
+                    while (pendingMerges[column] && pendingMerges[column].remaining > 0) {
+                        const merge = pendingMerges[column];
+                        cells.push({ continuation: true, span: merge.span });
+                        merge.remaining--;
+                        column += merge.span;
+                    }
+                };
+
+                Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH').forEach(cell => {
+                    emitContinuations();
+                    const span = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+                    const rowSpan = Math.max(1, parseInt(cell.getAttribute('rowspan'), 10) || 1);
+                    cells.push({ cell, span, mergeStart: rowSpan > 1 });
+                    if (rowSpan > 1) {
+                        pendingMerges[column] = { remaining: rowSpan - 1, span };
+                    }
+                    column += span;
+                });
+                emitContinuations();
+                const isHeader = row.parentElement.tagName === 'THEAD' || Array.from(row.children).every(cell => cell.tagName === 'TH');
+                return { cells, columnCount: column, isHeader };
+            });
+
+            const columnCount = Math.max(1, ...rowData.map(row => row.columnCount));
+            const columnWidth = Math.floor(TABLE_WIDTH / columnCount);
+            const grid = Array.from({ length: columnCount }, () => `<w:gridCol w:w="${columnWidth}"/>`).join('');
+
+            const rowsXml = rowData.map(({ cells, isHeader }) => {
+                const cellsXml = cells.map(entry => {
+                    const properties = [`<w:tcW w:w="${columnWidth * entry.span}" w:type="dxa"/>`];
+                    if (entry.span > 1) properties.push(`<w:gridSpan w:val="${entry.span}"/>`);
+                    if (entry.continuation) {
+                        properties.push('<w:vMerge/>');
+                        return `<w:tc><w:tcPr>${properties.join('')}</w:tcPr><w:p/></w:tc>`;
+                    }
+                    if (entry.mergeStart) properties.push('<w:vMerge w:val="restart"/>');
+
+                    const cellOptions = entry.cell.tagName === 'TH' ? { runFormat: { bold: true } } : {};
+                    const blocks = this.convertNodesToDocxBlocks(Array.from(entry.cell.childNodes), context, cellOptions);
+                    if (blocks.length === 0 || blocks[blocks.length - 1].startsWith('<w:tbl>')) {
+                        blocks.push('<w:p/>'); // A cell must end with a paragraph
+                    }
+                    return `<w:tc><w:tcPr>${properties.join('')}</w:tcPr>${blocks.join('')}</w:tc>`;
+                }).join('');
+                const rowProperties = isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+                return `<w:tr>${rowProperties}${cellsXml}</w:tr>`;
+            }).join('\n');
+
+            return [
+                `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${TABLE_WIDTH}" w:type="dxa"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>\n${rowsXml}\n</w:tbl>`,
+                '<w:p/>'
+            ];
+        }
+
+        /**
+         * Builds a paragraph from inline nodes or plain text.
+         * @param {Array<Node>} inlineNodes - Inline content of the paragraph.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {Object} options - { style, text, alignment, indent, numbering, pageBreakBefore, bookmark, runFormat, preserveSpace }.
+         * @returns {string} The paragraph XML.
+         */
+        buildDocxParagraph(inlineNodes, context, options) {
+            const properties = [];
+            if (options.style) properties.push(`<w:pStyle w:val="${options.style}"/>`);
+            if (options.pageBreakBefore) properties.push('<w:pageBreakBefore/>');
+            if (options.numbering) {
+                properties.push(`<w:numPr><w:ilvl w:val="${options.numbering.ilvl}"/><w:numId w:val="${options.numbering.numId}"/></w:numPr>`);
+            }
+            if (options.indent) properties.push(`<w:ind w:left="${options.indent}"/>`);
+            if (options.alignment) properties.push(`<w:jc w:val="${options.alignment}"/>`);
+
+            const runFormat = options.runFormat || {};
+            let runs = options.text !== undefined
+                ? this.buildDocxRun(options.text, { ...runFormat, preserve: options.preserveSpace })
+                : inlineNodes.map(node => this.convertDocxInline(node, context, runFormat)).join('');
+
+            if (options.bookmark) {
+                runs = this.wrapDocxBookmark(options.bookmark, context, runs);
+            }
+
+            const propertiesXml = properties.length > 0 ? `<w:pPr>${properties.join('')}</w:pPr>` : '';
+            return `<w:p>${propertiesXml}${runs}</w:p>`;
+        }
+
+        /**
+         * Converts an inline node (text, formatting, link, image, line break) to runs.
+         * @param {Node} node - The inline node.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {Object} format - Run formatting inherited from ancestors.
+         * @returns {string} Run XML.
+         */
+        convertDocxInline(node, context, format) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return this.buildDocxRun(node.textContent, format);
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+
+            const tag = node.tagName;
+            const convertChildren = (childFormat) => Array.from(node.childNodes)
+                .map(child => this.convertDocxInline(child, context, childFormat)).join('');
+
+            let runs;
+            switch (tag) {
+                case 'BR':
+                    return '<w:r><w:br/></w:r>';
+                case 'IMG':
+                    return this.buildDocxImageRun(node, context);
+                case 'STRONG':
+                case 'B':
+                    runs = convertChildren({ ...format, bold: true });
+                    break;
+                case 'EM':
+                case 'I':
+                case 'CITE':
+                    runs = convertChildren({ ...format, italic: true });
+                    break;
+                case 'U':
+                case 'INS':
+                    runs = convertChildren({ ...format, underline: true });
+                    break;
+                case 'S':
+                case 'DEL':
+                case 'STRIKE':
+                    runs = convertChildren({ ...format, strike: true });
+                    break;
+                case 'SUP':
+                    runs = convertChildren({ ...format, verticalAlign: 'superscript' });
+                    break;
+                case 'SUB':
+                    runs = convertChildren({ ...format, verticalAlign: 'subscript' });
+                    break;
+                case 'CODE':
+                case 'KBD':
+                case 'SAMP':
+                    runs = convertChildren({ ...format, monospace: true });
+                    break;
+                case 'A':
+                    runs = this.buildDocxHyperlink(node, context, format, convertChildren);
+                    break;
+                default:
+                    runs = convertChildren(format);
+            }
+
+            if (node.id && tag !== 'A' && !DOCX_BLOCK_TAGS.has(tag)) {
+                runs = this.wrapDocxBookmark(this.getDocxBookmarkName(context, node.id), context, runs);
+            }
+            return runs;
+        }
+
+        /**
+         * Decodes a percent-encoded fragment identifier, keeping it as written when it is malformed
+         * (a bare "%" is valid in an id).
+         * @param {string} fragment - The part of a link after "#".
+         * @returns {string} The id the link points at.
+         */
+        decodeFragment(fragment) {
+            try {
+                return decodeURIComponent(fragment);
+            } catch (error) {
+                console.warn(`Link fragment "${fragment}" is not valid percent-encoding; using it as written.`);
+                return fragment;
+            }
+        }
+
+        /**
+         * Builds a hyperlink: external URLs become relationships, "#id" links point at bookmarks.
+         * @param {HTMLAnchorElement} anchor - The link element.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {Object} format - Inherited run formatting.
+         * @param {function(Object): string} convertChildren - Converts the link's children with a given format.
+         * @returns {string} Hyperlink XML.
+         */
+        buildDocxHyperlink(anchor, context, format, convertChildren) {
+            const href = (anchor.getAttribute('href') || '').trim();
+            let runs;
+            if (href.startsWith('#') && href.length > 1) {
+                const target = this.getDocxBookmarkName(context, this.decodeFragment(href.slice(1)));
+                runs = `<w:hyperlink w:anchor="${target}" w:history="1">${convertChildren({ ...format, link: true })}</w:hyperlink>`;
+            } else if (/^(https?:|mailto:)/i.test(href)) {
+                const relId = this.addDocxRelationship(context, 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink', href, true);
+                runs = `<w:hyperlink r:id="${relId}" w:history="1">${convertChildren({ ...format, link: true })}</w:hyperlink>`;
+            } else {
+                runs = convertChildren(format);
+            }
+
+            // Mammoth emits empty <a id="..."> elements for Word bookmarks and footnote references
+            if (anchor.id) {
+                runs = this.wrapDocxBookmark(this.getDocxBookmarkName(context, anchor.id), context, runs);
+            }
+            return runs;
+        }
+
+        /**
+         * Builds a text run with the given formatting.
+         * @param {string} text - The run text.
+         * @param {Object} format - { bold, italic, underline, strike, verticalAlign, monospace, link, preserve }.
+         * @returns {string} Run XML, or an empty string for empty text.
+         */
+        buildDocxRun(text, format) {
+            const value = format.preserve ? text : text.replace(/[ \t\r\n\f]+/g, ' ');
+            if (value.length === 0) {
+                return '';
+            }
+
+            const properties = [];
+            if (format.link) properties.push('<w:rStyle w:val="Hyperlink"/>');
+            if (format.monospace) properties.push('<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>');
+            if (format.bold) properties.push('<w:b/>');
+            if (format.italic) properties.push('<w:i/>');
+            if (format.strike) properties.push('<w:strike/>');
+            if (format.underline) properties.push('<w:u w:val="single"/>');
+            if (format.verticalAlign) properties.push(`<w:vertAlign w:val="${format.verticalAlign}"/>`);
+
+            const propertiesXml = properties.length > 0 ? `<w:rPr>${properties.join('')}</w:rPr>` : '';
+            return `<w:r>${propertiesXml}<w:t xml:space="preserve">${this.escapeXml(value)}</w:t></w:r>`;
+        }
+
+        /**
+         * Embeds an image as a media part and returns an inline drawing run.
+         * @param {HTMLImageElement} img - The image element (Mammoth inlines images as data URIs).
+         * @param {Object} context - The DOCX conversion context.
+         * @returns {string} Drawing run XML, or an empty string when the image cannot be embedded.
+         */
+        buildDocxImageRun(img, context) {
+            const src = img.getAttribute('src') || '';
+            let media = context.media.get(src);
+            if (!media) {
+                const image = this.decodeDataUri(src);
+                if (!image) {
+                    console.warn('Skipping image that is not an embedded data URI:', src.slice(0, 80));
+                    return '';
+                }
+                const extension = this.getImageExtension(image.mimeType, image.bytes);
+                if (!extension) {
+                    console.warn(`Skipping image with unsupported type "${image.mimeType}".`);
+                    return '';
+                }
+                const path = `media/image${context.media.size + 1}.${extension}`;
+                const relId = this.addDocxRelationship(context, 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image', path);
+                media = { relId, path, extension, bytes: image.bytes };
+                context.media.set(src, media);
+            }
+
+            const MAX_WIDTH_PX = 624; // 6.5" at 96 dpi
+            const EMU_PER_PX = 9525;
+            const measured = context.imageSizes.get(src) || { width: 300, height: 200 };
+            let width = parseInt(img.getAttribute('width'), 10) || measured.width;
+            let height = parseInt(img.getAttribute('height'), 10) || Math.round(measured.height * (width / measured.width));
+            if (width > MAX_WIDTH_PX) {
+                height = Math.round(height * (MAX_WIDTH_PX / width));
+                width = MAX_WIDTH_PX;
+            }
+            const cx = width * EMU_PER_PX;
+            const cy = height * EMU_PER_PX;
+            const drawingId = context.nextDrawingId++;
+            const description = this.escapeXml(img.getAttribute('alt') || '');
+
+            return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${description}"/><wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic><pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${media.path.split('/').pop()}" descr="${description}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${media.relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+        }
+
+        /**
+         * Wraps runs in a bookmark. A bookmark name is only emitted once; repeated ids are left unmarked.
+         * @param {string} name - The bookmark name from getDocxBookmarkName().
+         * @param {Object} context - The DOCX conversion context.
+         * @param {string} runs - The runs to wrap.
+         * @returns {string} The wrapped XML.
+         */
+        wrapDocxBookmark(name, context, runs) {
+            if (context.emittedBookmarks.has(name)) {
+                return runs;
+            }
+            context.emittedBookmarks.add(name);
+            const bookmarkId = context.emittedBookmarks.size;
+            return `<w:bookmarkStart w:id="${bookmarkId}" w:name="${name}"/>${runs}<w:bookmarkEnd w:id="${bookmarkId}"/>`;
+        }
+
+        /**
+         * Maps an HTML id to a Word bookmark name (letters, digits and underscores, at most 40 characters).
+         * Ids are scoped per packet because packets from different files can reuse ids like "footnote-1";
+         * the packet and part ids generated for the export are global.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {string} htmlId - The HTML id.
+         * @returns {string} The bookmark name.
+         */
+        getDocxBookmarkName(context, htmlId) {
+            const key = /^(packet|part)-/.test(htmlId) ? htmlId : `${context.anchorScope}:${htmlId}`;
+            if (!context.bookmarks.has(key)) {
+                context.bookmarks.set(key, `_Ref${context.bookmarks.size + 1}`);
+            }
+            return context.bookmarks.get(key);
+        }
+
+        /**
+         * Registers a relationship from document.xml to another part or URL.
+         * @param {Object} context - The DOCX conversion context.
+         * @param {string} type - The relationship type URI.
+         * @param {string} target - The target path or URL.
+         * @param {boolean} [external=false] - Whether the target is outside the package.
+         * @returns {string} The relationship id.
+         */
+        addDocxRelationship(context, type, target, external = false) {
+            const relId = `rId${context.relationships.length + 10}`; // rId1-9 are reserved for the fixed parts
+            context.relationships.push({ relId, type, target, external });
+            return relId;
+        }
+
+        /**
+         * Reads the paragraph alignment from an element's align attribute or inline style.
+         * @param {HTMLElement} element - The element.
+         * @returns {string|null} A WordprocessingML justification value.
+         */
+        getDocxAlignment(element) {
+            const align = (element.style && element.style.textAlign) || element.getAttribute('align') || '';
+            return { center: 'center', right: 'right', justify: 'both' }[align.toLowerCase()] || null;
+        }
+
+        /**
+         * Builds [Content_Types].xml.
+         * @param {Set<string>} mediaExtensions - Extensions of the embedded images.
+         * @returns {string} The XML.
+         */
+        buildDocxContentTypes(mediaExtensions) {
+            const defaults = Array.from(mediaExtensions)
+                .map(extension => `<Default Extension="${extension}" ContentType="${IMAGE_EXTENSION_TYPES[extension]}"/>`)
+                .join('');
+            return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>${defaults}
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+        }
+
+        /**
+         * Builds word/_rels/document.xml.rels.
+         * @param {Array<Object>} relationships - Relationships registered during conversion.
+         * @returns {string} The XML.
+         */
+        buildDocxDocumentRelationships(relationships) {
+            const fixed = [
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>',
+                '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>'
+            ];
+            const dynamic = relationships.map(rel =>
+                `<Relationship Id="${rel.relId}" Type="${rel.type}" Target="${this.escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+            );
+            return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${fixed.concat(dynamic).join('\n')}
+</Relationships>`;
+        }
+
+        /**
+         * Builds word/numbering.xml with one bullet and one numbered definition,
+         * plus a numbering instance per list so ordered lists restart at their own start value.
+         * @param {Array<{ordered: boolean, start: number}>} lists - Lists in document order.
+         * @returns {string} The XML.
+         */
+        buildDocxNumbering(lists) {
+            const bulletSymbols = ['•', '◦', '▪'];
+            const numberFormats = ['decimal', 'lowerLetter', 'lowerRoman'];
+            const buildLevels = (ordered) => Array.from({ length: 9 }, (_, level) => {
+                const format = ordered ? numberFormats[level % 3] : 'bullet';
+                const text = ordered ? `%${level + 1}.` : bulletSymbols[level % 3];
+                return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+            }).join('');
+
+            const instances = lists.map((list, index) => {
+                const overrides = list.ordered
+                    ? Array.from({ length: 9 }, (_, level) => `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${level === 0 ? list.start : 1}"/></w:lvlOverride>`).join('')
+                    : '';
+                return `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>${overrides}</w:num>`;
+            }).join('\n');
+
+            return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${buildLevels(false)}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${buildLevels(true)}</w:abstractNum>
+${instances}
+</w:numbering>`;
+        }
+
+        /**
+         * Builds word/styles.xml with the paragraph, character and table styles used by the export.
+         * @returns {string} The XML.
+         */
+        buildDocxStyles() {
+            const headingSizes = [32, 28, 26, 24, 22, 22]; // Half-points
+            const headings = headingSizes.map((size, index) => `
+<w:style w:type="paragraph" w:styleId="Heading${index + 1}"><w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${index === 0 ? 0 : 240}" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr><w:rPr><w:b/>${index >= 3 ? '<w:i/>' : ''}<w:color w:val="2C3E50"/><w:sz w:val="${size}"/></w:rPr></w:style>`).join('');
+
+            return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri" w:eastAsia="Calibri"/><w:sz w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="center"/><w:spacing w:after="480"/></w:pPr><w:rPr><w:b/><w:color w:val="2C3E50"/><w:sz w:val="48"/></w:rPr></w:style>${headings}
+<w:style w:type="paragraph" w:styleId="PartTitle"><w:name w:val="Part Title"/><w:basedOn w:val="Heading1"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="center"/><w:spacing w:before="3600" w:after="480"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:sz w:val="44"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOCHeading"><w:name w:val="TOC Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:before="240" w:after="240"/></w:pPr><w:rPr><w:b/><w:color w:val="2C3E50"/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC1"><w:name w:val="toc 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="100"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC2"><w:name w:val="toc 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="100"/><w:ind w:left="220"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOC3"><w:name w:val="toc 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="100"/><w:ind w:left="440"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="PacketMetadata"><w:name w:val="Packet Metadata"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:rPr><w:i/><w:color w:val="666666"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/><w:color w:val="404040"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="SourceCode"><w:name w:val="Source Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:rPr><w:i/><w:color w:val="595959"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/></w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+        }
+
+        /**
+         * Claims the export pipeline for a download. The images prepared for a download live on
+         * this.exportImages until it finishes, so a second download started meanwhile is refused.
+         * @returns {boolean} True if the download may go ahead; its finally block then resets exportInProgress.
+         */
+        beginExport() {
+            if (this.exportInProgress) {
+                this.showNotification('Another download is still being prepared. Try again when it has finished.', 'info');
+                console.warn('Download refused: another export is in progress.');
+                return false;
+            }
+            this.exportInProgress = true;
+            return true;
+        }
+
+        /**
+         * Runs the image pipeline for a download when "Optimize images" is on: every embedded image is hashed
+         * (SHA-256 of its bytes), each distinct image is optimized once, and until the export finishes
+         * getExportPacketOutline() swaps each image for its optimized copy. Identical images end up with the
+         * same data URI, so formats that store images once (Word, EPUB, Markdown with image files) keep one copy.
+         * @param {string} storage - How the download stores images, for the size report: "shared" (the HTML
+         *     download, which shares repeated images), "files" (one file per distinct data URI) or "inline"
+         *     (every use embedded, as in Markdown with embedded images).
+         * @returns {Promise<Object|null>} Byte counts before and after, image counts, and the encoding overhead
+         *     of the format; null when optimization is off or there are no images.
+         */
+        async prepareExportImages(storage) {
+            this.exportImages = null;
+            if (!this.exportSettings.optimizeImages) {
+                return null;
+            }
+
+            const uses = [];
+            this.packets.forEach(packet => {
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = packet.htmlContent;
+                tempDiv.querySelectorAll('img[src^="data:"]').forEach(img => uses.push(img.getAttribute('src')));
+            });
+            if (uses.length === 0) {
+                return null;
+            }
+
+            console.log(`Optimizing ${uses.length} embedded image(s) for download.`);
+            const byHash = new Map();
+            const bySource = new Map();
+            for (const src of new Set(uses)) {
+                const decoded = this.decodeDataUri(src);
+                if (!decoded) {
+                    continue;
+                }
+                const hash = await this.hashImageBytes(decoded.bytes, src);
+                if (!byHash.has(hash)) {
+                    byHash.set(hash, { ...(await this.optimizeImage(src, decoded)), originalBytes: decoded.bytes.length, uses: 0, sharedId: null });
+                }
+                bySource.set(src, { image: byHash.get(hash), originalBytes: decoded.bytes.length });
+            }
+
+            uses.forEach(src => {
+                if (bySource.has(src)) {
+                    bySource.get(src).image.uses++;
+                }
+            });
+            this.exportImages = { bySource, sharedCount: 0 };
+
+            const images = Array.from(byHash.values());
+            const usedSources = uses.filter(src => bySource.has(src));
+            const report = {
+                uses: usedSources.length,
+                unique: images.length,
+                resized: images.filter(image => image.resized).length,
+                before: (storage === 'files' ? Array.from(new Set(usedSources)) : usedSources)
+                    .reduce((sum, src) => sum + bySource.get(src).originalBytes, 0),
+                after: storage === 'inline'
+                    ? usedSources.reduce((sum, src) => sum + bySource.get(src).image.bytes, 0)
+                    : images.reduce((sum, image) => sum + image.bytes, 0),
+                encodingOverhead: storage === 'files' ? 1 : 4 / 3 // Base64 inside text files
+            };
+            console.log('Image optimization report:', report);
+            return report;
+        }
+
+        /**
+         * Hashes image bytes with SHA-256. Without Web Crypto (pages served over plain HTTP) the base64
+         * data stands in, which still matches identical copies of the same file.
+         * @param {Uint8Array} bytes - The image's bytes.
+         * @param {string} src - The image's data URI.
+         * @returns {Promise<string>} A key that is equal for identical images.
+         */
+        async hashImageBytes(bytes, src) {
+            if (!window.crypto || !window.crypto.subtle) {
+                return src.slice(src.indexOf(',') + 1);
+            }
+            const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        /**
+         * Scales an image down to the imageMaxWidth setting and re-encodes it: JPEG and WebP images, and opaque
+         * PNG or BMP images over LARGE_LOSSLESS_IMAGE_BYTES, become JPEGs at the imageQuality setting; others stay
+         * PNG. The original is kept when the browser cannot draw it, for vector and animated formats, and
+         * whenever the result would not be smaller.
+         * @param {string} src - The image's data URI.
+         * @param {{mimeType: string, bytes: Uint8Array}} decoded - The decoded data URI.
+         * @returns {Promise<{dataUri: string, bytes: number, width: number|null, height: number|null, resized: boolean}>}
+         *     The image to embed, its size in bytes and its pixel size (null when unknown).
+         */
+        optimizeImage(src, decoded) {
+            const original = { dataUri: src, bytes: decoded.bytes.length, width: null, height: null, resized: false };
+            if (!OPTIMIZABLE_IMAGE_TYPES.includes(decoded.mimeType)) {
+                return Promise.resolve(original);
+            }
+
+            return new Promise(resolve => {
+                const image = new Image();
+                const timeout = setTimeout(() => resolve(original), 10000); // Do not let one broken image stall the export
+                image.onload = () => {
+                    clearTimeout(timeout);
+                    const size = { width: image.naturalWidth, height: image.naturalHeight };
+                    try {
+                        const scale = Math.min(1, this.exportSettings.imageMaxWidth / image.naturalWidth);
+                        const width = Math.max(1, Math.round(image.naturalWidth * scale));
+                        const height = Math.max(1, Math.round(image.naturalHeight * scale));
+                        const canvas = document.createElement('canvas');
+                        canvas.width = width;
+                        canvas.height = height;
+                        const context = canvas.getContext('2d');
+                        context.drawImage(image, 0, 0, width, height);
+
+                        const lossy = ['image/jpeg', 'image/jpg', 'image/webp'].includes(decoded.mimeType) ||
+                            (decoded.bytes.length > LARGE_LOSSLESS_IMAGE_BYTES && this.isOpaqueCanvas(context, width, height));
+                        // JPEG has no transparency, so transparent areas of a WebP would turn black without a backdrop
+                        if (lossy && decoded.mimeType === 'image/webp') {
+                            context.globalCompositeOperation = 'destination-over';
+                            context.fillStyle = '#ffffff';
+                            context.fillRect(0, 0, width, height);
+                        }
+                        const dataUri = lossy ? canvas.toDataURL('image/jpeg', this.exportSettings.imageQuality) : canvas.toDataURL('image/png');
+                        const bytes = Math.floor((dataUri.length - dataUri.indexOf(',') - 1) * 3 / 4);
+                        if (bytes >= decoded.bytes.length) {
+                            resolve({ ...original, ...size });
+                            return;
+                        }
+                        resolve({ dataUri, bytes, width, height, resized: scale < 1 });
+                    } catch (error) {
+                        console.warn('Could not optimize an image; keeping the original.', error);
+                        resolve({ ...original, ...size });
+                    }
+                };
+                image.onerror = () => {
+                    clearTimeout(timeout);
+                    resolve(original);
+                };
+                image.src = src;
+            });
+        }
+
+        /**
+         * Checks whether every pixel drawn on a canvas is fully opaque.
+         * @param {CanvasRenderingContext2D} context - The canvas context.
+         * @param {number} width - The canvas width.
+         * @param {number} height - The canvas height.
+         * @returns {boolean} True if there is no transparency.
+         */
+        isOpaqueCanvas(context, width, height) {
+            const pixels = context.getImageData(0, 0, width, height).data;
+            for (let i = 3; i < pixels.length; i += 4) {
+                if (pixels[i] < 255) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Swaps the images in packet HTML for the optimized copies prepared for the current export.
+         * @param {string} html - Packet HTML.
+         * @returns {string} The HTML with optimized images, or unchanged when no export images are prepared.
+         */
+        applyExportImages(html) {
+            if (!this.exportImages) {
+                return html;
+            }
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
+            tempDiv.querySelectorAll('img[src^="data:"]').forEach(img => {
+                const entry = this.exportImages.bySource.get(img.getAttribute('src'));
+                if (entry) {
+                    img.setAttribute('src', entry.image.dataUri);
+                }
+            });
+            return tempDiv.innerHTML;
+        }
+
+        /**
+         * Replaces images used more than once in the HTML download with references to a single shared copy:
+         * an SVG <image> defined once (see getSharedImageDefinitions()) and drawn with <use> wherever it
+         * appears, which needs no script. Images used once stay ordinary <img> elements.
+         * @param {string} html - Export HTML for one packet, after applyExportImages().
+         * @returns {string} The HTML with repeated images shared.
+         */
+        shareRepeatedExportImages(html) {
+            if (!this.exportImages) {
+                return html;
+            }
+            const byDataUri = new Map(Array.from(this.exportImages.bySource.values(), entry => [entry.image.dataUri, entry.image]));
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
+            tempDiv.querySelectorAll('img[src^="data:"]').forEach(img => {
+                const image = byDataUri.get(img.getAttribute('src'));
+                if (!image || image.uses < 2 || !image.width || !image.height) {
+                    return; // Unknown sizes cannot be drawn in SVG without distortion
+                }
+                if (!image.sharedId) {
+                    image.sharedId = `shared-image-${++this.exportImages.sharedCount}`;
+                }
+
+                const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                const displayWidth = Number(img.getAttribute('width')) || image.width;
+                svg.setAttribute('class', 'shared-image');
+                svg.setAttribute('viewBox', `0 0 ${image.width} ${image.height}`);
+                svg.setAttribute('width', String(displayWidth));
+                svg.setAttribute('height', String(Math.round(displayWidth * image.height / image.width)));
+                const alt = img.getAttribute('alt') || '';
+                if (alt) {
+                    svg.setAttribute('role', 'img');
+                    svg.setAttribute('aria-label', alt);
                 } else {
-                    console.log(`Strategy 1 (Headings) found segments, but not enough substantial ones to confirm multiple packets.`);
+                    svg.setAttribute('aria-hidden', 'true');
+                }
+                const use = document.createElementNS('http://www.w3.org/2000/svg', 'use');
+                use.setAttribute('href', `#${image.sharedId}`);
+                svg.appendChild(use);
+                img.replaceWith(svg);
+            });
+            return tempDiv.innerHTML;
+        }
+
+        /**
+         * Builds the hidden SVG that holds one copy of each image shared by shareRepeatedExportImages().
+         * @returns {string} The SVG markup, or an empty string when no images are shared.
+         */
+        getSharedImageDefinitions() {
+            if (!this.exportImages || this.exportImages.sharedCount === 0) {
+                return '';
+            }
+            const images = new Set(Array.from(this.exportImages.bySource.values(), entry => entry.image));
+            const definitions = Array.from(images)
+                .filter(image => image.sharedId)
+                .map(image => `<image id="${image.sharedId}" href="${image.dataUri}" width="${image.width}" height="${image.height}" preserveAspectRatio="none"/>`);
+            return `<svg class="shared-image-definitions" width="0" height="0" aria-hidden="true" focusable="false"><defs>${definitions.join('')}</defs></svg>`;
+        }
+
+        /**
+         * Describes an image optimization report for messages, e.g.
+         * "Images: 58.2 MB → 6.1 MB (31 uses of 12 distinct images, 9 scaled down)".
+         * @param {Object} report - The result of prepareExportImages().
+         * @returns {string} The description.
+         */
+        describeImageReport(report) {
+            return `Images: ${this.formatBytes(report.before)} → ${this.formatBytes(report.after)} ` +
+                `(${report.uses} use${report.uses === 1 ? '' : 's'} of ${report.unique} distinct image${report.unique === 1 ? '' : 's'}` +
+                `${report.resized > 0 ? `, ${report.resized} scaled down` : ''})`;
+        }
+
+        /**
+         * Reports a finished download's size and, when images were optimized, the size it would have had
+         * without optimization, in a notification and under the export options.
+         * @param {string} filename - The downloaded file's name.
+         * @param {Blob} blob - The downloaded file.
+         * @param {Object|null} imageReport - The result of prepareExportImages().
+         * @param {string} message - The success message to start the notification with.
+         * @param {string} [warning] - Something left out of the download; reported with the size, as a warning.
+         */
+        reportExportSize(filename, blob, imageReport, message, warning = '') {
+            let sizeText = `${filename}: ${this.formatBytes(blob.size)}`;
+            if (imageReport) {
+                const estimatedBefore = blob.size + Math.round((imageReport.before - imageReport.after) * imageReport.encodingOverhead);
+                sizeText += ` (about ${this.formatBytes(estimatedBefore)} without image optimization). ${this.describeImageReport(imageReport)}.`;
+            }
+            if (warning) {
+                sizeText += `${imageReport ? '' : '.'} ${warning}`;
+            }
+            const status = document.getElementById('exportSizeReport');
+            if (status) {
+                status.textContent = sizeText;
+                status.classList.remove('hidden');
+            }
+            const detailed = Boolean(imageReport || warning);
+            this.showNotification(detailed ? `${message} ${sizeText}` : message, warning ? 'warning' : 'success', detailed ? 8000 : undefined);
+            console.log(sizeText);
+        }
+
+        /**
+         * Measures the natural size of every embedded image in the given HTML strings.
+         * @param {Array<string>} htmlStrings - HTML fragments containing images.
+         * @returns {Promise<Map<string, {width: number, height: number}>>} Sizes keyed by image src.
+         */
+        async measureImages(htmlStrings) {
+            const sources = new Set();
+            htmlStrings.forEach(html => {
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = html;
+                tempDiv.querySelectorAll('img[src]').forEach(img => sources.add(img.getAttribute('src')));
+            });
+
+            const sizes = new Map();
+            await Promise.all(Array.from(sources).map(src => new Promise(resolve => {
+                const image = new Image();
+                const timeout = setTimeout(() => finish(null), 5000); // Do not let one broken image stall the export
+                const finish = (size) => {
+                    clearTimeout(timeout);
+                    if (size && size.width > 0 && size.height > 0) {
+                        sizes.set(src, size);
+                    }
+                    resolve();
+                };
+                image.onload = () => finish({ width: image.naturalWidth, height: image.naturalHeight });
+                image.onerror = () => finish(null);
+                image.src = src;
+            })));
+            console.log(`Measured ${sizes.size} of ${sources.size} embedded images.`);
+            return sizes;
+        }
+
+        /**
+         * Decodes a base64 data URI.
+         * @param {string} dataUri - The data URI.
+         * @returns {{mimeType: string, bytes: Uint8Array}|null} The decoded data, or null if it is not a base64 data URI.
+         */
+        decodeDataUri(dataUri) {
+            const match = /^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s.exec(dataUri || '');
+            if (!match) {
+                return null;
+            }
+            try {
+                const binary = atob(match[2].replace(/\s+/g, ''));
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                return { mimeType: match[1].toLowerCase(), bytes };
+            } catch (error) {
+                console.warn('Could not decode data URI:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Picks a file extension for image data, sniffing the bytes when the MIME type is missing or unknown.
+         * @param {string} mimeType - The declared MIME type.
+         * @param {Uint8Array} bytes - The image bytes.
+         * @returns {string|null} A key of IMAGE_EXTENSION_TYPES, or null for unsupported images.
+         */
+        getImageExtension(mimeType, bytes) {
+            const byType = Object.keys(IMAGE_EXTENSION_TYPES).find(extension => IMAGE_EXTENSION_TYPES[extension] === mimeType);
+            if (byType) {
+                return byType;
+            }
+            const startsWith = (...signature) => signature.every((value, index) => bytes[index] === value);
+            if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'png';
+            if (startsWith(0xFF, 0xD8, 0xFF)) return 'jpeg';
+            if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'gif';
+            if (startsWith(0x42, 0x4D)) return 'bmp';
+            return null;
+        }
+
+        /**
+         * Escapes text for use in XML content and attribute values, dropping characters XML 1.0 does not allow.
+         * @param {string} str - The string to escape.
+         * @returns {string} The escaped string.
+         */
+        escapeXml(str) {
+            return String(str)
+                .replace(INVALID_XML_CHARACTERS, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&apos;');
+        }
+
+        /**
+         * Builds an EPUB 3 book from the ordered packets and triggers a download.
+         */
+        async downloadCombinedEpub() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('EPUB download attempted with no packets.');
+                return;
+            }
+            if (!window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                this.showNotification('JSZip library not loaded. Please check the script tag.', 'error');
+                return;
+            }
+
+            if (!this.beginExport()) {
+                return;
+            }
+            console.log('Preparing combined EPUB for download.');
+            this.announceToScreenReader('process-status', 'Building EPUB...');
+            try {
+                const imageReport = await this.prepareExportImages('files');
+                const { blob, droppedImages } = await this.buildEpubPackage();
+                const filename = this.getExportFilename('epub');
+                this.triggerDownload(blob, filename);
+                const droppedNote = droppedImages > 0
+                    ? `${droppedImages} image(s) in formats e-readers cannot show were replaced with their descriptions.`
+                    : '';
+                this.reportExportSize(filename, blob, imageReport, 'Combined document downloaded as EPUB!', droppedNote);
+                this.announceToScreenReader('process-status', 'Combined document downloaded as EPUB.');
+            } catch (error) {
+                console.error('Failed to build EPUB:', error);
+                this.showNotification('Could not build the EPUB: ' + error.message, 'error', 8000);
+                this.announceToScreenReader('process-status', 'EPUB could not be built.');
+            } finally {
+                this.exportImages = null;
+                this.exportInProgress = false;
+            }
+        }
+
+        /**
+         * Assembles the EPUB package: one XHTML chapter per packet, a nav document built from the
+         * shared table of contents entries, and embedded images as manifest items.
+         * @returns {Promise<{blob: Blob, droppedImages: number}>} The .epub file and the number of images left out.
+         * @throws {Error} If the assembled package fails validation.
+         */
+        async buildEpubPackage() {
+            const documentTitle = this.exportSettings.documentTitle;
+            const files = new Map(); // Package path -> contents, in zip order
+            const manifest = [];
+            const spine = [];
+            const images = { bySource: new Map(), dropped: 0 };
+
+            files.set('mimetype', 'application/epub+zip');
+            files.set('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+
+            files.set('OEBPS/styles.css', this.getEpubStylesheet());
+            manifest.push({ id: 'styles', href: 'styles.css', mediaType: 'text/css' });
+
+            files.set('OEBPS/text/title.xhtml', this.buildXhtmlDocument(documentTitle, `<section epub:type="titlepage" class="title-page"><h1>${this.escapeXml(documentTitle)}</h1></section>`, '../styles.css'));
+            manifest.push({ id: 'title-page', href: 'text/title.xhtml', mediaType: 'application/xhtml+xml' });
+            spine.push('title-page');
+
+            const chapterHrefs = new Map(); // Table of contents entry id -> document path relative to the OPF
+            const chapters = [];
+            this.getExportGroups().forEach((group, groupIndex) => {
+                if (group.section) {
+                    const partId = `part-${String(groupIndex + 1).padStart(3, '0')}`;
+                    const partHref = `text/${partId}.xhtml`;
+                    const body = `<section id="${this.escapeXml(`part-${group.section.id}`)}" epub:type="part" class="part-title-page"><h1>${this.escapeXml(group.section.title)}</h1></section>`;
+                    files.set(`OEBPS/${partHref}`, this.buildXhtmlDocument(group.section.title, body, '../styles.css'));
+                    manifest.push({ id: partId, href: partHref, mediaType: 'application/xhtml+xml' });
+                    spine.push(partId);
+                    chapterHrefs.set(`part-${group.section.id}`, partHref);
                 }
+                // Chapters are written below (image packaging is async), but take their reading-order slot now
+                group.packets.forEach(packet => {
+                    const chapterId = `chapter-${String(chapters.length + 1).padStart(3, '0')}`;
+                    chapters.push({ packet, chapterId });
+                    spine.push(chapterId);
+                });
+            });
+
+            for (const { packet, chapterId } of chapters) {
+                const chapterHref = `text/${chapterId}.xhtml`;
+
+                const container = document.createElement('div');
+                container.innerHTML = this.getExportPacketHtml(packet, 2); // The chapter title is the <h1>
+                await this.packageEpubImages(container, files, manifest, images);
+                this.unwrapEpubFileLinks(container);
+
+                const metadata = this.exportSettings.includePacketMetadata
+                    ? `<p class="packet-metadata">Source: ${this.escapeXml(packet.filename)} | Words: ${packet.wordCount}</p>`
+                    : '';
+                const body = `<section id="${this.escapeXml(`packet-${packet.id}`)}" epub:type="chapter"><h1>${this.escapeXml(packet.title)}</h1>${metadata}${this.serializeXhtml(container)}</section>`;
+                files.set(`OEBPS/${chapterHref}`, this.buildXhtmlDocument(packet.title, body, '../styles.css'));
+                manifest.push({ id: chapterId, href: chapterHref, mediaType: 'application/xhtml+xml' });
+                chapterHrefs.set(`packet-${packet.id}`, chapterHref);
+                console.log(`Packaged packet "${packet.title}" as ${chapterHref}.`);
             }
 
-            // Strategy 2: Split by explicit patterns like "***", "---", or multiple empty paragraphs
-            const separatorPatterns = [
-                /\n\s*\*{3,}\s*\n/g, // ***
-                /\n\s*-{3,}\s*\n/g, // ---
-                /\n\s*_{3,}\s*\n/g, // ___
-                /\n\s*={3,}\s*\n/g, // ===
-                /\n\s*~{3,}\s*\n/g, // ~~~
-                /(<p>\s*&nbsp;\s*<\/p>){2,}/g, // Two or more empty paragraphs with &nbsp;
-                /(<p>\s*<\/p>){2,}/g // Two or more empty paragraphs
-            ];
+            // The nav document is required even when the table of contents is not shown in the reading order
+            const navList = this.buildTableOfContentsList(this.getTableOfContentsEntries(), entry => `${chapterHrefs.get(entry.packet ? `packet-${entry.packet.id}` : entry.id)}#${entry.id}`);
+            files.set('OEBPS/nav.xhtml', this.buildXhtmlDocument('Table of Contents', `<nav epub:type="toc" id="toc"><h1>Table of Contents</h1>\n${navList}\n</nav>`, 'styles.css'));
+            manifest.push({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+            if (this.exportSettings.includeTableOfContents) {
+                spine.splice(1, 0, 'nav');
+            }
 
-            for (const pattern of separatorPatterns) {
-                // Ensure the pattern actually exists and splits the content into more than one part
-                if (fullHtml.match(pattern)) {
-                    const partsHtml = fullHtml.split(pattern);
-                    // Filter out very short or empty parts that might just be separator artifacts
-                    const meaningfulParts = partsHtml.filter(part => {
-                        const tempPartDiv = document.createElement('div');
-                        tempPartDiv.innerHTML = part;
-                        return tempPartDiv.textContent.trim().length >= MIN_CONTENT_LENGTH_FOR_SPLIT;
-                    });
+            const identifier = window.crypto && window.crypto.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+            const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+            files.set('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${identifier}</dc:identifier>
+<dc:title>${this.escapeXml(documentTitle)}</dc:title>
+<dc:language>en</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.map(item => `<item id="${item.id}" href="${this.escapeXml(item.href)}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+</manifest>
+<spine>
+${spine.map(idref => `<itemref idref="${idref}"/>`).join('\n')}
+</spine>
+</package>`);
+
+            this.validateEpubPackage(files);
+
+            const zip = new window.JSZip();
+            files.forEach((contents, path) => {
+                // The mimetype entry must come first and be stored uncompressed
+                zip.file(path, contents, path === 'mimetype' ? { compression: 'STORE' } : {});
+            });
+            const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+            return { blob, droppedImages: images.dropped };
+        }
 
-                    if (meaningfulParts.length > 1) {
-                        const packetsBySeparator = this.extractPacketsBySeparator(meaningfulParts, filename);
-                        if (packetsBySeparator.length > 1) {
-                            console.log(`Strategy 2 (Separators: ${pattern}) found ${packetsBySeparator.length} packets.`);
-                            return packetsBySeparator; // Return early if a clear separator is found
-                        }
+        /**
+         * Moves a chapter's data URI images into the package as files and manifest items.
+         * Identical images are stored once. Images in formats outside the EPUB core media types are
+         * converted to PNG when the browser can decode them, otherwise replaced by their alt text.
+         * @param {HTMLElement} container - The chapter content; image sources are rewritten in place.
+         * @param {Map<string, *>} files - The package files.
+         * @param {Array<Object>} manifest - The manifest items.
+         * @param {{bySource: Map<string, string>, dropped: number}} images - Images packaged so far.
+         */
+        async packageEpubImages(container, files, manifest, images) {
+            for (const img of Array.from(container.querySelectorAll('img'))) {
+                const src = img.getAttribute('src') || '';
+                if (images.bySource.has(src)) {
+                    img.setAttribute('src', `../${images.bySource.get(src)}`);
+                    continue;
+                }
+
+                let image = this.decodeDataUri(src);
+                let extension = image ? this.getImageExtension(image.mimeType, image.bytes) : null;
+                if (image && !EPUB_IMAGE_EXTENSIONS.includes(extension)) {
+                    const converted = await this.convertImageToPng(src);
+                    image = converted ? this.decodeDataUri(converted) : null;
+                    extension = 'png';
+                }
+
+                if (!image) {
+                    console.warn('Replacing image that cannot be packaged in the EPUB:', src.slice(0, 80));
+                    const placeholder = document.createElement('span');
+                    placeholder.className = 'missing-image';
+                    placeholder.textContent = `[Image${img.getAttribute('alt') ? `: ${img.getAttribute('alt')}` : ''}]`;
+                    img.replaceWith(placeholder);
+                    images.dropped++;
+                    continue;
+                }
+
+                const imageId = `image-${String(images.bySource.size + 1).padStart(3, '0')}`;
+                const href = `images/${imageId}.${extension}`;
+                files.set(`OEBPS/${href}`, image.bytes);
+                manifest.push({ id: imageId, href, mediaType: IMAGE_EXTENSION_TYPES[extension] });
+                images.bySource.set(src, href);
+                img.setAttribute('src', `../${href}`);
+                if (!img.hasAttribute('alt')) {
+                    img.setAttribute('alt', ''); // alt is required in XHTML content documents
+                }
+            }
+        }
+
+        /**
+         * Replaces links to relative files (like "handout.pdf" or "../notes.html", which Word documents
+         * often contain) with their text, since those files are not part of the EPUB. Protocol-relative
+         * links are made https links.
+         * @param {HTMLElement} container - The chapter content; links are rewritten in place.
+         */
+        unwrapEpubFileLinks(container) {
+            container.querySelectorAll('a[href]').forEach(link => {
+                const href = link.getAttribute('href').trim();
+                if (href.startsWith('//')) {
+                    link.setAttribute('href', `https:${href}`);
+                } else if (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#')) {
+                    console.log(`Removing link to "${href}", which is not in the EPUB.`);
+                    if (link.id) {
+                        link.removeAttribute('href'); // Keep it as a bookmark target
+                    } else {
+                        link.replaceWith(...Array.from(link.childNodes));
+                    }
+                }
+            });
+        }
+
+        /**
+         * Re-encodes an image as PNG using a canvas.
+         * @param {string} src - The image source (usually a data URI).
+         * @returns {Promise<string|null>} A PNG data URI, or null if the browser cannot decode the image.
+         */
+        convertImageToPng(src) {
+            return new Promise(resolve => {
+                const image = new Image();
+                const timeout = setTimeout(() => resolve(null), 5000);
+                image.onload = () => {
+                    clearTimeout(timeout);
+                    try {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = image.naturalWidth;
+                        canvas.height = image.naturalHeight;
+                        canvas.getContext('2d').drawImage(image, 0, 0);
+                        resolve(canvas.toDataURL('image/png'));
+                    } catch (error) {
+                        console.warn('Canvas conversion to PNG failed:', error);
+                        resolve(null);
                     }
+                };
+                image.onerror = () => {
+                    clearTimeout(timeout);
+                    resolve(null);
+                };
+                image.src = src;
+            });
+        }
+
+        /**
+         * Serializes the children of an element as XHTML markup.
+         * @param {HTMLElement} container - The element whose children are serialized.
+         * @returns {string} Well-formed XHTML.
+         */
+        serializeXhtml(container) {
+            const serializer = new XMLSerializer();
+            return Array.from(container.childNodes)
+                .map(node => serializer.serializeToString(node))
+                .join('')
+                .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '') // Declared once on the root element
+                .replace(INVALID_XML_CHARACTERS, '');
+        }
+
+        /**
+         * Wraps body markup in an EPUB XHTML content document.
+         * @param {string} title - The document title.
+         * @param {string} body - The XHTML body content.
+         * @param {string} stylesheetHref - Path to the stylesheet relative to the document.
+         * @returns {string} The XHTML document.
+         */
+        buildXhtmlDocument(title, body, stylesheetHref) {
+            return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheetHref}"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+        }
+
+        /**
+         * Checks the assembled EPUB files for the structural problems reading systems reject:
+         * mimetype placement, a resolvable package document, manifest/spine consistency, a single nav
+         * document, well-formed XHTML and resources referenced by chapters but missing from the manifest.
+         * @param {Map<string, *>} files - The package files in zip order.
+         * @throws {Error} Listing the problems found.
+         */
+        validateEpubPackage(files) {
+            const problems = [];
+            const parser = new DOMParser();
+            const paths = Array.from(files.keys());
+            const parseXml = (path, type) => {
+                const doc = parser.parseFromString(files.get(path), type);
+                if (doc.getElementsByTagName('parsererror').length > 0) {
+                    problems.push(`${path} is not well-formed`);
+                    return null;
                 }
+                return doc;
+            };
+
+            if (paths[0] !== 'mimetype' || files.get('mimetype') !== 'application/epub+zip') {
+                problems.push('mimetype must be the first file and contain "application/epub+zip"');
             }
 
-            // Strategy 3: Split by significant paragraph breaks (very conservative)
-            // This is the most ambiguous strategy, so it should be the last resort and very strict.
-            const paragraphs = Array.from(tempDiv.querySelectorAll('p'));
-            if (paragraphs.length > 3) { // Need a good number of paragraphs to consider this
-                const packetsByParagraphs = this.extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs);
-                 if (packetsByParagraphs.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
-                    console.log(`Strategy 3 (Paragraph Separation) found ${packetsByParagraphs.length} packets.`);
-                    return packetsByParagraphs;
+            const container = files.has('META-INF/container.xml') ? parseXml('META-INF/container.xml', 'application/xml') : null;
+            const rootfile = container && container.getElementsByTagName('rootfile')[0];
+            const opfPath = rootfile && rootfile.getAttribute('full-path');
+            if (!opfPath || !files.has(opfPath)) {
+                problems.push('META-INF/container.xml does not point at a package document');
+                throw new Error(`EPUB validation failed: ${problems.join('; ')}.`);
+            }
+
+            const opf = parseXml(opfPath, 'application/xml');
+            if (!opf) {
+                throw new Error(`EPUB validation failed: ${problems.join('; ')}.`);
+            }
+            const opfDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+            const manifestItems = Array.from(opf.getElementsByTagName('item'));
+            const manifestIds = new Set();
+            const manifestPaths = new Set();
+            manifestItems.forEach(item => {
+                const id = item.getAttribute('id');
+                const path = this.resolvePackagePath(opfDir, item.getAttribute('href'));
+                if (manifestIds.has(id)) problems.push(`manifest id "${id}" is used twice`);
+                manifestIds.add(id);
+                if (path === null) {
+                    problems.push(`manifest item "${id}" has a malformed href`);
+                    return;
+                }
+                manifestPaths.add(path);
+                if (!files.has(path)) problems.push(`manifest item "${id}" points at missing file ${path}`);
+            });
+
+            paths.filter(path => path.startsWith(opfDir) && path !== opfPath && !manifestPaths.has(path))
+                .forEach(path => problems.push(`${path} is not listed in the manifest`));
+
+            Array.from(opf.getElementsByTagName('itemref')).forEach(itemref => {
+                if (!manifestIds.has(itemref.getAttribute('idref'))) {
+                    problems.push(`spine item "${itemref.getAttribute('idref')}" is not in the manifest`);
+                }
+            });
+
+            const navItems = manifestItems.filter(item => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'));
+            if (navItems.length !== 1) {
+                problems.push(`expected exactly one nav document, found ${navItems.length}`);
+            }
+
+            manifestItems.filter(item => item.getAttribute('media-type') === 'application/xhtml+xml').forEach(item => {
+                const path = this.resolvePackagePath(opfDir, item.getAttribute('href'));
+                if (path === null || !files.has(path)) return;
+                const doc = parseXml(path, 'application/xhtml+xml');
+                if (!doc) return;
+                const documentDir = path.slice(0, path.lastIndexOf('/') + 1);
+                doc.querySelectorAll('img[src], link[href], a[href]').forEach(element => {
+                    const reference = element.getAttribute('src') || element.getAttribute('href');
+                    if (/^[a-z][a-z0-9+.-]*:/i.test(reference) || reference.startsWith('#')) return; // External or same-document
+                    const target = this.resolvePackagePath(documentDir, reference.split('#')[0]);
+                    if (target === null) {
+                        problems.push(`${path} has a malformed reference ${reference}`);
+                    } else if (!manifestPaths.has(target)) {
+                        problems.push(`${path} references ${reference}, which is not in the manifest`);
+                    }
+                });
+            });
+
+            if (problems.length > 0) {
+                console.error('EPUB validation problems:', problems);
+                const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+                throw new Error(`EPUB validation failed: ${problems.slice(0, 3).join('; ')}${more}.`);
+            }
+            console.log(`EPUB package validated: ${manifestItems.length} manifest items.`);
+        }
+
+        /**
+         * Resolves a relative reference against a directory inside a zip package.
+         * @param {string} baseDir - The directory, ending in "/" (or empty for the root).
+         * @param {string} href - The relative reference.
+         * @returns {string|null} The normalized package path, or null if the reference is not valid percent-encoding.
+         */
+        resolvePackagePath(baseDir, href) {
+            let decoded;
+            try {
+                decoded = decodeURIComponent(href || '');
+            } catch (error) {
+                console.warn(`Package reference "${href}" is not valid percent-encoding.`);
+                return null;
+            }
+            const segments = [];
+            `${baseDir}${decoded}`.split('/').forEach(segment => {
+                if (segment === '..') {
+                    segments.pop();
+                } else if (segment !== '.' && segment !== '') {
+                    segments.push(segment);
+                }
+            });
+            return segments.join('/');
+        }
+
+        /**
+         * Returns the stylesheet packaged with EPUB exports.
+         * @returns {string} The CSS.
+         */
+        getEpubStylesheet() {
+            return `body { font-family: serif; line-height: 1.5; margin: 0 0.5em; }
+h1, h2, h3, h4, h5, h6 { font-family: sans-serif; color: #2c3e50; line-height: 1.25; page-break-after: avoid; }
+h1 { font-size: 1.6em; margin: 1em 0 0.5em; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page h1 { font-size: 2em; }
+.part-title-page { text-align: center; margin-top: 30%; }
+.packet-metadata { font-style: italic; font-size: 0.85em; color: #666; }
+p { margin: 0 0 0.6em; }
+img { max-width: 100%; height: auto; }
+table { border-collapse: collapse; margin: 1em 0; }
+td, th { border: 1px solid #999; padding: 0.25em 0.5em; vertical-align: top; }
+blockquote { margin: 1em 1.5em; font-style: italic; }
+pre, code { font-family: monospace; white-space: pre-wrap; }
+nav ol { list-style: none; padding-left: 0; }
+nav ol ol { padding-left: 1.5em; }
+nav li { margin-bottom: 0.4em; }
+.missing-image { font-style: italic; color: #666; }
+`;
+        }
+
+        /**
+         * Converts the ordered packets to Markdown and triggers a download. Images are either embedded
+         * as data URIs or written as separate files next to the Markdown in a .zip.
+         */
+        async downloadCombinedMarkdown() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('Markdown download attempted with no packets.');
+                return;
+            }
+
+            const extractImages = this.exportSettings.markdownImages === 'files';
+            if (extractImages && !window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                this.showNotification('JSZip library not loaded. Please check the script tag.', 'error');
+                return;
+            }
+
+            if (!this.beginExport()) {
+                return;
+            }
+            console.log(`Preparing combined Markdown (${extractImages ? 'image files' : 'inline images'}) for download.`);
+            try {
+                const imageReport = await this.prepareExportImages(extractImages ? 'files' : 'inline');
+                const { markdown, images } = this.buildMarkdownDocument(extractImages);
+                let blob;
+                let filename;
+                if (extractImages && images.length > 0) {
+                    const zip = new window.JSZip();
+                    zip.file(this.getExportFilename('md'), markdown);
+                    images.forEach(image => zip.file(image.path, image.bytes));
+                    blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+                    filename = `${this.exportSettings.outputFilename}_Markdown.zip`;
                 } else {
-                    console.log(`Strategy 3 (Paragraph Separation) found segments, but not enough substantial ones to confirm multiple packets.`);
+                    blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
+                    filename = this.getExportFilename('md');
                 }
+                this.triggerDownload(blob, filename);
+                this.reportExportSize(filename, blob, imageReport, 'Combined document downloaded as Markdown!');
+                this.announceToScreenReader('process-status', 'Combined document downloaded as Markdown.');
+            } catch (error) {
+                console.error('Failed to build Markdown:', error);
+                this.showNotification('Could not build the Markdown file: ' + error.message, 'error', 8000);
+            } finally {
+                this.exportImages = null;
+                this.exportInProgress = false;
             }
+        }
 
-            console.log(`No strong multi-packet separation detected for "${filename}".`);
-            return []; // Return empty, which will trigger the single-packet fallback
+        /**
+         * Builds the combined Markdown document with a linked table of contents.
+         * @param {boolean} extractImages - Whether to reference images as files instead of data URIs.
+         * @returns {{markdown: string, images: Array<{path: string, bytes: Uint8Array}>}} The document and extracted images.
+         */
+        buildMarkdownDocument(extractImages) {
+            const documentTitle = this.exportSettings.documentTitle;
+            const context = {
+                extractImages,
+                images: [],
+                imagePaths: new Map(), // data URI -> file path
+                usedSlugs: new Map(),
+                slugsById: new Map(),
+                headingOffset: 2 // Packet titles are "##", so the packet's own h1 becomes "###"
+            };
+
+            // Slugs are assigned in document order, the way Markdown renderers number repeated headings
+            const blocks = [`# ${this.escapeMarkdown(documentTitle)}`];
+            this.getHeadingSlug(documentTitle, context.usedSlugs);
+            const includeToc = this.exportSettings.includeTableOfContents;
+            if (includeToc) {
+                this.getHeadingSlug('Table of Contents', context.usedSlugs);
+            }
+
+            const packetBlocks = [];
+            this.getExportGroups().forEach(group => {
+                // Parts are top-level headings like the document title, matching the HTML export
+                if (group.section) {
+                    context.slugsById.set(`part-${group.section.id}`, this.getHeadingSlug(group.section.title, context.usedSlugs));
+                    packetBlocks.push(`# ${this.escapeMarkdown(group.section.title)}`);
+                }
+                group.packets.forEach(packet => {
+                    context.slugsById.set(`packet-${packet.id}`, this.getHeadingSlug(packet.title, context.usedSlugs));
+                    packetBlocks.push(`## ${this.escapeMarkdown(packet.title)}`);
+                    if (this.exportSettings.includePacketMetadata) {
+                        packetBlocks.push(`*Source: ${this.escapeMarkdown(packet.filename)} | Words: ${packet.wordCount}*`);
+                    }
+                    const container = document.createElement('div');
+                    container.innerHTML = this.getExportPacketHtml(packet);
+                    const body = this.convertNodesToMarkdown(Array.from(container.childNodes), context);
+                    if (body) {
+                        packetBlocks.push(body);
+                    }
+                });
+            });
+
+            if (includeToc) {
+                const renderEntries = (entries, depth) => entries.map((entry, index) => {
+                    const slug = context.slugsById.get(entry.id);
+                    const line = `${'   '.repeat(depth)}${index + 1}. [${this.escapeMarkdown(entry.title)}](#${slug})`;
+                    const children = entry.children && entry.children.length > 0 ? `\n${renderEntries(entry.children, depth + 1)}` : '';
+                    return line + children;
+                }).join('\n');
+                blocks.push('## Table of Contents', renderEntries(this.getTableOfContentsEntries(), 0));
+            }
+
+            const markdown = blocks.concat(packetBlocks).join('\n\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+            return { markdown, images: context.images };
         }
 
         /**
-         * Extracts packets by identifying text blocks separated by heading tags (h1, h2, h3).
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The name of the original file.
-         * @param {NodeList<HTMLElement>} headings - A NodeList of h1, h2, h3 elements.
-         * @returns {Array<Object>} An array of packet objects.
+         * Converts DOM nodes to Markdown blocks separated by blank lines.
+         * @param {Array<Node>} nodes - The nodes to convert.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown.
          */
-        extractPacketsByHeadings(tempDiv, filename, headings) {
-            const packets = [];
-            const allElements = Array.from(tempDiv.children);
-            console.log(`  Extracting by headings for "${filename}". Found ${headings.length} headings.`);
-            const MIN_POEM_LENGTH_HEADING = 50; // Minimum characters for a packet section identified by heading
+        convertNodesToMarkdown(nodes, context) {
+            const blocks = [];
+            let inline = '';
+            const flushInline = () => {
+                const text = inline.replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n')).trim();
+                if (text) {
+                    blocks.push(text);
+                }
+                inline = '';
+            };
 
-            for (let i = 0; i < headings.length; i++) {
-                const currentHeading = headings[i];
-                const nextHeading = headings[i + 1];
+            nodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && DOCX_BLOCK_TAGS.has(node.tagName)) {
+                    flushInline();
+                    const block = this.convertMarkdownBlock(node, context);
+                    if (block) {
+                        blocks.push(block);
+                    }
+                } else {
+                    inline += this.convertMarkdownInline(node, context);
+                }
+            });
+            flushInline();
+            return blocks.join('\n\n');
+        }
 
-                const title = currentHeading.textContent.trim();
-                // Ensure heading is meaningful
-                if (title.length === 0 || title.length > 200 || title.split(/\s+/).length > 20) { // Max 20 words for a title
-                    console.log(`    Skipping heading with invalid title: "${title}"`);
-                    continue;
+        /**
+         * Converts a block-level element to Markdown.
+         * @param {HTMLElement} element - The block element.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown block (without surrounding blank lines).
+         */
+        convertMarkdownBlock(element, context) {
+            const tag = element.tagName;
+            const anchor = element.id ? `<a id="${this.escapeHtml(element.id)}"></a>` : '';
+            const inlineContent = () => Array.from(element.childNodes).map(child => this.convertMarkdownInline(child, context)).join('').trim();
+
+            if (/^H[1-6]$/.test(tag)) {
+                const level = Math.min(6, parseInt(tag.charAt(1), 10) + context.headingOffset);
+                const text = inlineContent();
+                if (element.id) {
+                    context.slugsById.set(element.id, this.getHeadingSlug(element.textContent, context.usedSlugs));
+                } else {
+                    this.getHeadingSlug(element.textContent, context.usedSlugs);
                 }
+                return text ? `${'#'.repeat(level)} ${text.replace(/\s*\n\s*/g, ' ')}` : '';
+            }
 
-                const startIndex = allElements.indexOf(currentHeading);
-                const endIndex = nextHeading ? allElements.indexOf(nextHeading) : allElements.length;
+            switch (tag) {
+                case 'P':
+                case 'DT':
+                case 'DD':
+                case 'ADDRESS':
+                case 'FIGCAPTION':
+                case 'CAPTION':
+                case 'LI':
+                    return anchor + inlineContent();
+                case 'UL':
+                case 'OL':
+                    return this.convertMarkdownList(element, context);
+                case 'TABLE':
+                    return this.convertMarkdownTable(element, context);
+                case 'BLOCKQUOTE': {
+                    const inner = this.convertNodesToMarkdown(Array.from(element.childNodes), context);
+                    return inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+                }
+                case 'PRE': {
+                    const code = element.textContent.replace(/\n$/, '');
+                    const fence = code.includes('```') ? '~~~' : '```';
+                    return `${fence}\n${code}\n${fence}`;
+                }
+                case 'HR':
+                    return '---';
+                default:
+                    return anchor + this.convertNodesToMarkdown(Array.from(element.childNodes), context);
+            }
+        }
 
-                // Collect all elements between current heading and the next (or end of document)
-                const packetElements = allElements.slice(startIndex + 1, endIndex);
+        /**
+         * Converts a list to Markdown, indenting nested lists and continuation paragraphs under their item.
+         * @param {HTMLElement} list - The ul or ol element.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown list.
+         */
+        convertMarkdownList(list, context) {
+            const ordered = list.tagName === 'OL';
+            let number = ordered ? parseInt(list.getAttribute('start'), 10) || 1 : 1;
 
-                // Filter out any empty text nodes or very short paragraphs that might be artifacts
-                const meaningfulElements = packetElements.filter(el => {
-                    // Check if element has actual content or is a line break (<br>) or non-empty paragraph
-                    // Consider content beyond just whitespace or &nbsp;
-                    return el.textContent.trim().length > 0 || (el.tagName === 'P' && el.innerHTML.trim() !== '&nbsp;' && el.innerHTML.trim() !== '');
+            return Array.from(list.children).map(item => {
+                if (item.tagName === 'UL' || item.tagName === 'OL') {
+                    return this.convertMarkdownList(item, context).replace(/^/gm, '    ');
+                }
+                const marker = ordered ? `${number++}.` : '-';
+                const anchor = item.id ? `<a id="${this.escapeHtml(item.id)}"></a>` : '';
+                // Nested lists follow their item's text directly so the list stays tight
+                const isList = node => node.nodeType === Node.ELEMENT_NODE && (node.tagName === 'UL' || node.tagName === 'OL');
+                const nestedLists = Array.from(item.childNodes).filter(isList).map(nested => this.convertMarkdownList(nested, context));
+                const content = this.convertNodesToMarkdown(Array.from(item.childNodes).filter(node => !isList(node)), context);
+                const body = [anchor + content, ...nestedLists].join('\n');
+                const indent = ' '.repeat(marker.length + 1);
+                const [firstLine, ...rest] = body.split('\n');
+                return `${marker} ${firstLine}${rest.map(line => (line ? `\n${indent}${line}` : '\n')).join('')}`;
+            }).join('\n');
+        }
+
+        /**
+         * Converts a table to a GitHub-flavored Markdown pipe table. The first row becomes the header row.
+         * Merged cells are repeated as empty cells; block content inside cells is joined with <br>.
+         * @param {HTMLTableElement} table - The table element.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown table.
+         */
+        convertMarkdownTable(table, context) {
+            const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+            if (rows.length === 0) {
+                return '';
+            }
+
+            const matrix = rows.map(row => {
+                const cells = [];
+                Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH').forEach(cell => {
+                    const text = this.convertNodesToMarkdown(Array.from(cell.childNodes), context)
+                        .replace(/\n+/g, '<br>')
+                        .replace(/\|/g, '\\|');
+                    cells.push(text);
+                    const span = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+                    for (let i = 1; i < span; i++) {
+                        cells.push('');
+                    }
                 });
+                return cells;
+            });
 
-                if (meaningfulElements.length === 0) {
-                    console.log(`    Skipping heading "${title}" as no meaningful content found before next heading/end.`);
-                    continue;
+            const columnCount = Math.max(...matrix.map(cells => cells.length));
+            const toRow = cells => `| ${Array.from({ length: columnCount }, (_, i) => cells[i] || '').join(' | ')} |`;
+            const separator = `| ${Array.from({ length: columnCount }, () => '---').join(' | ')} |`;
+            return [toRow(matrix[0]), separator, ...matrix.slice(1).map(toRow)].join('\n');
+        }
+
+        /**
+         * Converts an inline node to Markdown.
+         * @param {Node} node - The inline node.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown text.
+         */
+        convertMarkdownInline(node, context) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return this.escapeMarkdown(node.textContent.replace(/[ \t\r\n\f]+/g, ' '));
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+
+            const inner = () => Array.from(node.childNodes).map(child => this.convertMarkdownInline(child, context)).join('');
+            // Emphasis markers must hug the text, so move surrounding spaces outside them
+            const wrap = (marker) => {
+                const text = inner();
+                if (!text.trim()) {
+                    return text;
                 }
+                const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+                return `${leading}${marker}${core}${marker}${trailing}`;
+            };
 
-                // Preserve the structure and formatting as much as possible for htmlContent
-                const packetHtml = meaningfulElements.map(el => el.outerHTML).join('\n');
-                const packetContent = meaningfulElements.map(el => {
-                    // Convert <br> to newline, otherwise use textContent.
-                    // This is for plain text content for word count and duplication check.
-                    return el.tagName === 'BR' ? '\n' : el.textContent;
-                }).join('\n').trim();
+            switch (node.tagName) {
+                case 'BR':
+                    return '  \n';
+                case 'STRONG':
+                case 'B':
+                    return wrap('**');
+                case 'EM':
+                case 'I':
+                case 'CITE':
+                    return wrap('*');
+                case 'S':
+                case 'DEL':
+                case 'STRIKE':
+                    return wrap('~~');
+                case 'SUP':
+                    return `<sup>${inner()}</sup>`;
+                case 'SUB':
+                    return `<sub>${inner()}</sub>`;
+                case 'CODE':
+                case 'KBD':
+                case 'SAMP': {
+                    const code = node.textContent;
+                    const fence = code.includes('`') ? '``' : '`';
+                    return `${fence}${code}${fence}`;
+                }
+                case 'IMG':
+                    return this.convertMarkdownImage(node, context);
+                case 'A': {
+                    const href = node.getAttribute('href');
+                    const anchor = node.id ? `<a id="${this.escapeHtml(node.id)}"></a>` : '';
+                    if (!href) {
+                        return anchor + inner();
+                    }
+                    const target = href.startsWith('#') && context.slugsById.has(href.slice(1)) ? `#${context.slugsById.get(href.slice(1))}` : href;
+                    return `${anchor}[${inner()}](${target.replace(/[()\s]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})`;
+                }
+                default:
+                    return DOCX_BLOCK_TAGS.has(node.tagName) ? ` ${inner()} ` : inner();
+            }
+        }
+
+        /**
+         * Converts an image to Markdown, either keeping its data URI or registering it as a file.
+         * @param {HTMLImageElement} img - The image element.
+         * @param {Object} context - The Markdown conversion context.
+         * @returns {string} The Markdown image.
+         */
+        convertMarkdownImage(img, context) {
+            const src = img.getAttribute('src') || '';
+            const alt = this.escapeMarkdown(img.getAttribute('alt') || '');
+            if (!context.extractImages) {
+                return `![${alt}](${src})`;
+            }
+
+            if (!context.imagePaths.has(src)) {
+                const image = this.decodeDataUri(src);
+                const extension = image ? this.getImageExtension(image.mimeType, image.bytes) : null;
+                if (!image || !extension) {
+                    return `![${alt}](${src})`;
+                }
+                const path = `images/image-${String(context.images.length + 1).padStart(3, '0')}.${extension}`;
+                context.images.push({ path, bytes: image.bytes });
+                context.imagePaths.set(src, path);
+            }
+            return `![${alt}](${context.imagePaths.get(src)})`;
+        }
+
+        /**
+         * Escapes characters that Markdown would otherwise treat as formatting.
+         * @param {string} text - Plain text.
+         * @returns {string} The escaped text.
+         */
+        escapeMarkdown(text) {
+            return String(text)
+                .replace(/([\\`*_[\]<>~])/g, '\\$1')
+                .replace(/^(\s*)([#+-]|\d+\.)(?=\s)/, '$1\\$2');
+        }
+
+        /**
+         * Generates a GitHub-style heading anchor, numbering repeated headings ("intro", "intro-1", ...).
+         * @param {string} text - The heading text.
+         * @param {Map<string, number>} usedSlugs - Slugs assigned so far and how often they were used.
+         * @returns {string} The unique slug.
+         */
+        getHeadingSlug(text, usedSlugs) {
+            const base = String(text).trim().toLowerCase()
+                .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+                .replace(/\s/g, '-') || 'section';
+            const count = usedSlugs.get(base) || 0;
+            usedSlugs.set(base, count + 1);
+            return count === 0 ? base : `${base}-${count}`;
+        }
+
+        /**
+         * Builds a plain-text version of the ordered packets from their `content` and triggers a download.
+         */
+        downloadCombinedText() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('Plain text download attempted with no packets.');
+                return;
+            }
 
-                // Add the heading itself to the packet's htmlContent to retain its styling
-                const fullPacketHtml = currentHeading.outerHTML + '\n' + packetHtml;
+            const documentTitle = this.exportSettings.documentTitle;
+            const underline = (text, character) => `${text}\n${character.repeat(Math.min(Math.max(text.length, 3), 72))}`;
+            const sections = [underline(documentTitle.toUpperCase(), '=')];
 
-                if (packetContent.length >= MIN_POEM_LENGTH_HEADING) {
-                    packets.push(this.createPacketObject(title, packetContent, fullPacketHtml, filename));
-                } else {
-                    console.log(`    Skipping heading "${title}" due to insufficient content (${packetContent.length} chars).`);
-                }
+            if (this.exportSettings.includeTableOfContents) {
+                const renderEntries = (entries, depth) => entries.map((entry, index) =>
+                    `${'   '.repeat(depth)}${index + 1}. ${entry.title}` +
+                    (entry.children && entry.children.length > 0 ? `\n${renderEntries(entry.children, depth + 1)}` : '')
+                ).join('\n');
+                sections.push(`${underline('Table of Contents', '-')}\n${renderEntries(this.getTableOfContentsEntries(), 0)}`);
             }
-            console.log(`  Finished heading extraction. Found ${packets.length} packets.`);
-            return packets;
+
+            this.getExportGroups().forEach(group => {
+                if (group.section) {
+                    sections.push(underline(group.section.title.toUpperCase(), '='));
+                }
+                group.packets.forEach(packet => {
+                    const metadata = this.exportSettings.includePacketMetadata ? `\nSource: ${packet.filename} | Words: ${packet.wordCount}` : '';
+                    sections.push(`${underline(packet.title, '-')}${metadata}\n\n${packet.content.trim()}`);
+                });
+            });
+
+            const text = sections.join('\n\n\n') + '\n';
+            this.triggerDownload(new Blob([text], { type: 'text/plain;charset=utf-8' }), this.getExportFilename('txt'));
+            this.showNotification('Combined document downloaded as plain text!', 'success');
+            this.announceToScreenReader('process-status', 'Combined document downloaded as plain text.');
         }
 
         /**
-         * Extracts packets by identifying blocks of paragraphs separated by empty or very short paragraphs.
-         * This strategy is now very conservative.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The name of the original file.
-         * @param {NodeList<HTMLElement>} paragraphs - A NodeList of paragraph elements.
-         * @returns {Array<Object>} An array of packet objects.
+         * Offers a Blob to the user as a file download.
+         * @param {Blob} blob - The file contents.
+         * @param {string} filename - The suggested file name.
          */
-        extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs) {
-            const packets = [];
-            let currentPacketElements = [];
-            let currentTitle = '';
-            let packetIndex = 1;
-            console.log(`  Extracting by paragraph separation for "${filename}". Found ${paragraphs.length} paragraphs.`);
-            const MIN_POEM_LENGTH_PARA_SPLIT = 150; // Higher minimum for this ambiguous splitting method
+        triggerDownload(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            console.log(`Download triggered for "${filename}" (${blob.size} bytes).`);
+        }
 
-            for (let i = 0; i < paragraphs.length; i++) {
-                const p = paragraphs[i];
-                const text = p.textContent.trim();
-                const html = p.outerHTML;
+        /**
+         * Loads export settings from localStorage, falling back to the defaults.
+         * @returns {Object} The export settings.
+         */
+        loadExportSettings() {
+            try {
+                const stored = window.localStorage.getItem(EXPORT_SETTINGS_STORAGE_KEY);
+                return this.normalizeExportSettings(stored ? JSON.parse(stored) : {});
+            } catch (error) {
+                console.warn('Could not read saved export settings. Using defaults.', error);
+                return { ...DEFAULT_EXPORT_SETTINGS };
+            }
+        }
 
-                // A much stricter heuristic for a "significant break" that indicates a new packet.
-                // Require a truly empty paragraph or a paragraph with only non-breaking spaces,
-                // OR at least two consecutive empty-like paragraphs.
-                const isTrulyEmpty = text.length === 0 || p.innerHTML.trim() === '&nbsp;' || p.innerHTML.trim() === '<br>' || p.innerHTML.trim() === '<br />';
-                const isSignificantBreak = isTrulyEmpty && (
-                    (i + 1 < paragraphs.length && (paragraphs[i + 1].textContent.trim().length === 0 || paragraphs[i + 1].innerHTML.trim() === '&nbsp;')) ||
-                    (i + 2 < paragraphs.length && (paragraphs[i + 2].textContent.trim().length === 0 || paragraphs[i + 2].innerHTML.trim() === '&nbsp;'))
-                );
+        /**
+         * Persists the current export settings to localStorage.
+         */
+        saveExportSettings() {
+            try {
+                window.localStorage.setItem(EXPORT_SETTINGS_STORAGE_KEY, JSON.stringify(this.exportSettings));
+            } catch (error) {
+                console.warn('Could not save export settings:', error);
+            }
+        }
 
-                // Heuristic for what might be a title: short, possibly bold/centered, starts with a capital letter
-                // Be very conservative: must be short AND either bold, centered, or ALL CAPS
-                const mightBeTitle = text.length > 0 && text.length < 100 &&
-                    (p.querySelector('strong, b') || p.style.textAlign === 'center' || (text === text.toUpperCase() && text.length < 50 && text.split(/\s+/).length < 10)); // Max 10 words for an ALL CAPS title
+        /**
+         * Merges settings over the defaults, dropping unknown keys and values of the wrong type.
+         * @param {Object} settings - Settings from storage or a project file.
+         * @returns {Object} A complete, valid settings object.
+         */
+        normalizeExportSettings(settings) {
+            const normalized = { ...DEFAULT_EXPORT_SETTINGS };
+            if (settings && typeof settings === 'object') {
+                Object.keys(DEFAULT_EXPORT_SETTINGS).forEach(key => {
+                    const choices = EXPORT_SETTING_CHOICES[key];
+                    if (typeof settings[key] === typeof DEFAULT_EXPORT_SETTINGS[key] && (!choices || choices.includes(settings[key]))) {
+                        normalized[key] = settings[key];
+                    } else if (key in settings) {
+                        console.warn(`Ignoring export setting "${key}" with unexpected value:`, settings[key]);
+                    }
+                });
+            }
+            normalized.documentTitle = normalized.documentTitle.replace(/\s+/g, ' ').trim().slice(0, MAX_DOCUMENT_TITLE_LENGTH) ||
+                DEFAULT_EXPORT_SETTINGS.documentTitle;
+            // Keep file names portable: no path separators or reserved characters, and no extension (each format adds its own)
+            normalized.outputFilename = normalized.outputFilename
+                .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .replace(/(\.(html?|docx|epub|md|txt|zip))+$/i, '')
+                .replace(/^[\s.]+|[\s.]+$/g, '')
+                .slice(0, MAX_OUTPUT_FILENAME_LENGTH) || DEFAULT_EXPORT_SETTINGS.outputFilename;
+            normalized.customCss = normalized.customCss.slice(0, MAX_CUSTOM_CSS_LENGTH);
+            return normalized;
+        }
 
-                if (isSignificantBreak) {
-                    if (currentPacketElements.length > 0) {
-                        const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
-                        const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
-                        const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+        /**
+         * Removes what would make custom CSS load something from elsewhere: @import rules, url() values
+         * other than data: URIs and #fragments, and image-set() values naming such files. Comments, strings
+         * and CSS escapes (e.g. "\75rl(") are taken into account, so they cannot hide a reference.
+         * @param {string} css - The custom CSS.
+         * @returns {{css: string, removed: number}} The CSS without external references, and how many were removed.
+         */
+        stripExternalCssReferences(css) {
+            const token = /"(?:[^"\\\n]|\\[\s\S])*"|'(?:[^'\\\n]|\\[\s\S])*'|\/\*[\s\S]*?\*\/|(@?(?:[\w-]|\\[0-9a-f]{1,6}\s?|\\[^\n0-9a-f])+)(\()?/gi;
+            const decode = text => text.replace(/\\([0-9a-f]{1,6})\s?|\\([\s\S])/gi,
+                (match, hex, character) => (hex ? String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff) || 0xfffd) : character));
+            const isLocal = reference => /^(data:|#)/i.test(decode(reference.trim().replace(/^(["'])([\s\S]*)\1$/, '$2')).trim());
+            // Index just past the parenthesis closing the call that starts at start, skipping strings
+            const findCallEnd = start => {
+                let depth = 1;
+                let quote = null;
+                for (let index = start; index < css.length; index++) {
+                    const character = css[index];
+                    if (character === '\\') {
+                        index++;
+                    } else if (quote) {
+                        quote = character === quote ? null : quote;
+                    } else if (character === '"' || character === "'") {
+                        quote = character;
+                    } else if (character === '(') {
+                        depth++;
+                    } else if (character === ')' && --depth === 0) {
+                        return index + 1;
+                    }
+                }
+                return css.length;
+            };
 
-                        if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) { // Ensure substantial content
-                            packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
-                            packetIndex++;
-                            console.log(`    Packet #${packetIndex - 1} identified by significant paragraph break: "${title}"`);
-                        } else {
-                            console.log(`    Skipping short packet segment before break (length: ${packetContent.length}). Likely part of previous/next.`);
-                        }
-                        currentPacketElements = [];
-                        currentTitle = '';
+            let result = '';
+            let copied = 0;
+            let removed = 0;
+            let match;
+            while ((match = token.exec(css))) {
+                if (!match[1]) {
+                    continue; // A string or comment
+                }
+                const name = decode(match[1]).toLowerCase();
+                let end = -1;
+                let replacement = '';
+                if (name === '@import') {
+                    end = css.indexOf(';', token.lastIndex);
+                    end = end === -1 ? css.length : end + 1;
+                } else if (match[2] && name === 'url') {
+                    end = findCallEnd(token.lastIndex);
+                    replacement = 'none';
+                    if (isLocal(css.slice(token.lastIndex, end - 1))) {
+                        token.lastIndex = end;
+                        continue;
                     }
-                    // Skip the actual empty/break paragraphs from being added to any packet's content
-                } else if (mightBeTitle && currentPacketElements.length === 0) {
-                    // If it's a potential title and no current packet content, start a new one
-                    currentTitle = text;
-                    currentPacketElements.push(p);
-                    console.log(`    Potential title detected: "${text}"`);
-                } else {
-                    currentPacketElements.push(p);
+                } else if (match[2] && name.endsWith('image-set')) {
+                    end = findCallEnd(token.lastIndex);
+                    replacement = 'none';
+                    const references = Array.from(css.slice(token.lastIndex, end - 1)
+                        .matchAll(/"(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*'|url\(([^)]*)\)/gi), reference => reference[1] ?? reference[0]);
+                    if (references.every(isLocal)) {
+                        token.lastIndex = end;
+                        continue;
+                    }
+                }
+                if (end !== -1) {
+                    result += css.slice(copied, match.index) + replacement;
+                    copied = end;
+                    token.lastIndex = end;
+                    removed++;
                 }
             }
+            if (removed > 0) {
+                console.warn(`Removed ${removed} external reference(s) from custom CSS.`);
+            }
+            return { css: result + css.slice(copied), removed };
+        }
 
-            // Add any remaining packet elements after the loop finishes
-            if (currentPacketElements.length > 0) {
-                const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
-                const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
-                const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+        /**
+         * Updates a single export setting from the options panel.
+         * @param {string} key - The setting name.
+         * @param {*} value - The new value.
+         */
+        updateExportSetting(key, value) {
+            if (!(key in DEFAULT_EXPORT_SETTINGS)) {
+                console.warn('Unknown export setting:', key);
+                return;
+            }
+            // Select inputs report strings; numeric settings are stored as numbers
+            const typedValue = typeof DEFAULT_EXPORT_SETTINGS[key] === 'number' && typeof value === 'string' ? Number(value) : value;
+            this.exportSettings = this.normalizeExportSettings({ ...this.exportSettings, [key]: typedValue });
+            this.saveExportSettings();
+            this.renderExportPreview();
+            console.log(`Export setting "${key}" set to`, this.exportSettings[key]);
+        }
 
-                if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) {
-                    packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
-                    console.log(`    Last packet identified: "${title}"`);
-                } else {
-                    console.log(`    Skipping last packet segment due to insufficient content (length: ${packetContent.length}). Likely part of previous/next.`);
+        /**
+         * Reflects the current export settings in the options panel inputs.
+         */
+        renderExportSettings() {
+            document.querySelectorAll('[data-export-setting]').forEach(input => {
+                const value = this.exportSettings[input.dataset.exportSetting];
+                if (input.type === 'checkbox') {
+                    input.checked = Boolean(value);
+                } else if (value !== undefined) {
+                    input.value = value;
                 }
-            }
-            console.log(`  Finished paragraph separation. Found ${packets.length} packets.`);
-            return packets;
+            });
         }
 
         /**
-         * Extracts packets by identifying blocks of HTML content based on detected separator patterns.
-         * @param {Array<string>} htmlParts - Array of HTML strings separated by a pattern.
-         * @param {string} filename - The name of the original file.
-         * @returns {Array<Object>} An array of packet objects.
+         * Loads processing settings from localStorage, falling back to the defaults.
+         * @returns {Object} The processing settings.
          */
-        extractPacketsBySeparator(htmlParts, filename) {
-            const packets = [];
-            console.log(`  Extracting by custom separators for "${filename}". Found ${htmlParts.length} parts.`);
-            const MIN_POEM_LENGTH_SEPARATOR = 50; // Minimum characters for a packet section identified by separator
+        loadProcessingSettings() {
+            try {
+                const stored = window.localStorage.getItem(PROCESSING_SETTINGS_STORAGE_KEY);
+                return this.normalizeProcessingSettings(stored ? JSON.parse(stored) : {});
+            } catch (error) {
+                console.warn('Could not read saved processing settings. Using defaults.', error);
+                return this.normalizeProcessingSettings({});
+            }
+        }
 
-            htmlParts.forEach((part, index) => {
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = part.trim();
-                const content = tempDiv.textContent.trim();
+        /**
+         * Persists the current processing settings to localStorage.
+         */
+        saveProcessingSettings() {
+            try {
+                window.localStorage.setItem(PROCESSING_SETTINGS_STORAGE_KEY, JSON.stringify(this.processingSettings));
+            } catch (error) {
+                console.warn('Could not save processing settings:', error);
+            }
+        }
 
-                // If the part is just the separator itself or very short, skip it
-                if (content.length < MIN_POEM_LENGTH_SEPARATOR && !tempDiv.querySelector('p, h1, h2, h3, h4, h5, h6, pre')) {
-                    console.log(`    Skipping part ${index + 1} due to insufficient content after separator.`);
-                    return;
+        /**
+         * Merges settings over the defaults, dropping unknown keys, unknown strategies, invalid
+         * style mappings and thresholds that are not whole, non-negative numbers.
+         * @param {Object} settings - Settings from storage or the options panel.
+         * @returns {Object} A complete, valid settings object.
+         */
+        normalizeProcessingSettings(settings) {
+            const normalized = { ...DEFAULT_PROCESSING_SETTINGS, fileStrategies: {}, styleMappings: [], styleMapPresets: {} };
+            if (!settings || typeof settings !== 'object') {
+                return normalized;
+            }
+            Object.keys(DEFAULT_PROCESSING_SETTINGS).forEach(key => {
+                const value = settings[key];
+                const defaultValue = DEFAULT_PROCESSING_SETTINGS[key];
+                let valid = typeof value === typeof defaultValue;
+                if (key === 'splitStrategy') {
+                    valid = valid && value in SPLIT_STRATEGIES;
+                } else if (key === 'fileStrategies' || key === 'styleMapPresets') {
+                    valid = valid && value !== null && !Array.isArray(value);
+                } else if (key === 'styleMappings') {
+                    valid = Array.isArray(value);
+                } else if (key === 'duplicateSimilarity') {
+                    valid = valid && DUPLICATE_SIMILARITY_CHOICES.includes(value);
+                } else if (typeof defaultValue === 'number') {
+                    valid = valid && Number.isInteger(value) && value >= 0;
                 }
 
-                // Attempt to find a title within this part, prioritizing headings or bold/centered text
-                let title = '';
-                const headings = tempDiv.querySelectorAll('h1, h2, h3');
-                if (headings.length > 0) {
-                    title = headings[0].textContent.trim();
-                } else {
-                    const paragraphs = tempDiv.querySelectorAll('p');
-                    if (paragraphs.length > 0) {
-                        const firstParaText = paragraphs[0].textContent.trim();
-                        if (firstParaText.length > 0 && firstParaText.length < 150) {
-                            const isBold = paragraphs[0].querySelector('strong, b') !== null;
-                            const isCentered = paragraphs[0].style.textAlign === 'center';
-                            if (isBold || isCentered) {
-                                title = firstParaText;
-                            }
+                if (valid && key === 'fileStrategies') {
+                    Object.entries(value).forEach(([filename, strategy]) => {
+                        if (typeof strategy === 'string' && strategy in SPLIT_STRATEGIES) {
+                            normalized.fileStrategies[filename] = strategy;
                         }
-                    }
+                    });
+                } else if (valid && key === 'styleMappings') {
+                    normalized.styleMappings = this.normalizeStyleMappings(value);
+                } else if (valid && key === 'styleMapPresets') {
+                    normalized.styleMapPresets = {};
+                    Object.entries(value).forEach(([name, mappings]) => {
+                        if (name.trim() && Array.isArray(mappings)) {
+                            normalized.styleMapPresets[name] = this.normalizeStyleMappings(mappings)
+                                .filter(mapping => mapping.styleName);
+                        }
+                    });
+                } else if (valid) {
+                    normalized[key] = value;
+                } else if (key in settings) {
+                    console.warn(`Ignoring processing setting "${key}" with unexpected value:`, value);
                 }
+            });
+            return normalized;
+        }
 
-                if (!title) {
-                    // Fallback to first non-empty line as title if no clear title found
-                    const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-                    const firstLine = lines[0] || '';
-                    if (firstLine.length > 0 && firstLine.length < 100) {
-                        title = firstLine;
-                    } else {
-                        title = `Packet ${index + 1} from ${filename}`;
-                    }
-                }
+        /**
+         * Updates a single processing setting from the options panel.
+         * @param {string} key - The setting name.
+         * @param {string} value - The input's value.
+         */
+        updateProcessingSetting(key, value) {
+            if (!(key in DEFAULT_PROCESSING_SETTINGS) || typeof DEFAULT_PROCESSING_SETTINGS[key] === 'object') {
+                console.warn('Unknown processing setting:', key);
+                return;
+            }
+            // Number inputs report strings; an empty or invalid entry keeps the previous value
+            const isNumber = typeof DEFAULT_PROCESSING_SETTINGS[key] === 'number';
+            const typedValue = isNumber ? (String(value).trim() === '' ? NaN : Number(value)) : value;
+            if (typeof typedValue === 'number' && (!Number.isInteger(typedValue) || typedValue < 0)) {
+                this.showNotification('Minimum lengths must be whole numbers of characters (0 or more).', 'warning');
+            }
+            this.processingSettings = this.normalizeProcessingSettings({ ...this.processingSettings, [key]: typedValue });
+            this.saveProcessingSettings();
+            this.renderProcessingSettings();
+            if (key === 'splitStrategy') {
+                this.renderFileStrategyList(); // Per-file "Default" options name the default strategy
+            }
+            console.log(`Processing setting "${key}" set to`, this.processingSettings[key]);
+        }
 
-                if (content.length >= MIN_POEM_LENGTH_SEPARATOR) {
-                    packets.push(this.createPacketObject(title, content, part.trim(), filename));
-                    console.log(`    Packet #${index + 1} identified by separator: "${title}"`);
-                } else {
-                    console.log(`    Skipping segment after separator due to insufficient content (length: ${content.length}).`);
+        /**
+         * Reflects the current processing settings in the options panel inputs.
+         */
+        renderProcessingSettings() {
+            document.querySelectorAll('[data-processing-setting]').forEach(input => {
+                const value = this.processingSettings[input.dataset.processingSetting];
+                if (input.type === 'checkbox') {
+                    input.checked = Boolean(value);
+                } else if (value !== undefined) {
+                    input.value = value;
                 }
             });
-            console.log(`  Finished separator extraction. Found ${packets.length} packets.`);
-            return packets;
         }
 
+        /**
+         * Keeps the style mappings that name a known style type and a target for that type.
+         * Blank style names are kept so a newly added row survives until it is filled in.
+         * @param {Array<Object>} mappings - Mappings from storage, a preset or the editor.
+         * @returns {Array<Object>} Valid mappings as {type, styleName, target}.
+         */
+        normalizeStyleMappings(mappings) {
+            return mappings
+                .filter(mapping => mapping && typeof mapping === 'object' &&
+                    mapping.type in STYLE_MAP_TARGETS &&
+                    typeof mapping.styleName === 'string' &&
+                    typeof mapping.target === 'string' && mapping.target in STYLE_MAP_TARGETS[mapping.type])
+                .map(mapping => ({
+                    type: mapping.type,
+                    styleName: mapping.styleName.replace(/\s+/g, ' ').trim().slice(0, MAX_STYLE_NAME_LENGTH),
+                    target: mapping.target
+                }));
+        }
 
         /**
-         * Creates a single packet object from an entire document when multiple packets are not detected.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The original filename.
-         * @param {string} html - The full HTML content from Mammoth.js.
-         * @param {string} content - The full plain text content of the document.
-         * @returns {Object} A single packet object.
+         * Derives the class given to elements converted from a Word style, e.g. "Poem Title" => "style-poem-title".
+         * @param {string} styleName - The Word style name.
+         * @returns {string} A class name the sanitizer keeps.
          */
-        createSinglePacketFromDocument(tempDiv, filename, html, content) {
-            console.log(`Creating single packet object for "${filename}".`);
-            const title = this.extractTitle(tempDiv, filename);
-            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+        getStyleMapClass(styleName) {
+            const slug = styleName.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            return `style-${slug || 'custom'}`;
+        }
 
-            return {
-                id: Date.now() + Math.random(),
-                title: title,
-                content: content,
-                htmlContent: html, // The full HTML of the document as a single packet
-                filename: filename,
-                wordCount: wordCount,
-                dateAdded: new Date().toISOString()
-            };
+        /**
+         * Builds the Mammoth style map for the current style mappings. Mapped headings become real
+         * <h1>–<h3> elements, so the heading split strategies treat them like Word's own headings.
+         * @returns {Array<string>} Style map lines, e.g. "p[style-name='Poem Title'] => h1:fresh".
+         */
+        getMammothStyleMap() {
+            return this.processingSettings.styleMappings
+                .filter(mapping => mapping.styleName)
+                .map(mapping => {
+                    const selector = mapping.type === 'paragraph' ? 'p' : 'r';
+                    const name = mapping.styleName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+                    const output = STYLE_MAP_TARGETS[mapping.type][mapping.target].output
+                        .replace('{class}', this.getStyleMapClass(mapping.styleName));
+                    return `${selector}[style-name='${name}'] => ${output}`;
+                });
         }
 
         /**
-         * Creates a packet object with all necessary properties.
-         * @param {string} title - The title of the packet.
-         * @param {string} content - The plain text content of the packet.
-         * @param {string} htmlContent - The HTML content of the packet.
-         * @param {string} filename - The original filename from which the packet was extracted.
-         * @returns {Object} The packet object.
+         * Replaces the style mappings, saves them for the next upload and redraws the editor.
+         * @param {Array<Object>} mappings - The new mappings.
+         * @param {boolean} [render=true] - Whether to redraw the rows; edits that change no other
+         *     field skip it so focus stays where the user tabbed to.
          */
-        createPacketObject(title, content, htmlContent, filename) {
-            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-            return {
-                id: Date.now() + Math.random(),
-                title: title,
-                content: content,
-                htmlContent: htmlContent,
-                filename: filename,
-                wordCount: wordCount,
-                dateAdded: new Date().toISOString()
-            };
+        setStyleMappings(mappings, render = true) {
+            this.processingSettings = this.normalizeProcessingSettings({ ...this.processingSettings, styleMappings: mappings });
+            this.saveProcessingSettings();
+            if (render) {
+                this.renderStyleMappings();
+            }
+            console.log('Style mappings set to', this.processingSettings.styleMappings);
+        }
+
+        /**
+         * Adds an empty paragraph style mapping row and focuses its style name.
+         */
+        addStyleMapping() {
+            this.setStyleMappings([...this.processingSettings.styleMappings, { type: 'paragraph', styleName: '', target: 'h1' }]);
+            const rows = document.querySelectorAll('#styleMapList [data-style-map-index]');
+            rows[rows.length - 1]?.querySelector('[data-style-map-field="styleName"]')?.focus();
+        }
+
+        /**
+         * Changes one field of a style mapping from the editor. Switching between paragraph and character
+         * styles resets the target when the old one does not apply to the new type.
+         * @param {number} index - The mapping's position.
+         * @param {string} field - "type", "styleName" or "target".
+         * @param {string} value - The input's value.
+         */
+        updateStyleMapping(index, field, value) {
+            const mappings = this.processingSettings.styleMappings.map(mapping => ({ ...mapping }));
+            const mapping = mappings[index];
+            if (!mapping || !['type', 'styleName', 'target'].includes(field)) {
+                console.warn('Unknown style mapping field:', index, field);
+                return;
+            }
+            mapping[field] = value;
+            if (field === 'type' && !(mapping.target in (STYLE_MAP_TARGETS[value] || {}))) {
+                mapping.target = Object.keys(STYLE_MAP_TARGETS[value] || {})[0];
+            }
+            if (field === 'styleName' && value.trim()) {
+                const duplicate = mappings.some((other, otherIndex) => otherIndex !== index && other.type === mapping.type &&
+                    other.styleName.toLowerCase() === value.replace(/\s+/g, ' ').trim().toLowerCase());
+                if (duplicate) {
+                    this.showNotification(`"${value.trim()}" is already mapped; the first mapping for a style is the one used.`, 'warning');
+                }
+            }
+            // Only a type change alters another field (the target choices)
+            this.setStyleMappings(mappings, field === 'type');
+            if (field === 'type') {
+                document.querySelector(`#styleMapList [data-style-map-index="${index}"] [data-style-map-field="type"]`)?.focus();
+            }
+        }
+
+        /**
+         * Removes a style mapping and moves focus to a neighbouring row, or to the add button.
+         * @param {number} index - The mapping's position.
+         */
+        removeStyleMapping(index) {
+            const mappings = this.processingSettings.styleMappings.filter((mapping, i) => i !== index);
+            this.setStyleMappings(mappings);
+            const rows = document.querySelectorAll('#styleMapList [data-style-map-index]');
+            const next = rows[Math.min(index, rows.length - 1)];
+            (next?.querySelector('[data-style-map-field="styleName"]') || document.getElementById('addStyleMappingBtn'))?.focus();
+            this.announceToScreenReader('process-status', 'Style mapping removed.');
         }
 
         /**
-         * Extracts a title from the document HTML, using various heuristics.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document's HTML.
-         * @param {string} filename - The original filename.
-         * @returns {string} The extracted or generated title.
+         * Returns the built-in presets followed by the user's saved presets.
+         * @returns {Array<{name: string, mappings: Array<Object>, builtIn: boolean}>} The presets.
          */
-        extractTitle(tempDiv, filename) {
-            let title = '';
-            console.log(`Attempting to extract title for "${filename}".`);
+        getStyleMapPresets() {
+            const builtIn = Object.entries(BUILT_IN_STYLE_MAP_PRESETS).map(([name, mappings]) => ({ name, mappings, builtIn: true }));
+            const saved = Object.entries(this.processingSettings.styleMapPresets).map(([name, mappings]) => ({ name, mappings, builtIn: false }));
+            return builtIn.concat(saved);
+        }
 
-            // Prioritize actual heading tags
-            const headings = tempDiv.querySelectorAll('h1, h2, h3');
-            for (let i = 0; i < headings.length; i++) {
-                const hText = headings[i].textContent.trim();
-                // Ensure heading is meaningful (not too short/long, not just numbers etc)
-                if (hText.length > 0 && hText.length < 150 && hText.split(/\s+/).length < 25 && /[a-zA-Z]/.test(hText)) {
-                    title = hText;
-                    console.log(`  Title found from heading: "${title}"`);
-                    break;
-                }
+        /**
+         * Replaces the current style mappings with the preset chosen in the editor.
+         */
+        loadStyleMapPreset() {
+            const preset = this.getStyleMapPresets()[Number(document.getElementById('styleMapPreset')?.value)];
+            if (!preset) {
+                this.showNotification('Choose a preset to load.', 'warning');
+                return;
             }
+            this.setStyleMappings(preset.mappings);
+            this.showNotification(`Loaded the "${preset.name}" style mappings. They apply to the next Word documents you process.`, 'success');
+        }
 
-            // If no heading, check first few paragraphs for bold/centered text
-            if (!title) {
-                const paragraphs = tempDiv.querySelectorAll('p');
-                for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
-                    const p = paragraphs[i];
-                    const pText = p.textContent.trim();
-                    if (pText.length > 0 && pText.length < 150) {
-                        const isBold = p.querySelector('strong, b') !== null;
-                        const isCentered = p.style.textAlign === 'center';
-                        const isAllCaps = pText === pText.toUpperCase() && pText.length < 50 && pText.split(/\s+/).length < 10;
-
-                        if (isBold || isCentered || isAllCaps) {
-                            title = pText;
-                            console.log(`  Title found from bold/centered/all caps paragraph: "${title}"`);
-                            break;
-                        }
-                    }
-                }
+        /**
+         * Saves the current style mappings as a named preset, asking before replacing a saved one.
+         */
+        saveStyleMapPreset() {
+            const mappings = this.processingSettings.styleMappings.filter(mapping => mapping.styleName);
+            if (mappings.length === 0) {
+                this.showNotification('Add at least one style mapping before saving a preset.', 'warning');
+                return;
             }
-
-            // As a last resort, use the first non-empty line of content or filename
-            if (!title) {
-                const paragraphs = tempDiv.querySelectorAll('p');
-                if (paragraphs.length > 0) {
-                    const firstMeaningfulParagraph = Array.from(paragraphs).find(p => p.textContent.trim().length > 0);
-                    if (firstMeaningfulParagraph) {
-                        const firstParagraphText = firstMeaningfulParagraph.textContent.trim();
-                        if (firstParagraphText.length > 0) {
-                            const firstLine = firstParagraphText.split('\n')[0].trim();
-                            if (firstLine.length > 0 && firstLine.length < 150 && firstLine.split(/\s+/).length < 25) {
-                                title = firstLine;
-                                console.log(`  Title found from first line of first meaningful paragraph: "${title}"`);
-                            }
-                        }
-                    }
-                }
+            const input = prompt('Preset name:');
+            if (input === null) {
+                return;
             }
-
-            if (!title) {
-                title = filename.replace(/\.docx$/i, '').replace(/[_-]/g, ' ').trim();
-                console.log(`  Title falling back to cleaned filename: "${title}"`);
+            const name = input.replace(/\s+/g, ' ').trim();
+            if (!name) {
+                this.showNotification('Preset names cannot be empty.', 'warning');
+                return;
             }
-
-            // Capitalize first letter of fallback titles for better display
-            if (title.startsWith('packet ') && title.toLowerCase().includes('from')) {
-                 // Leave "Packet X from file" as is
-            } else if (title.length > 0) {
-                title = title.charAt(0).toUpperCase() + title.slice(1);
+            if (name in BUILT_IN_STYLE_MAP_PRESETS) {
+                this.showNotification(`"${name}" is a built-in preset. Please choose another name.`, 'warning');
+                return;
+            }
+            if (name in this.processingSettings.styleMapPresets && !confirm(`Replace the saved preset "${name}"?`)) {
+                return;
             }
 
-            return title;
+            const styleMapPresets = { ...this.processingSettings.styleMapPresets, [name]: mappings };
+            this.processingSettings = this.normalizeProcessingSettings({ ...this.processingSettings, styleMapPresets });
+            this.saveProcessingSettings();
+            this.renderStyleMappings();
+            const select = document.getElementById('styleMapPreset');
+            if (select) {
+                select.value = String(this.getStyleMapPresets().findIndex(preset => !preset.builtIn && preset.name === name));
+            }
+            this.updateStyleMapPresetButtons();
+            this.showNotification(`Saved style mapping preset "${name}".`, 'success');
+            console.log(`Style mapping preset "${name}" saved.`);
         }
 
         /**
-         * Updates the display of loaded packets in the UI.
-         * Enables/disables the download button based on packet count.
-         * Re-initializes drag-and-drop for packet reordering.
+         * Deletes the saved preset chosen in the editor. Built-in presets cannot be deleted.
          */
-        updateDisplay() {
-            console.log('Updating display for packets. Total packets:', this.packets.length);
-            const packetsList = document.getElementById('packetsList');
-            const downloadBtn = document.getElementById('downloadBtn');
-            const clearBtn = document.getElementById('clearBtn');
-            const placeholder = document.getElementById('packetsPlaceholder');
-            const packetCountSpan = document.getElementById('packetCount');
-
-            if (!packetsList || !downloadBtn || !clearBtn || !placeholder || !packetCountSpan) {
-                console.error('Required DOM elements for display update not found. Ensure all IDs are correct in HTML.');
+        deleteStyleMapPreset() {
+            const preset = this.getStyleMapPresets()[Number(document.getElementById('styleMapPreset')?.value)];
+            if (!preset || preset.builtIn || !confirm(`Delete the style mapping preset "${preset.name}"?`)) {
                 return;
             }
+            const styleMapPresets = { ...this.processingSettings.styleMapPresets };
+            delete styleMapPresets[preset.name];
+            this.processingSettings = this.normalizeProcessingSettings({ ...this.processingSettings, styleMapPresets });
+            this.saveProcessingSettings();
+            this.renderStyleMappings();
+            this.showNotification(`Deleted style mapping preset "${preset.name}".`, 'info');
+            console.log(`Style mapping preset "${preset.name}" deleted.`);
+        }
 
-            packetsList.innerHTML = ''; // Clear existing list
-            packetCountSpan.textContent = this.packets.length.toString();
+        /**
+         * Enables the preset delete button only when a saved (not built-in) preset is chosen.
+         */
+        updateStyleMapPresetButtons() {
+            const preset = this.getStyleMapPresets()[Number(document.getElementById('styleMapPreset')?.value)];
+            const deleteBtn = document.getElementById('deleteStyleMapPresetBtn');
+            if (deleteBtn) {
+                deleteBtn.disabled = !preset || preset.builtIn;
+            }
+        }
 
-            if (this.packets.length === 0) {
-                placeholder.style.display = 'block';
-                packetsList.style.display = 'none';
-                downloadBtn.disabled = true;
-                clearBtn.disabled = true;
-                this.announceToScreenReader('packet-list-status', 'No packets loaded.');
-                console.log('No packets to display. Placeholder shown, buttons disabled.');
+        /**
+         * Draws the style mapping rows and the preset list in the processing options panel.
+         */
+        renderStyleMappings() {
+            const list = document.getElementById('styleMapList');
+            const presetSelect = document.getElementById('styleMapPreset');
+            if (!list || !presetSelect) {
                 return;
             }
 
-            placeholder.style.display = 'none';
-            packetsList.style.display = 'block';
-            downloadBtn.disabled = false;
-            clearBtn.disabled = false;
-
-            // Re-render packets based on the current order in this.packets array
-            this.packets.forEach((packet, index) => {
-                const li = document.createElement('li');
-                li.className = 'packet-item bg-white p-4 shadow-sm rounded-lg flex items-center justify-between transition-all duration-200 ease-in-out';
-                li.draggable = true;
-                li.dataset.id = packet.id;
-                li.dataset.index = index; // Important for reordering
-
-                li.innerHTML = `
-                    <div class="flex-1 min-w-0">
-                        <h3 class="text-lg font-semibold text-gray-800 truncate">${this.escapeHtml(packet.title)}</h3>
-                        <p class="text-sm text-gray-500 truncate">${this.escapeHtml(packet.filename)} - ${packet.wordCount} words</p>
-                    </div>
-                    <div class="flex items-center space-x-2 ml-4">
-                        <button type="button" class="move-up-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} up" data-id="${packet.id}" ${index === 0 ? 'disabled' : ''}>
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M5 10l7-7m0 0l7 7m-7-7v18" />
-                            </svg>
-                        </button>
-                        <button type="button" class="move-down-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} down" data-id="${packet.id}" ${index === this.packets.length - 1 ? 'disabled' : ''}>
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                            </svg>
-                        </button>
-                        <button type="button" class="view-packet-btn p-2 rounded-full text-blue-600 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50" aria-label="View packet ${this.escapeHtml(packet.title)}" data-id="${packet.id}">
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
-                                <path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" />
-                            </svg>
-                        </button>
-                        <button type="button" class="remove-packet-btn p-2 rounded-full text-red-600 hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50" aria-label="Remove packet ${this.escapeHtml(packet.title)}" data-id="${packet.id}">
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clip-rule="evenodd" />
-                            </svg>
-                        </button>
-                    </div>
-                `;
-                packetsList.appendChild(li);
+            const mappings = this.processingSettings.styleMappings;
+            const options = (choices, selected) => Object.entries(choices).map(([value, choice]) =>
+                `<option value="${value}"${value === selected ? ' selected' : ''}>${this.escapeHtml(typeof choice === 'string' ? choice : choice.label)}</option>`
+            ).join('');
+            list.innerHTML = mappings.map((mapping, index) => `
+                <li class="flex flex-col sm:flex-row sm:items-center gap-2" data-style-map-index="${index}">
+                    <select data-style-map-field="type" aria-label="Kind of Word style for mapping ${index + 1}" class="border border-gray-300 rounded px-2 py-1 bg-white">${options(STYLE_MAP_TYPES, mapping.type)}</select>
+                    <input type="text" data-style-map-field="styleName" maxlength="${MAX_STYLE_NAME_LENGTH}" placeholder="Word style name, e.g. Poem Title" aria-label="Word style name for mapping ${index + 1}" class="flex-1 border border-gray-300 rounded px-2 py-1">
+                    <span class="text-gray-500" aria-hidden="true">→</span>
+                    <select data-style-map-field="target" aria-label="Convert mapping ${index + 1} to" class="border border-gray-300 rounded px-2 py-1 bg-white">${options(STYLE_MAP_TARGETS[mapping.type], mapping.target)}</select>
+                    <button type="button" data-style-map-remove="${index}" class="text-red-600 hover:text-red-800 px-2 py-1" aria-label="Remove mapping ${index + 1}">Remove</button>
+                </li>
+            `).join('');
+            // Style names are set as properties so quotes in them cannot break the markup
+            list.querySelectorAll('[data-style-map-field="styleName"]').forEach((input, index) => {
+                input.value = mappings[index].styleName;
             });
-
-            this.addPacketListEventListeners();
-            this.announceToScreenReader('packet-list-status', `${this.packets.length} packets loaded. Use drag and drop or arrows to reorder.`);
-            console.log('Packet list rendered and event listeners added.');
+            document.getElementById('styleMapEmpty')?.classList.toggle('hidden', mappings.length > 0);
+
+            const previous = presetSelect.value;
+            const presets = this.getStyleMapPresets();
+            presetSelect.innerHTML = presets.map((preset, index) =>
+                `<option value="${index}">${this.escapeHtml(preset.name)}${preset.builtIn ? ' (built-in)' : ''}</option>`
+            ).join('');
+            if (previous && Number(previous) < presets.length) {
+                presetSelect.value = previous;
+            }
+            this.updateStyleMapPresetButtons();
         }
 
         /**
-         * Adds event listeners for viewing, removing, and reordering packets.
+         * Saves the packets and export settings as a versioned project file.
          */
-        addPacketListEventListeners() {
-            const packetsList = document.getElementById('packetsList');
-            if (!packetsList) {
-                console.error('Packet list element not found for event listeners.');
+        saveProject() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to save!', 'warning');
+                console.warn('Save project attempted with no packets.');
                 return;
             }
 
-            // Delegated event listeners for buttons for better performance and dynamic content
-            packetsList.removeEventListener('click', this._packetListClickHandler); // Remove old handler if exists
-            this._packetListClickHandler = (e) => { // Store handler for removal
-                const button = e.target.closest('button');
-                if (!button) return;
-
-                const id = button.dataset.id;
-                if (button.classList.contains('view-packet-btn')) {
-                    this.viewPacket(id);
-                } else if (button.classList.contains('remove-packet-btn')) {
-                    this.removePacket(id);
-                } else if (button.classList.contains('move-up-btn')) {
-                    this.movePacketUp(id);
-                } else if (button.classList.contains('move-down-btn')) {
-                    this.movePacketDown(id);
-                }
+            const project = {
+                format: PROJECT_FILE_FORMAT,
+                version: PROJECT_FILE_VERSION,
+                savedAt: new Date().toISOString(),
+                ...this.getWorkspaceSnapshot(),
+                exportSettings: { ...this.exportSettings }
             };
-            packetsList.addEventListener('click', this._packetListClickHandler);
-
 
-            // Drag and Drop for reordering
-            packetsList.removeEventListener('dragstart', this._dragStartHandler);
-            packetsList.removeEventListener('dragover', this._dragOverHandler);
-            packetsList.removeEventListener('drop', this._dropHandler);
-            packetsList.removeEventListener('dragend', this._dragEndHandler);
+            const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json;charset=utf-8' });
+            this.triggerDownload(blob, PROJECT_FILE_NAME);
+            this.showNotification(`Project saved with ${this.packets.length} packet${this.packets.length > 1 ? 's' : ''}.`, 'success');
+            this.announceToScreenReader('process-status', 'Project file saved.');
+        }
 
-            this._dragStartHandler = (e) => {
-                const target = e.target.closest('.packet-item');
-                if (target) {
-                    this.draggedIndex = parseInt(target.dataset.index, 10);
-                    e.dataTransfer.effectAllowed = 'move';
-                    e.dataTransfer.setData('text/plain', this.draggedIndex); // Set data for Firefox compatibility
-                    setTimeout(() => target.classList.add('dragging'), 0); // Add class after a tiny delay
-                    console.log('Drag started for index:', this.draggedIndex);
+        /**
+         * Opens a project file and replaces the current workspace with its contents.
+         * @param {File} file - The project file chosen by the user.
+         */
+        async openProject(file) {
+            console.log(`Opening project file "${file.name}".`);
+            try {
+                const text = await file.text();
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (parseError) {
+                    throw new Error('The file is not valid JSON. It may be corrupt or not a project file.');
                 }
-            };
-            packetsList.addEventListener('dragstart', this._dragStartHandler);
-
-            this._dragOverHandler = (e) => {
-                this.preventDefaults(e); // Allow drop
-                const target = e.target.closest('.packet-item');
-                if (target && target.dataset.index !== undefined && this.draggedIndex !== null) {
-                    const dragOverIndex = parseInt(target.dataset.index, 10);
-                    const draggedEl = packetsList.querySelector('.packet-item.dragging');
-
-                    if (draggedEl && this.draggedIndex !== dragOverIndex) {
-                        const currentParent = target.parentNode;
-                        if (currentParent && draggedEl.parentNode === currentParent) {
-                            const targetRect = target.getBoundingClientRect();
-                            const mouseY = e.clientY;
-                            const targetMidY = targetRect.top + targetRect.height / 2;
+                const project = this.validateProjectData(data);
 
-                            if (mouseY < targetMidY && draggedEl !== target.previousElementSibling) {
-                                currentParent.insertBefore(draggedEl, target);
-                            } else if (mouseY >= targetMidY && draggedEl !== target.nextElementSibling) {
-                                currentParent.insertBefore(draggedEl, target.nextSibling);
-                            }
-                        }
-                    }
+                if (this.packets.length > 0 && !window.confirm(`Opening "${file.name}" will replace the ${this.packets.length} packet(s) currently loaded. Continue?`)) {
+                    console.log('Open project cancelled by user.');
+                    return;
                 }
-            };
-            packetsList.addEventListener('dragover', this._dragOverHandler);
-
-            // No specific action needed for dragleave for this simple reorder logic
-
-            this._dropHandler = (e) => {
-                this.preventDefaults(e);
-                const draggedEl = packetsList.querySelector('.packet-item.dragging'); // Get the element still marked as dragging
 
-                if (draggedEl && this.draggedIndex !== null) {
-                    const newIndex = Array.from(packetsList.children).indexOf(draggedEl); // Get the new visual index
-
-                    if (this.draggedIndex !== newIndex && newIndex !== -1) {
-                        console.log(`Drop detected. Original Dragged Index: ${this.draggedIndex}, New Visual Index: ${newIndex}`);
+                // Counted before sanitizing, which removes them unless the allowRemoteImages setting is on
+                const remoteImageCount = project.packets.reduce((sum, packet) => sum + this.countRemoteImages(packet.htmlContent), 0);
+                this.packets = this.deserializePackets(project.packets);
+                this.sections = this.deserializeSections(project.sections);
+                this.exportSettings = this.normalizeExportSettings(project.exportSettings);
+                // Custom CSS from a file is someone else's: it must not make the download fetch anything
+                const projectCss = this.stripExternalCssReferences(this.exportSettings.customCss);
+                this.exportSettings.customCss = projectCss.css;
+                this.saveExportSettings();
+                this.renderExportSettings();
+
+                // Opening a project replaces whatever the saved session held
+                this.sessionRestorePending = false;
+                this.hideSessionRestoreBanner();
+                this.updateDisplay();
 
-                        const [draggedPacket] = this.packets.splice(this.draggedIndex, 1);
-                        this.packets.splice(newIndex, 0, draggedPacket);
+                const openedMessage = `Opened project with ${this.packets.length} packet${this.packets.length > 1 ? 's' : ''}.`;
+                const warnings = [];
+                if (projectCss.css.trim()) {
+                    const removedNote = projectCss.removed > 0
+                        ? ` ${projectCss.removed} external reference${projectCss.removed > 1 ? 's' : ''} (@import or url()) ${projectCss.removed > 1 ? 'were' : 'was'} removed from it.`
+                        : '';
+                    warnings.push(`It brings custom CSS for the HTML download; review it under Export options before downloading.${removedNote}`);
+                }
+                if (remoteImageCount > 0) {
+                    const images = `${remoteImageCount} image${remoteImageCount > 1 ? 's' : ''} linked from the web`;
+                    warnings.push(this.processingSettings.allowRemoteImages
+                        ? `It shows ${images}, which load from their sites whenever the packets are viewed or downloaded.`
+                        : `${images} ${remoteImageCount > 1 ? 'were' : 'was'} left out; turn on “Keep images linked from the web” under Processing options and open the project again to keep them.`);
+                }
+                if (warnings.length > 0) {
+                    this.showNotification(`${openedMessage} ${warnings.join(' ')}`, 'warning', 10000);
+                } else {
+                    this.showNotification(openedMessage, 'success');
+                }
+                this.announceToScreenReader('process-status', `Project opened with ${this.packets.length} packets.`);
+            } catch (error) {
+                console.error(`Failed to open project "${file.name}":`, error);
+                this.showNotification(`Could not open "${file.name}": ${error.message}`, 'error', 8000);
+                this.announceToScreenReader('process-status', 'Project file could not be opened.');
+            }
+        }
 
-                        this.showNotification(`Reordered packet "${draggedPacket.title}"`, 'info');
-                        this.announceToScreenReader('packet-list-status', `Packet ${draggedPacket.title} moved to position ${newIndex + 1}.`);
+        /**
+         * Counts the images in packet HTML that would load from the web (http, https or "//host" sources).
+         * @param {string} html - Packet HTML.
+         * @returns {number} The number of such images.
+         */
+        countRemoteImages(html) {
+            const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html');
+            return Array.from(doc.querySelectorAll('img[src]'))
+                .filter(img => /^(https?:)?[\\/]{2}/i.test(img.getAttribute('src').replace(/[\u0000-\u0020\u007F]/g, '')))
+                .length;
+        }
 
-                        this.draggedIndex = null; // Reset
-                        draggedEl.classList.remove('dragging'); // Remove dragging class
+        /**
+         * Checks parsed project data against the project file schema.
+         * Older format versions are migrated to the current one.
+         * @param {*} data - The parsed JSON.
+         * @returns {Object} The validated project data, in the current format version.
+         * @throws {Error} Describing the first problems found when the data is not a usable project.
+         */
+        validateProjectData(data) {
+            if (!data || typeof data !== 'object' || Array.isArray(data) || data.format !== PROJECT_FILE_FORMAT) {
+                throw new Error('This file is not a Packet Compiler project.');
+            }
+            if (!Number.isInteger(data.version) || data.version < 1) {
+                throw new Error('The project file has a missing or invalid version number.');
+            }
+            if (data.version > PROJECT_FILE_VERSION) {
+                throw new Error(`This project was saved by a newer version of the Packet Compiler (format version ${data.version}). Please use an up-to-date copy of the tool.`);
+            }
+            if (!Array.isArray(data.packets) || data.packets.length === 0) {
+                throw new Error('The project file does not contain any packets.');
+            }
+            if (data.version === 1) {
+                // Version 1 files predate sections; every packet starts outside any section
+                data = { ...data, version: PROJECT_FILE_VERSION, sections: [] };
+                console.log('Migrated version 1 project file to version', PROJECT_FILE_VERSION);
+            }
 
-                        // Re-render the list to reflect the new order and update data-index attributes correctly
-                        this.updateDisplay();
+            const problems = [];
+            // Ids end up in markup and selectors, so a file may only use the app's own kind: numbers, or plain word characters
+            const isUsableId = id => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && /^[\w-]+$/.test(id));
+            const sectionIds = new Set();
+            if (!Array.isArray(data.sections)) {
+                problems.push('the section list is missing');
+            } else {
+                data.sections.forEach((section, index) => {
+                    const label = `Section ${index + 1}`;
+                    if (!section || typeof section !== 'object') {
+                        problems.push(`${label} is not an object`);
+                        return;
+                    }
+                    if (!isUsableId(section.id)) {
+                        problems.push(`${label} has a missing or invalid id`);
+                    } else if (sectionIds.has(String(section.id))) {
+                        problems.push(`${label} repeats id ${section.id}`);
                     } else {
-                        console.log('Packet dropped on its original position or invalid drop. No reordering needed.');
-                        this.draggedIndex = null;
-                        if (draggedEl) draggedEl.classList.remove('dragging');
+                        sectionIds.add(String(section.id));
                     }
-                } else if (draggedEl) {
-                    // If dropped outside a valid target, just remove dragging class
-                    draggedEl.classList.remove('dragging');
-                    this.draggedIndex = null;
-                }
-            };
-            packetsList.addEventListener('drop', this._dropHandler);
+                    if (typeof section.title !== 'string' || section.title.trim().length === 0) {
+                        problems.push(`${label} has no title`);
+                    }
+                });
+            }
 
-            this._dragEndHandler = (e) => {
-                const draggedEl = packetsList.querySelector('.packet-item.dragging');
-                if (draggedEl) {
-                    draggedEl.classList.remove('dragging');
+            const seenIds = new Set();
+            data.packets.forEach((packet, index) => {
+                const label = `Packet ${index + 1}`;
+                if (!packet || typeof packet !== 'object') {
+                    problems.push(`${label} is not an object`);
+                    return;
                 }
-                this.draggedIndex = null; // Reset
-                console.log('Drag ended. draggedIndex reset.');
-            };
-            packetsList.addEventListener('dragend', this._dragEndHandler);
+                if (!isUsableId(packet.id)) {
+                    problems.push(`${label} has a missing or invalid id`);
+                } else if (seenIds.has(String(packet.id))) {
+                    problems.push(`${label} repeats id ${packet.id}`);
+                } else {
+                    seenIds.add(String(packet.id));
+                }
+                if (typeof packet.title !== 'string' || packet.title.trim().length === 0) {
+                    problems.push(`${label} has no title`);
+                }
+                ['content', 'htmlContent', 'filename'].forEach(field => {
+                    if (typeof packet[field] !== 'string') {
+                        problems.push(`${label} is missing "${field}"`);
+                    }
+                });
+                if (!Number.isInteger(packet.wordCount) || packet.wordCount < 0) {
+                    problems.push(`${label} has an invalid word count`);
+                }
+                if (typeof packet.dateAdded !== 'string' || Number.isNaN(Date.parse(packet.dateAdded))) {
+                    problems.push(`${label} has an invalid date`);
+                }
+                if (!Number.isInteger(packet.order) || packet.order < 0) {
+                    problems.push(`${label} has an invalid order`);
+                }
+                if (packet.sectionId !== null && packet.sectionId !== undefined && !sectionIds.has(String(packet.sectionId))) {
+                    problems.push(`${label} belongs to a section that does not exist`);
+                }
+            });
 
-            console.log('Drag and drop listeners (re)added to packet list.');
+            if (data.exportSettings !== undefined && (typeof data.exportSettings !== 'object' || data.exportSettings === null)) {
+                problems.push('export settings are not an object');
+            }
+
+            if (problems.length > 0) {
+                const shown = problems.slice(0, 3).join('; ');
+                const more = problems.length > 3 ? ` (and ${problems.length - 3} more problem${problems.length - 3 > 1 ? 's' : ''})` : '';
+                throw new Error(`The project file is damaged: ${shown}${more}.`);
+            }
+
+            return data;
         }
 
         /**
-         * Moves a packet up in the list (towards the beginning of the array).
-         * @param {string} id - The ID of the packet to move.
+         * Checks IndexedDB for a previously autosaved workspace and offers to restore it.
+         * Autosave is enabled once the user has chosen, or right away when nothing was saved.
          */
-        movePacketUp(id) {
-            const index = this.packets.findIndex(p => p.id == id);
-            if (index > 0) {
-                const [packet] = this.packets.splice(index, 1);
-                this.packets.splice(index - 1, 0, packet);
-                this.updateDisplay();
-                this.showNotification(`Moved "${packet.title}" up.`, 'info');
-                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved up to position ${index}.`);
-                // Re-focus the moved packet's up button for better accessibility
-                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
-            } else {
-                this.showNotification('Packet is already at the top.', 'info');
+        async initializeSessionPersistence() {
+            if (!window.indexedDB) {
+                console.warn('IndexedDB is not available. Session autosave disabled.');
+                this.sessionRestorePending = false;
+                this.setStorageStatus('Autosave is not available in this browser.');
+                return;
+            }
+
+            try {
+                const savedSession = await this.loadSavedSession();
+                if (savedSession && Array.isArray(savedSession.packets) && savedSession.packets.length > 0) {
+                    console.log(`Found saved session with ${savedSession.packets.length} packets from ${savedSession.savedAt}.`);
+                    this.showSessionRestoreBanner(savedSession);
+                    this.updateStorageIndicator();
+                    return;
+                }
+            } catch (error) {
+                console.error('Failed to read saved session:', error);
+                this.showNotification('Could not read the previously saved session.', 'warning');
             }
+
+            this.sessionRestorePending = false;
+            this.scheduleSessionSave();
+            this.updateStorageIndicator();
         }
 
         /**
-         * Moves a packet down in the list (towards the end of the array).
-         * @param {string} id - The ID of the packet to move.
+         * Opens (and creates on first use) the IndexedDB database holding the autosaved session.
+         * @returns {Promise<IDBDatabase>} A promise resolving to the open database.
          */
-        movePacketDown(id) {
-            const index = this.packets.findIndex(p => p.id == id);
-            if (index < this.packets.length - 1 && index !== -1) {
-                const [packet] = this.packets.splice(index, 1);
-                this.packets.splice(index + 1, 0, packet);
-                this.updateDisplay();
-                this.showNotification(`Moved "${packet.title}" down.`, 'info');
-                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved down to position ${index + 2}.`);
-                // Re-focus the moved packet's down button for better accessibility
-                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
-            } else {
-                this.showNotification('Packet is already at the bottom.', 'info');
+        openSessionDatabase() {
+            if (!this.sessionDbPromise) {
+                this.sessionDbPromise = new Promise((resolve, reject) => {
+                    const request = window.indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(SESSION_STORE_NAME)) {
+                            db.createObjectStore(SESSION_STORE_NAME);
+                            console.log('Created session object store.');
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }).catch(error => {
+                    this.sessionDbPromise = null; // Allow a later retry
+                    throw error;
+                });
             }
+            return this.sessionDbPromise;
         }
 
         /**
-         * Removes a packet from the list by its ID.
-         * @param {string} id - The ID of the packet to remove.
+         * Runs a single request against the session object store.
+         * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+         * @param {function(IDBObjectStore): IDBRequest} createRequest - Builds the request from the store.
+         * @returns {Promise<*>} A promise resolving to the request result once the transaction completes.
          */
-        removePacket(id) {
-            console.log('Attempting to remove packet with ID:', id);
-            const initialCount = this.packets.length;
-            const removedPacket = this.packets.find(packet => packet.id == id);
-            this.packets = this.packets.filter(packet => packet.id != id); // Use != for loose comparison with dataset.id (string)
-            if (this.packets.length < initialCount) {
-                this.showNotification(`Packet "${removedPacket ? removedPacket.title : 'Unknown'}" removed!`, 'success');
-                this.announceToScreenReader('packet-list-status', `Packet ${removedPacket ? removedPacket.title : 'Unknown'} removed.`);
-                this.updateDisplay();
-                console.log('Packet removed successfully. Remaining packets:', this.packets.length);
-            } else {
-                console.warn('Packet with ID not found:', id);
-            }
+        async runSessionRequest(mode, createRequest) {
+            const db = await this.openSessionDatabase();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(SESSION_STORE_NAME, mode);
+                const request = createRequest(transaction.objectStore(SESSION_STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error || request.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Session transaction aborted.'));
+            });
         }
 
         /**
-         * Displays a packet's content in a modal.
-         * @param {string} id - The ID of the packet to view.
+         * Loads the autosaved session record, if any.
+         * @returns {Promise<Object|undefined>} The saved session record.
          */
-        viewPacket(id) {
-            console.log('Viewing packet with ID:', id);
-            const packet = this.packets.find(p => p.id == id);
-            if (packet) {
-                const modal = document.getElementById('packetModal');
-                const modalTitle = document.getElementById('packetModalTitle');
-                const modalContent = document.getElementById('packetModalContent');
-                const closeModalBtn = document.getElementById('closeModal');
-
-                if (!modal || !modalTitle || !modalContent || !closeModalBtn) {
-                    console.error('Modal elements not found.');
-                    this.showNotification('Error: Modal display elements missing.', 'error');
-                    return;
-                }
-
-                modalTitle.textContent = packet.title;
-                // Use innerHTML to preserve formatting from Mammoth.js
-                modalContent.innerHTML = packet.htmlContent;
-                modal.classList.remove('hidden');
-                modal.setAttribute('aria-hidden', 'false');
-                modal.focus(); // Focus the modal for accessibility
-
-                const closeHandler = () => {
-                    modal.classList.add('hidden');
-                    modal.setAttribute('aria-hidden', 'true');
-                    // Return focus to the button that opened the modal if possible
-                    document.querySelector(`button[data-id="${id}"]`)?.focus();
-                    closeModalBtn.removeEventListener('click', closeHandler); // Clean up listener
-                    document.removeEventListener('keydown', handleEscape);
-                };
-
-                closeModalBtn.addEventListener('click', closeHandler);
-
-                // Close modal on escape key
-                const handleEscape = (e) => {
-                    if (e.key === 'Escape') {
-                        closeHandler();
-                    }
-                };
-                document.addEventListener('keydown', handleEscape);
+        loadSavedSession() {
+            return this.runSessionRequest('readonly', store => store.get(SESSION_RECORD_KEY));
+        }
 
-                console.log(`Modal opened for "${packet.title}".`);
-            } else {
-                this.showNotification('Packet not found.', 'error');
-                console.warn('Attempted to view non-existent packet ID:', id);
+        /**
+         * Debounces autosaving so bursts of display updates result in a single write.
+         */
+        scheduleSessionSave() {
+            if (this.sessionRestorePending || !window.indexedDB) {
+                return;
+            }
+            if (this.sessionSaveTimeout) {
+                clearTimeout(this.sessionSaveTimeout);
             }
+            this.sessionSaveTimeout = setTimeout(() => {
+                this.sessionSaveTimeout = null;
+                this.saveSession();
+            }, SESSION_SAVE_DELAY);
         }
 
         /**
-         * Combines all loaded packets into a single HTML document and triggers a download.
+         * Writes the current workspace to IndexedDB. An empty workspace removes the saved session.
          */
-        downloadCombinedDocument() {
+        async saveSession() {
             if (this.packets.length === 0) {
-                this.showNotification('No packets to download!', 'warning');
-                console.warn('Download attempted with no packets.');
+                await this.clearSavedSession();
                 return;
             }
 
-            console.log('Preparing combined HTML document for download.');
+            const record = {
+                savedAt: new Date().toISOString(),
+                ...this.getWorkspaceSnapshot()
+            };
 
-            // Generate Table of Contents
-            let tableOfContentsHtml = '';
-            if (this.packets.length > 0) {
-                tableOfContentsHtml = `
-        <nav class="table-of-contents">
-            <h2>Table of Contents</h2>
-            <ol>
-`;
-                this.packets.forEach(packet => {
-                    tableOfContentsHtml += `
-                <li><a href="#packet-${packet.id}">${this.escapeHtml(packet.title)}</a></li>
-`;
-                });
-                tableOfContentsHtml += `
-            </ol>
-        </nav>
-`;
+            try {
+                await this.runSessionRequest('readwrite', store => store.put(record, SESSION_RECORD_KEY));
+                console.log(`Session autosaved with ${record.packets.length} packets.`);
+                this.updateStorageIndicator(record.savedAt);
+            } catch (error) {
+                console.error('Failed to autosave session:', error);
+                const message = error && error.name === 'QuotaExceededError'
+                    ? 'Autosave failed: browser storage is full.'
+                    : 'Autosave failed. Your work is not being saved in this browser.';
+                this.showNotification(message, 'error', 8000);
+                this.setStorageStatus(message);
             }
+        }
 
-
-            let combinedHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Combined Packets</title>
-    <style>
-        body { font-family: sans-serif; line-height: 1.6; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #333; }
-        h1, h2, h3 { color: #2c3e50; margin-top: 1.5em; margin-bottom: 0.5em; }
-        h1 { font-size: 2.2em; text-align: center; border-bottom: 2px solid #eee; padding-bottom: 0.5em; }
-        h2 { font-size: 1.8em; }
-        h3 { font-size: 1.4em; }
-        .packet-section { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 1px dashed #eee; }
-        .packet-section:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
-        /* Mammoth.js often wraps content in paragraphs, so default to no top margin */
-        .packet-content p { margin-top: 0; margin-bottom: 0.5em; }
-        /* Ensure line breaks are visible if they are represented as <br> */
-        .packet-content br {
-            display: block;
-            content: "";
-            margin-top: 0.5em; /* Adds vertical space for line breaks */
+        /**
+         * Removes the autosaved session from IndexedDB.
+         */
+        async clearSavedSession() {
+            if (!window.indexedDB) {
+                return;
+            }
+            try {
+                await this.runSessionRequest('readwrite', store => store.delete(SESSION_RECORD_KEY));
+                console.log('Saved session cleared.');
+                this.updateStorageIndicator();
+            } catch (error) {
+                console.error('Failed to clear saved session:', error);
+            }
         }
-        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
-        .packet-content code { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
-        /* Basic alignment from Mammoth.js output */
-        p[align="center"] { text-align: center; }
-        p[align="right"] { text-align: right; }
-        /* Preserve white-space for pre-formatted packet lines */
-        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; }
-        .packet-content code { white-space: pre-wrap; word-wrap: break-word; }
-        /* Ensure other block elements like div maintain spacing */
-        .packet-content > div { margin-bottom: 0.5em; }
-        /* Basic image styling */
-        .packet-content img { max-width: 100%; height: auto; display: block; margin: 0.5em auto; }
 
-        /* Table of Contents Styling */
-        .table-of-contents {
-            margin: 2em 0;
-            padding: 1em;
-            border: 1px solid #eee;
-            background-color: #f9f9f9;
-            border-radius: 5px;
+        /**
+         * Returns the persistable state of the workspace.
+         * @returns {Object} A plain object safe to store or serialize.
+         */
+        getWorkspaceSnapshot() {
+            return {
+                packets: this.serializePackets(),
+                sections: this.sections.map(section => ({ id: section.id, title: section.title, collapsed: Boolean(section.collapsed) }))
+            };
         }
-        .table-of-contents h2 {
-            margin-top: 0;
-            font-size: 1.5em;
-            text-align: center;
-            border-bottom: 1px solid #ddd;
-            padding-bottom: 0.5em;
-            margin-bottom: 1em;
+
+        /**
+         * Converts the packet list to plain objects, recording each packet's position as `order`.
+         * @returns {Array<Object>} The serialized packets.
+         */
+        serializePackets() {
+            return this.packets.map((packet, index) => ({
+                id: packet.id,
+                title: packet.title,
+                content: packet.content,
+                htmlContent: packet.htmlContent,
+                filename: packet.filename,
+                wordCount: packet.wordCount,
+                dateAdded: packet.dateAdded,
+                sectionId: packet.sectionId ?? null,
+                order: index
+            }));
         }
-        .table-of-contents ol {
-            list-style: decimal;
-            padding-left: 2em;
+
+        /**
+         * Rebuilds packet objects from their serialized form, honoring the saved `order`.
+         * @param {Array<Object>} serializedPackets - Packets as produced by serializePackets().
+         * @returns {Array<Object>} Packet objects in their saved order, with htmlContent sanitized again
+         *     since project files can be edited outside the app.
+         */
+        deserializePackets(serializedPackets) {
+            return serializedPackets
+                .map((packet, index) => ({ packet, order: Number.isFinite(packet.order) ? packet.order : index }))
+                .sort((a, b) => a.order - b.order)
+                .map(({ packet }) => ({
+                    id: packet.id,
+                    title: packet.title,
+                    content: packet.content,
+                    htmlContent: this.sanitizeHtml(packet.htmlContent).html,
+                    filename: packet.filename,
+                    wordCount: packet.wordCount,
+                    dateAdded: packet.dateAdded,
+                    sectionId: packet.sectionId ?? null
+                }));
         }
-        .table-of-contents li {
-            margin-bottom: 0.5em;
+
+        /**
+         * Rebuilds sections from their serialized form. Records saved before sections existed have none.
+         * @param {Array<Object>} [serializedSections] - Sections as produced by getWorkspaceSnapshot().
+         * @returns {Array<Object>} Section objects.
+         */
+        deserializeSections(serializedSections) {
+            if (!Array.isArray(serializedSections)) {
+                return [];
+            }
+            return serializedSections.map(section => ({
+                id: section.id,
+                title: section.title,
+                collapsed: Boolean(section.collapsed)
+            }));
         }
-        .table-of-contents a {
-            color: #3b82f6;
-            text-decoration: none;
+
+        /**
+         * Shows the banner asking whether to restore the saved session or start fresh.
+         * @param {Object} savedSession - The saved session record.
+         */
+        showSessionRestoreBanner(savedSession) {
+            const banner = document.getElementById('sessionRestoreBanner');
+            const message = document.getElementById('sessionRestoreMessage');
+            if (!banner || !message) {
+                console.error('Session restore banner elements not found.');
+                return;
+            }
+
+            const count = savedSession.packets.length;
+            const savedAt = savedSession.savedAt ? new Date(savedSession.savedAt).toLocaleString() : 'an earlier visit';
+            message.textContent = `A previous session with ${count} packet${count > 1 ? 's' : ''} was saved on ${savedAt}.`;
+            banner.classList.remove('hidden');
+            this.announceToScreenReader('process-status', `Previous session with ${count} packets found. Restore it or start fresh.`);
         }
-        .table-of-contents a:hover {
-            text-decoration: underline;
+
+        /**
+         * Hides the session restore banner.
+         */
+        hideSessionRestoreBanner() {
+            document.getElementById('sessionRestoreBanner')?.classList.add('hidden');
         }
-    </style>
-</head>
-<body>
-    <h1>Combined Packets</h1>
-    ${tableOfContentsHtml}
-    <div class="packets-container">
-`;
 
-            this.packets.forEach((packet, index) => {
-                let cleanedHtmlContent = packet.htmlContent;
-                const tempContentDiv = document.createElement('div');
-                tempContentDiv.innerHTML = packet.htmlContent;
+        /**
+         * Restores the saved session. Packets added before the choice was made are kept after the restored ones.
+         */
+        async restoreSavedSession() {
+            try {
+                const savedSession = await this.loadSavedSession();
+                if (!savedSession || !Array.isArray(savedSession.packets)) {
+                    throw new Error('Saved session is no longer available.');
+                }
+
+                const restoredPackets = this.deserializePackets(savedSession.packets);
+                const restoredIds = new Set(restoredPackets.map(packet => String(packet.id)));
+                const addedSinceLoad = this.packets.filter(packet => !restoredIds.has(String(packet.id)));
+                this.packets = restoredPackets.concat(addedSinceLoad);
+                const restoredSections = this.deserializeSections(savedSession.sections);
+                const restoredSectionIds = new Set(restoredSections.map(section => String(section.id)));
+                this.sections = restoredSections.concat(this.sections.filter(section => !restoredSectionIds.has(String(section.id))));
+
+                this.sessionRestorePending = false;
+                this.hideSessionRestoreBanner();
+                this.updateDisplay();
+                this.showNotification(`Restored ${restoredPackets.length} packet${restoredPackets.length > 1 ? 's' : ''} from your previous session.`, 'success');
+                this.announceToScreenReader('process-status', `Previous session restored with ${restoredPackets.length} packets.`);
+                console.log(`Session restored with ${restoredPackets.length} packets.`);
+            } catch (error) {
+                console.error('Failed to restore saved session:', error);
+                this.showNotification('Could not restore the previous session: ' + error.message, 'error');
+            }
+        }
 
-                // Check if the packet's title (or a very similar version) is the first heading in its htmlContent
-                const firstHeading = tempContentDiv.querySelector('h1, h2, h3');
-                if (firstHeading) {
-                    const normalizedTitle = packet.title.toLowerCase().replace(/[^a-z0-9]/g, '');
-                    const normalizedHeadingText = firstHeading.textContent.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+        /**
+         * Discards the saved session and starts autosaving the current (fresh) workspace.
+         */
+        async discardSavedSession() {
+            this.sessionRestorePending = false;
+            this.hideSessionRestoreBanner();
+            await this.clearSavedSession();
+            this.scheduleSessionSave();
+            this.showNotification('Previous session discarded. Starting fresh.', 'info');
+            this.announceToScreenReader('process-status', 'Previous session discarded.');
+        }
 
-                    // Use a more robust check for similarity
-                    // Check if the heading text is a significant portion of the packet title or vice-versa
-                    const isSimilar = normalizedTitle.includes(normalizedHeadingText) || normalizedHeadingText.includes(normalizedTitle);
-                    const isExactMatch = normalizedTitle === normalizedHeadingText;
+        /**
+         * Updates the storage usage indicator below the packet list.
+         * @param {string} [savedAt] - ISO timestamp of the latest autosave, if one just happened.
+         */
+        async updateStorageIndicator(savedAt) {
+            const parts = [];
+            if (savedAt) {
+                parts.push(`Autosaved at ${new Date(savedAt).toLocaleTimeString()}`);
+            } else if (this.sessionRestorePending) {
+                parts.push('Autosave paused until you restore or discard the previous session');
+            } else {
+                parts.push(this.packets.length > 0 ? 'Autosave on' : 'Autosave on (nothing saved yet)');
+            }
 
-                    if (isExactMatch || (isSimilar && firstHeading.textContent.trim().length > 0)) {
-                        console.log(`Removing duplicate heading "${firstHeading.textContent.trim()}" from packet "${packet.title}" for export.`);
-                        firstHeading.remove();
-                        cleanedHtmlContent = tempContentDiv.innerHTML;
+            if (navigator.storage && navigator.storage.estimate) {
+                try {
+                    const { usage, quota } = await navigator.storage.estimate();
+                    if (Number.isFinite(usage) && Number.isFinite(quota) && quota > 0) {
+                        parts.push(`${this.formatBytes(usage)} of ${this.formatBytes(quota)} browser storage used`);
                     }
+                } catch (error) {
+                    console.warn('Storage estimate unavailable:', error);
                 }
+            }
 
-                combinedHtml += `
-        <div class="packet-section" id="packet-${packet.id}">
-            <h2>${this.escapeHtml(packet.title)}</h2>
-            <p class="packet-metadata"><em>Source: ${this.escapeHtml(packet.filename)} | Words: ${packet.wordCount}</em></p>
-            <div class="packet-content">
-                ${cleanedHtmlContent}
-            </div>
-        </div>
-`;
-            });
+            this.setStorageStatus(parts.join(' · '));
+        }
 
-            combinedHtml += `
-    </div>
-</body>
-</html>`;
+        /**
+         * Sets the text of the storage status line.
+         * @param {string} text - The status text.
+         */
+        setStorageStatus(text) {
+            const storageStatus = document.getElementById('storageStatus');
+            if (storageStatus) {
+                storageStatus.textContent = text;
+            }
+        }
 
-            const blob = new Blob([combinedHtml], { type: 'text/html;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'Combined_Packets.html'; // Ensure it's an HTML file
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            this.showNotification('Combined document downloaded as HTML!', 'success');
-            this.announceToScreenReader('process-status', 'Combined document downloaded as HTML.');
-            console.log('Combined document download initiated.');
+        /**
+         * Formats a byte count for display.
+         * @param {number} bytes - The number of bytes.
+         * @returns {string} A human readable size such as "4.2 MB".
+         */
+        formatBytes(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            let value = bytes;
+            let unitIndex = 0;
+            while (value >= 1024 && unitIndex < units.length - 1) {
+                value /= 1024;
+                unitIndex++;
+            }
+            return `${unitIndex === 0 ? value : value.toFixed(1)} ${units[unitIndex]}`;
         }
 
         /**
@@ -1316,14 +9091,15 @@
         }
 
         /**
-         * Escapes HTML entities in a string to prevent XSS.
+         * Escapes HTML entities in a string to prevent XSS. Quotes are escaped too, so the result is
+         * safe inside quoted attribute values as well as in element content.
          * @param {string} str - The string to escape.
          * @returns {string} The escaped string.
          */
         escapeHtml(str) {
             const div = document.createElement('div');
             div.appendChild(document.createTextNode(str));
-            return div.innerHTML;
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
         }
     }
 